@@ -1,8 +1,18 @@
 const app = require('../server');
+const { startup } = require('../utils/startup');
 
 // Export the Express app as the Vercel serverless function handler
 // Vercel invokes this function with (req, res)
-module.exports = (req, res) => {
+module.exports = async (req, res) => {
+  // Same checks as `node server.js` (see utils/startup); nothing is served until they pass
+  try {
+    await startup();
+  } catch (error) {
+    console.error('[Vercel] Startup error:', error.message);
+    res.statusCode = 503;
+    res.setHeader('Content-Type', 'application/json');
+    return res.end(JSON.stringify({ success: false, code: 'SERVICE_UNAVAILABLE', message: 'Service unavailable' }));
+  }
   const originalUrl = req.url;
   // Ensure Express sees the /api prefix when this function is mounted at /api
   if (!req.url.startsWith('/api')) {
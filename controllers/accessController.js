@@ -0,0 +1,176 @@
+const pool = require('../config/database');
+const { verifyBookingToken, verifyBookingSignature } = require('../utils/bookingTokens');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+const { recordAudit } = require('../services/audit');
+const { publish } = require('../services/events');
+
+// Bookings in these statuses may open their room
+const ACCESS_STATUSES = ['confirmed', 'checked_in'];
+
+// Record a room-access attempt, granted or denied, in the access log and the audit trail
+const recordAttempt = async (client, req, attempt) => {
+  await client.query(
+    `INSERT INTO room_access_logs
+     (device_id, room_id, booking_id, user_id, qr_code_id, method, granted, reason, ip_address)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      attempt.deviceId || null,
+      attempt.booking?.room_id || null,
+      attempt.booking?.booking_id || null,
+      attempt.booking?.user_id || attempt.userId || null,
+      attempt.qrCodeId || attempt.booking?.qr_code_id || null,
+      attempt.method,
+      attempt.granted,
+      attempt.reason,
+      req.ip || null
+    ]
+  );
+  await recordAudit(client, req, attempt.granted ? 'ROOM_ACCESS_GRANTED' : 'ROOM_ACCESS_DENIED', {
+    target: attempt.booking ? { type: 'room', id: attempt.booking.room_id } : undefined,
+    details: {
+      method: attempt.method,
+      bookingId: attempt.booking?.booking_id,
+      qrCodeId: attempt.qrCodeId || attempt.booking?.qr_code_id,
+      reason: attempt.reason
+    }
+  });
+  if (attempt.granted) {
+    publish('room.access_granted', {
+      userId: attempt.booking.user_id,
+      bookingId: attempt.booking.booking_id,
+      roomId: attempt.booking.room_id,
+      method: attempt.method,
+      at: new Date()
+    });
+  }
+};
+
+// Resolve a signed booking token to its live booking row. Returns { booking } or { reason }.
+const resolveBookingToken = async (client, token) => {
+  const verified = verifyBookingToken(token);
+  if (verified.error) return { reason: verified.error };
+  const result = await client.query(
+    `SELECT b.booking_id, b.room_id, b.user_id, b.status, b.check_in_time, b.check_out_time,
+            r.qr_code_id, r.hotel_id, bt.token_id, bt.digital_signature
+     FROM booking_tokens bt
+     JOIN bookings b ON b.booking_id = bt.booking_id
+     JOIN rooms r ON r.room_id = b.room_id
+     WHERE bt.booking_id = $1 AND bt.digital_signature = $2 AND bt.is_valid = true`,
+    [verified.payload.bookingId, verified.signature]
+  );
+  const booking = result.rows[0];
+  if (!booking) return { reason: 'Booking token has been revoked' };
+  if (!ACCESS_STATUSES.includes(booking.status)) return { reason: `Booking is ${booking.status}` };
+  // The booking row must still match what was signed (e.g. dates not edited since)
+  const current = verifyBookingSignature(booking, booking.digital_signature);
+  if (current.error) return { reason: current.error, booking };
+  return { booking };
+};
+
+// Find a signed, in-window booking for this user on the room behind the QR code
+const resolveUserBooking = async (client, userId, qrCodeId) => {
+  const result = await client.query(
+    `SELECT b.booking_id, b.room_id, b.user_id, b.status, b.check_in_time, b.check_out_time,
+            r.qr_code_id, r.hotel_id, bt.token_id, bt.digital_signature
+     FROM bookings b
+     JOIN rooms r ON b.room_id = r.room_id
+     JOIN booking_tokens bt ON b.booking_id = bt.booking_id
+     WHERE b.user_id = $1 AND r.qr_code_id = $2 AND bt.is_valid = true
+     AND b.status = ANY($3)
+     AND b.check_in_time <= NOW() AND NOW() <= b.check_out_time`,
+    [userId, qrCodeId, ACCESS_STATUSES]
+  );
+  // Only accept a token whose signature matches the booking it is attached to
+  const booking = result.rows.find(row => !verifyBookingSignature(row, row.digital_signature).error);
+  return booking ? { booking } : { reason: 'Invalid or expired booking' };
+};
+
+// Guest-facing check: the logged-in user (JWT) or the holder of a signed booking token
+// scans a room's QR code. The user id never comes from the request body.
+const verifyAccess = async (req, res) => {
+  const { qr_code_id, booking_token } = req.body;
+  const userId = booking_token ? null : req.user?.userId;
+  if (!booking_token && !userId) {
+    throw new UnauthorizedError('Login or booking token required');
+  }
+
+  const client = await pool.connect();
+  try {
+    let outcome;
+    if (booking_token) {
+      outcome = await resolveBookingToken(client, booking_token);
+      if (outcome.booking && outcome.booking.qr_code_id !== qr_code_id) {
+        outcome = { reason: 'Booking token is for a different room', booking: outcome.booking };
+      }
+    } else {
+      outcome = await resolveUserBooking(client, userId, qr_code_id);
+    }
+    const granted = Boolean(outcome.booking) && !outcome.reason;
+
+    await recordAttempt(client, req, {
+      method: booking_token ? 'booking_token' : 'user_token',
+      userId,
+      qrCodeId: qr_code_id,
+      booking: outcome.booking,
+      granted,
+      reason: granted ? 'Access granted' : outcome.reason
+    });
+
+    if (!granted) {
+      throw new ForbiddenError(`Verification failed. ${outcome.reason}.`, { code: 'ACCESS_DENIED' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Access granted!',
+      booking_token_id: outcome.booking.token_id,
+      digital_signature: outcome.booking.digital_signature
+    });
+  } finally {
+    client.release();
+  }
+};
+
+// Device-facing check: an authenticated door lock or kiosk submits a scanned booking token.
+// Door locks are bound to one room; kiosks to every room of their hotel.
+const verifyDeviceAccess = async (req, res) => {
+  const { booking_token } = req.body;
+  const { device } = req;
+
+  const client = await pool.connect();
+  try {
+    let outcome = await resolveBookingToken(client, booking_token);
+    if (outcome.booking && !outcome.reason) {
+      const { booking } = outcome;
+      const roomMismatch = device.room_id && String(device.room_id) !== String(booking.room_id);
+      const hotelMismatch = !device.room_id && device.hotel_id && String(device.hotel_id) !== String(booking.hotel_id);
+      if (roomMismatch || hotelMismatch || (!device.room_id && !device.hotel_id)) {
+        outcome = { reason: 'Booking token is not valid at this device', booking };
+      }
+    }
+    const granted = Boolean(outcome.booking) && !outcome.reason;
+
+    await recordAttempt(client, req, {
+      deviceId: device.device_id,
+      method: 'device',
+      booking: outcome.booking,
+      granted,
+      reason: granted ? 'Access granted' : outcome.reason
+    });
+
+    if (!granted) {
+      throw new ForbiddenError(outcome.reason, { code: 'ACCESS_DENIED', details: { granted: false } });
+    }
+    res.json({
+      success: true,
+      granted: true,
+      message: 'Access granted!',
+      booking_id: outcome.booking.booking_id,
+      room_id: outcome.booking.room_id
+    });
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { verifyAccess, verifyDeviceAccess };
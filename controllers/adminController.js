@@ -0,0 +1,243 @@
+const pool = require('../config/database');
+const users = require('../repositories/userRepository');
+const ratePlans = require('../repositories/ratePlanRepository');
+const { parsePagination } = require('../utils/pagination');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { recordAudit } = require('../services/audit');
+const { toCsv } = require('../utils/csv');
+
+// Most audit entries one export may return
+const AUDIT_EXPORT_MAX_ROWS = Number(process.env.AUDIT_EXPORT_MAX_ROWS) || 10000;
+
+const AUDIT_COLUMNS = ['log_id', 'created_at', 'action_type', 'user_id', 'actor_role', 'device_id',
+  'target_type', 'target_id', 'ip_address', 'user_agent', 'request_id', 'details'];
+
+// Turn [clause, value] pairs into a WHERE clause, skipping filters that weren't given.
+// Each clause uses `$?` where its value goes.
+const buildWhere = (filters) => {
+  const clauses = [];
+  const values = [];
+  for (const [clause, value] of filters) {
+    if (value === undefined || value === null || value === '') continue;
+    values.push(value);
+    clauses.push(clause.replace('$?', `$${values.length}`));
+  }
+  return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', values };
+};
+
+// Run a filtered, paginated list query and send the standard list response
+const sendList = async (res, key, { select, from, filters, orderBy }, query) => {
+  const { page, limit, offset } = parsePagination(query);
+  const client = await pool.connect();
+  try {
+    const { where, values: params } = buildWhere(filters);
+    const result = await client.query(
+      `SELECT ${select}, COUNT(*) OVER() AS total_count
+       FROM ${from}
+       ${where}
+       ORDER BY ${orderBy}
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    const total = result.rows.length ? Number(result.rows[0].total_count) : 0;
+    const rows = result.rows.map(({ total_count, ...row }) => row);
+    return res.json({ success: true, [key]: rows, pagination: { page, limit, total } });
+  } finally {
+    client.release();
+  }
+};
+
+// Change a user's role; staff must be attached to the hotel they work at
+const updateUserRole = async (req, res) => {
+  const userId = req.params.id;
+  const { role, hotel_id } = req.body;
+  if (role === 'staff' && !hotel_id) {
+    throw new ValidationError('Staff must be assigned a hotel');
+  }
+  const client = await pool.connect();
+  try {
+    if (role === 'staff') {
+      const hotel = await client.query('SELECT 1 FROM hotels WHERE hotel_id = $1', [hotel_id]);
+      if (hotel.rows.length === 0) throw new NotFoundError('Hotel not found');
+    }
+    const previous = await users.findById(client, userId);
+    if (!previous) throw new NotFoundError('User not found');
+    const user = await users.updateRole(client, userId, role, role === 'staff' ? hotel_id : null);
+    if (!user) throw new NotFoundError('User not found');
+    await recordAudit(client, req, 'USER_ROLE_CHANGED', {
+      target: { type: 'user', id: user.id },
+      details: {
+        from: { role: previous.role, hotelId: previous.hotelId },
+        to: { role: user.role, hotelId: user.hotelId }
+      }
+    });
+    return res.json({
+      success: true,
+      message: 'Role updated',
+      user: { id: user.id, email: user.email, role: user.role, hotelId: user.hotelId }
+    });
+  } finally {
+    client.release();
+  }
+};
+
+// List users without secrets (password hashes, Aadhaar keys)
+const listUsers = async (req, res) => {
+  const { role, hotel_id, email } = req.query;
+  const { page, limit, offset } = parsePagination(req.query);
+  const client = await pool.connect();
+  try {
+    const result = await users.listUsers(client, { role, hotelId: hotel_id, email, limit, offset });
+    return res.json({ success: true, users: result.users, pagination: { page, limit, total: result.total } });
+  } finally {
+    client.release();
+  }
+};
+
+const listHotels = (req, res) => {
+  const { city, is_active } = req.query;
+  return sendList(res, 'hotels', {
+    select: 'hotel_id, name, city, address, is_active',
+    from: 'hotels',
+    filters: [
+      ['city ILIKE $?', city],
+      ['is_active = $?', is_active]
+    ],
+    orderBy: 'hotel_id ASC'
+  }, req.query);
+};
+
+const listRooms = (req, res) => {
+  const { hotel_id } = req.query;
+  return sendList(res, 'rooms', {
+    select: 'room_id, hotel_id, room_number, room_type, capacity, base_price, rate_plan_id, amenities, qr_code_id, is_active',
+    from: 'rooms',
+    filters: [['hotel_id = $?', hotel_id]],
+    orderBy: 'room_id ASC'
+  }, req.query);
+};
+
+const listBookings = (req, res) => {
+  const { status, user_id, room_id, hotel_id, from, to } = req.query;
+  return sendList(res, 'bookings', {
+    select: 'b.booking_id, b.user_id, b.room_id, r.hotel_id, b.status, b.check_in_time, b.check_out_time',
+    from: 'bookings b JOIN rooms r ON r.room_id = b.room_id',
+    filters: [
+      ['b.status = $?', status],
+      ['b.user_id = $?', user_id],
+      ['b.room_id = $?', room_id],
+      ['r.hotel_id = $?', hotel_id],
+      ['b.check_out_time > $?', from],
+      ['b.check_in_time < $?', to]
+    ],
+    orderBy: 'b.check_in_time DESC, b.booking_id DESC'
+  }, req.query);
+};
+
+const listReviews = (req, res) => {
+  const { hotel_id, is_hidden, rating } = req.query;
+  return sendList(res, 'reviews', {
+    select: `review_id, booking_id, hotel_id, user_id, reviewer_name, rating, title, comment, response,
+      responded_at, is_hidden, hidden_reason, hidden_by, hidden_at, created_at`,
+    from: 'reviews',
+    filters: [
+      ['hotel_id = $?', hotel_id],
+      ['is_hidden = $?', is_hidden],
+      ['rating = $?', rating]
+    ],
+    orderBy: 'created_at DESC, review_id DESC'
+  }, req.query);
+};
+
+// Filters shared by the audit log listing and export
+const auditFilters = (query) => [
+  ['action_type = $?', query.action],
+  ['user_id = $?', query.user_id],
+  ['device_id = $?', query.device_id],
+  ['target_type = $?', query.target_type],
+  ['target_id = $?', query.target_id],
+  ['ip_address = $?', query.ip_address],
+  ['request_id = $?', query.request_id],
+  ['created_at >= $?', query.from],
+  ['created_at < $?', query.to]
+];
+
+const listAuditLogs = (req, res) => sendList(res, 'logs', {
+  select: AUDIT_COLUMNS.join(', '),
+  from: 'audit_logs',
+  filters: auditFilters(req.query),
+  orderBy: 'created_at DESC, log_id DESC'
+}, req.query);
+
+// Download the matching audit entries as CSV or JSON, oldest first. At most
+// AUDIT_EXPORT_MAX_ROWS are returned; X-Export-Truncated says when there were more.
+const exportAuditLogs = async (req, res) => {
+  const { format, ...filters } = req.query;
+  const client = await pool.connect();
+  try {
+    const { where, values } = buildWhere(auditFilters(req.query));
+    const result = await client.query(
+      `SELECT ${AUDIT_COLUMNS.join(', ')} FROM audit_logs ${where}
+       ORDER BY created_at ASC, log_id ASC
+       LIMIT $${values.length + 1}`,
+      [...values, AUDIT_EXPORT_MAX_ROWS + 1]
+    );
+    const truncated = result.rows.length > AUDIT_EXPORT_MAX_ROWS;
+    const rows = result.rows.slice(0, AUDIT_EXPORT_MAX_ROWS);
+    // Exports are audited too, with the filters that were used
+    await recordAudit(client, req, 'AUDIT_LOG_EXPORTED', { details: { format, filters, rows: rows.length } });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    res.set('X-Export-Truncated', String(truncated));
+    res.attachment(`audit-log-${stamp}.${format}`);
+    if (format === 'csv') return res.type('text/csv').send(toCsv(AUDIT_COLUMNS, rows));
+    return res.json({ success: true, logs: rows, truncated });
+  } finally {
+    client.release();
+  }
+};
+
+const listTaxSlabs = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    return res.json({ success: true, slabs: await ratePlans.listTaxSlabs(client) });
+  } finally {
+    client.release();
+  }
+};
+
+// Replace every tax slab at once; prices already booked are not affected
+const replaceTaxSlabs = async (req, res) => {
+  const { slabs } = req.body;
+  const thresholds = slabs.map(slab => slab.above_tariff);
+  if (new Set(thresholds).size !== thresholds.length) {
+    throw new ValidationError('Each slab needs a different above_tariff');
+  }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const previous = await ratePlans.listTaxSlabs(client);
+    const updated = await ratePlans.replaceTaxSlabs(client, slabs);
+    await client.query('COMMIT');
+    await recordAudit(client, req, 'TAX_SLABS_UPDATED', { details: { from: previous, to: updated } });
+    return res.json({ success: true, message: 'Tax slabs updated', slabs: updated });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  updateUserRole,
+  listUsers,
+  listHotels,
+  listRooms,
+  listBookings,
+  listReviews,
+  listAuditLogs,
+  exportAuditLogs,
+  listTaxSlabs,
+  replaceTaxSlabs
+};
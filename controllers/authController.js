@@ -1,207 +1,588 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const pool = require('../config/database');
-const crypto = require('crypto');
+const users = require('../repositories/userRepository');
+const kyc = require('../repositories/kycRepository');
+const notifications = require('../repositories/notificationRepository');
+const { normalizeAadhaar, maskAadhaar, hashAadhaar } = require('../utils/aadhaar');
+const { issueOtp, verifyOtp } = require('../utils/otp');
+const { sendSms } = require('../services/sms');
+const { sendMail } = require('../services/mail');
+const { issueEmailToken, consumeEmailToken } = require('../utils/emailTokens');
+const { verifyIdentity, getKycProvider } = require('../services/kyc');
+const { recordAudit, redactIdentifier } = require('../services/audit');
+const { publish } = require('../services/events');
+const { getRateLimitStore } = require('../services/rateLimit');
+const {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError
+} = require('../utils/errors');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+} = require('../utils/sessions');
 
-// Detect which ID column the users table has: 'id' or 'user_id'
-let cachedUserIdColumn = null;
-async function getUserIdColumn(client) {
-  if (cachedUserIdColumn) return cachedUserIdColumn;
-  const res = await client.query(
-    `SELECT column_name FROM information_schema.columns WHERE table_name = 'users' AND column_name IN ('id','user_id')`
-  );
-  const col = res.rows?.[0]?.column_name || 'user_id';
-  cachedUserIdColumn = col;
-  return col;
-}
-
-// Build a safe created_at expression if the column exists
-async function getCreatedAtExpr(client) {
-  const res = await client.query(
-    `SELECT column_name FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'created_at'`
-  );
-  return res.rows.length ? 'created_at' : 'NOW()';
-}
+// Access tokens are short-lived; clients renew them with their refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Base URL of the web app; links in emails point there
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:3000';
+
+// Consecutive wrong passwords before an account is locked, and for how long
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_LOCKOUT_SECONDS = Number(process.env.LOGIN_LOCKOUT_SECONDS) || 15 * 60;
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user.id, role: user.role, hotelId: user.hotelId, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Public shape of a user in API responses
+const toUserResponse = (u) => ({
+  id: u.id,
+  email: u.email,
+  name: u.name,
+  phone: u.phone,
+  phoneVerifiedAt: u.phoneVerifiedAt,
+  emailVerifiedAt: u.emailVerifiedAt,
+  role: u.role,
+  hotelId: u.hotelId,
+  createdAt: u.createdAt
+});
 
-// Build a safe name expression depending on available columns
-async function getNameExpr(client) {
-  const res = await client.query(
-    `SELECT column_name FROM information_schema.columns WHERE table_name = 'users' AND column_name IN ('full_name','name')`
+// Public shape of a KYC record; users who never submitted show as 'not_submitted'
+const toKycResponse = (k) => ({
+  status: k ? k.status : 'not_submitted',
+  aadhaarMasked: k?.aadhaar_masked || null,
+  submittedAt: k?.submitted_at || null,
+  verifiedAt: k?.verified_at || null,
+  rejectedAt: k?.rejected_at || null,
+  rejectionReason: k?.rejection_reason || null
+});
+
+// Audit an event on a user's own account. `user` acts on itself, which matters
+// before login, when req.user isn't set yet.
+const auditAccount = (client, req, action, user, details) => recordAudit(client, req, action, {
+  actor: { userId: user.id, role: user.role },
+  target: { type: 'user', id: user.id },
+  details
+});
+
+// Email a verification link for the user's current address
+const sendVerificationEmail = async (client, user) => {
+  const { token } = await issueEmailToken(client, user.id, 'verify_email', user.email);
+  await sendMail(
+    user.email,
+    'Verify your StayLink email',
+    `Confirm your email address by opening this link:\n${APP_BASE_URL}/verify-email?token=${token}`
   );
-  const cols = new Set(res.rows.map(r => r.column_name));
-  if (cols.has('full_name') && cols.has('name')) return 'COALESCE(full_name, name)';
-  if (cols.has('full_name')) return 'full_name';
-  if (cols.has('name')) return 'name';
-  return 'NULL';
-}
+};
+
+// Open a session for a user who just proved their identity and build the login response
+const startSession = async (client, user, req, method) => {
+  const session = await createSession(client, user.id, { userAgent: req.get('user-agent'), ip: req.ip });
+  const token = signAccessToken(user, session.sessionId);
+  await auditAccount(client, req, 'LOGIN', user, { method, sessionId: session.sessionId });
+  return {
+    success: true,
+    token,
+    refreshToken: session.refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    user: toUserResponse(user)
+  };
+};
 
+// Register with email + password. A phone number given here only becomes a second
+// login identity once it is verified by OTP.
 const register = async (req, res) => {
-  const { email, password, name } = req.body || {};
-  if (!email || !password) {
-    return res.status(400).json({ success: false, message: 'Email and password required' });
-  }
-  if (typeof password !== 'string' || password.length < 6) {
-    return res.status(400).json({ success: false, message: 'Password must be at least 6 characters' });
-  }
-  const normalizedEmail = String(email).toLowerCase();
-  let client;
+  const { email, password, name, full_name, contact_number } = req.body;
+  const phone = contact_number ? users.normalizePhone(contact_number) : null;
+  const normalizedEmail = users.normalizeEmail(email);
+  const client = await pool.connect();
   try {
-    client = await pool.connect();
-    // Only check existence; don't select an id column that may not exist across schemas
-    const existing = await client.query('SELECT 1 FROM users WHERE email = $1', [normalizedEmail]);
-    if (existing.rows.length > 0) {
-      return res.status(409).json({ success: false, message: 'Email already registered' });
+    if (await users.emailExists(client, normalizedEmail)) {
+      throw new ConflictError('Email already registered');
+    }
+    if (phone && await users.phoneExists(client, phone)) {
+      throw new ConflictError('Contact number already registered');
     }
     const passwordHash = await bcrypt.hash(password, 10);
-    const aadhaarKey = crypto.randomBytes(16).toString('hex');
-    // Discover available columns in users table
-    const colsRes = await client.query(
-      `SELECT column_name, is_nullable, column_default
-       FROM information_schema.columns
-       WHERE table_name = 'users'`
-    );
-    const available = new Set(colsRes.rows.map(r => r.column_name));
-
-    // Build insert columns dynamically to match schema
-    const insertCols = [];
-    const values = [];
-
-    // Always include email if available
-    if (available.has('email')) { insertCols.push('email'); values.push(normalizedEmail); }
-
-    // Name mapping: prefer full_name, else name
-    const nameValue = name || normalizedEmail.split('@')[0];
-    if (available.has('full_name') && available.has('name')) {
-      insertCols.push('full_name'); values.push(nameValue);
-      insertCols.push('name'); values.push(nameValue);
-    } else if (available.has('full_name')) {
-      insertCols.push('full_name'); values.push(nameValue);
-    } else if (available.has('name')) {
-      insertCols.push('name'); values.push(nameValue);
-    }
-
-    // Password hash
-    if (available.has('password_hash')) { insertCols.push('password_hash'); values.push(passwordHash); }
-
-    // Aadhaar key
-    if (available.has('aadhaar_key')) { insertCols.push('aadhaar_key'); values.push(aadhaarKey); }
-
-    if (insertCols.length === 0) {
-      throw new Error('No compatible columns found for users insert');
-    }
-
-    const placeholders = insertCols.map((_, i) => `$${i + 1}`).join(', ');
-    const sql = `INSERT INTO users (${insertCols.join(', ')}) VALUES (${placeholders})`;
-    await client.query(sql, values);
-    return res.status(201).json({ success: true, message: 'Account created' });
+    const user = await users.createUser(client, {
+      email: normalizedEmail,
+      name: name || full_name || normalizedEmail.split('@')[0],
+      phone,
+      passwordHash
+    });
+    // The account exists either way; a lost email can be re-sent from /verify-email/resend
+    try {
+      await sendVerificationEmail(client, user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError.message);
+    }
+    await auditAccount(client, req, 'REGISTER', user, { method: 'password' });
+    publish('user.registered', { userId: user.id, name: user.name });
+    return res.status(201).json({ success: true, message: 'Account created. Check your email to verify it' });
   } catch (error) {
-    // Handle duplicate key error if race or constraint triggers
-    if (error && (error.code === '23505' || /duplicate key/i.test(error.message || ''))) {
-      return res.status(409).json({ success: false, message: 'Email already registered' });
+    // A concurrent registration can still win the race past the checks above
+    if (error.code === '23505') throw new ConflictError('Email or contact number already registered');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// 429 for a locked account, with Retry-After set to when the lock ends
+const lockedError = (lockedUntil) => new TooManyRequestsError('Account temporarily locked after too many failed logins', {
+  code: 'ACCOUNT_LOCKED',
+  retryAfter: Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000))
+});
+
+// Checked against on logins that have no password hash to compare, so they take
+// as long as a wrong password on a real account
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+const storeUnavailable = (error) => {
+  console.error('Rate limit store error:', error.message);
+  return null;
+};
+
+// No account has this identifier. Its failures are still counted and locked like
+// a real account's (in the rate limit store), so a 429 doesn't reveal which
+// accounts exist. A store that can't be reached just skips the lock.
+const rejectUnknownLogin = async (req, { email, contact_number, password }) => {
+  const normalized = email
+    ? { email: users.normalizeEmail(email) }
+    : { phone: users.normalizePhone(contact_number) };
+  const identifier = email ? `email:${normalized.email}` : `phone:${normalized.phone}`;
+  const lockKey = `login-lock:${identifier}`;
+  const failuresKey = `login-failures:${identifier}`;
+  const store = getRateLimitStore();
+  const lock = await store.peek(lockKey).catch(storeUnavailable);
+  if (lock) throw lockedError(lock.resetAt);
+
+  await bcrypt.compare(String(password), DUMMY_PASSWORD_HASH);
+  const redacted = redactIdentifier(normalized);
+  await recordAudit(pool, req, 'LOGIN_FAILED', { details: { ...redacted, reason: 'unknown_account' } });
+  const failures = await store.hit(failuresKey, LOGIN_LOCKOUT_SECONDS * 1000).catch(storeUnavailable);
+  if (failures && failures.count >= LOGIN_MAX_FAILURES) {
+    await store.reset(failuresKey).catch(storeUnavailable);
+    const locked = await store.hit(lockKey, LOGIN_LOCKOUT_SECONDS * 1000).catch(storeUnavailable);
+    if (locked) {
+      await recordAudit(pool, req, 'ACCOUNT_LOCKED', {
+        details: { ...redacted, reason: 'unknown_account', lockedUntil: locked.resetAt, failedAttempts: LOGIN_MAX_FAILURES }
+      });
+      throw lockedError(locked.resetAt);
+    }
+  }
+  throw new UnauthorizedError('Invalid credentials');
+};
+
+// Login with a password and either an email or a phone number.
+// Repeated wrong passwords lock the account for a while.
+const login = async (req, res) => {
+  const { email, contact_number, password } = req.body;
+  const client = await pool.connect();
+  try {
+    const user = email
+      ? await users.findByEmail(client, email, { withSecrets: true })
+      : await users.findByPhone(client, contact_number, { withSecrets: true });
+    if (user) {
+      if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+        throw lockedError(user.lockedUntil);
+      }
+      const matches = await bcrypt.compare(String(password), user.passwordHash || DUMMY_PASSWORD_HASH);
+      const ok = Boolean(user.passwordHash) && matches;
+      if (!ok) {
+        await auditAccount(client, req, 'LOGIN_FAILED', user, { reason: 'wrong_password' });
+        const { lockedUntil } = await users.recordLoginFailure(client, user.id, {
+          maxFailures: LOGIN_MAX_FAILURES,
+          lockSeconds: LOGIN_LOCKOUT_SECONDS
+        });
+        if (lockedUntil) {
+          await auditAccount(client, req, 'ACCOUNT_LOCKED', user, { lockedUntil, failedAttempts: LOGIN_MAX_FAILURES });
+          throw lockedError(lockedUntil);
+        }
+        throw new UnauthorizedError('Invalid credentials');
+      }
+      await users.clearLoginFailures(client, user.id);
+      return res.json(await startSession(client, user, req, 'password'));
     }
-    console.error('Register error:', error);
-    const payload = { success: false, message: error?.message || 'Internal server error' };
-    if (process.env.NODE_ENV !== 'production') {
-      payload.code = error?.code;
-      payload.detail = error?.detail;
+  } finally {
+    client.release();
+  }
+  // Outside the block above: the postgres rate limit store needs a connection of its own
+  return rejectUnknownLogin(req, { email, contact_number, password });
+};
+
+// Send a one-time code to a phone number
+const requestOtp = async (req, res) => {
+  const phone = users.normalizePhone(req.body.contact_number);
+  const client = await pool.connect();
+  try {
+    const issued = await issueOtp(client, phone);
+    if (issued.error) {
+      throw new TooManyRequestsError(issued.error, { code: 'OTP_COOLDOWN', retryAfter: issued.retryAfter });
     }
-    return res.status(500).json(payload);
+    await sendSms(phone, `Your StayLink code is ${issued.code}. It expires in ${Math.round(issued.expiresIn / 60)} minutes.`);
+    return res.json({ success: true, message: 'Code sent', expiresIn: issued.expiresIn });
   } finally {
-    if (client) client.release();
+    client.release();
   }
 };
 
-const login = async (req, res) => {
-  const { email, password } = req.body || {};
-  if (!email || !password) {
-    return res.status(400).json({ success: false, message: 'Email and password required' });
-  }
-  const normalizedEmail = String(email).toLowerCase();
-  let client;
-  try {
-    client = await pool.connect();
-    const idCol = await getUserIdColumn(client);
-    const nameExpr = await getNameExpr(client);
-    const result = await client.query(`SELECT ${idCol} AS uid, email, ${nameExpr} AS name, password_hash FROM users WHERE email = $1`, [normalizedEmail]);
-    if (result.rows.length === 0) {
-      return res.status(401).json({ success: false, message: 'Invalid credentials' });
-    }
-    const user = result.rows[0];
-    const ok = user.password_hash ? await bcrypt.compare(password, user.password_hash) : false;
-    if (!ok) {
-      return res.status(401).json({ success: false, message: 'Invalid credentials' });
-    }
-    const token = jwt.sign({ userId: user.uid }, process.env.JWT_SECRET, { expiresIn: '1h' });
-    return res.json({ success: true, token });
+// Confirm an email address from the link sent to it
+const verifyEmail = async (req, res) => {
+  const { token } = req.body;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const consumed = await consumeEmailToken(client, token, 'verify_email');
+    // A link for an address the user has since changed is as good as expired
+    const user = consumed.error ? null : await users.markEmailVerified(client, consumed.userId, consumed.email);
+    if (!user) {
+      throw new ValidationError(consumed.error || 'Invalid or expired token');
+    }
+    await client.query('COMMIT');
+    await auditAccount(client, req, 'EMAIL_VERIFIED', user, { email: user.email });
+    return res.json({ success: true, message: 'Email verified', user: toUserResponse(user) });
   } catch (error) {
-    console.error('Login error:', error);
-    return res.status(500).json({ success: false, message: 'Internal server error' });
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
   } finally {
-    if (client) client.release();
+    client.release();
   }
 };
 
-const getMe = async (req, res) => {
-  if (!req.user?.userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
-  let client;
-  try {
-    client = await pool.connect();
-    const idCol = await getUserIdColumn(client);
-    const nameExpr = await getNameExpr(client);
-    const createdExpr = await getCreatedAtExpr(client);
-    const result = await client.query(`SELECT ${idCol} AS uid, email, ${nameExpr} AS name, ${createdExpr} AS created_at FROM users WHERE ${idCol} = $1`, [req.user.userId]);
-    if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'User not found' });
-    const u = result.rows[0];
-    return res.json({ success: true, user: { id: u.uid, email: u.email, name: u.name, createdAt: u.created_at } });
+// Send a fresh verification link to the current user
+const resendVerificationEmail = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const user = await users.findById(client, req.user.userId);
+    if (!user) throw new NotFoundError('User not found');
+    if (!user.email) throw new ValidationError('No email address on this account');
+    if (user.emailVerifiedAt) throw new ConflictError('Email already verified');
+    await sendVerificationEmail(client, user);
+    return res.json({ success: true, message: 'Verification email sent' });
+  } finally {
+    client.release();
+  }
+};
+
+// Email a password reset link. The response is the same whether or not the
+// address is registered, so this can't be used to probe for accounts.
+const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+  const client = await pool.connect();
+  try {
+    const user = await users.findByEmail(client, email);
+    if (user) {
+      const { token, expiresIn } = await issueEmailToken(client, user.id, 'reset_password', user.email);
+      await sendMail(
+        user.email,
+        'Reset your StayLink password',
+        `Choose a new password within ${Math.round(expiresIn / 60)} minutes using this link:\n`
+          + `${APP_BASE_URL}/reset-password?token=${token}\n`
+          + 'If you did not ask for this, you can ignore this email.'
+      );
+      await auditAccount(client, req, 'PASSWORD_RESET_REQUESTED', user);
+    }
+    return res.json({ success: true, message: 'If that email is registered, a reset link has been sent' });
+  } finally {
+    client.release();
+  }
+};
+
+// Set a new password from a reset link and sign the user out everywhere
+const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+  const client = await pool.connect();
+  try {
+    const passwordHash = await bcrypt.hash(password, 10);
+    await client.query('BEGIN');
+    const consumed = await consumeEmailToken(client, token, 'reset_password');
+    const user = consumed.error ? null : await users.findById(client, consumed.userId);
+    if (!user || user.email !== consumed.email) {
+      throw new ValidationError(consumed.error || 'Invalid or expired token');
+    }
+    await users.updatePasswordHash(client, user.id, passwordHash);
+    await users.clearLoginFailures(client, user.id);
+    // Following the link proves control of the mailbox
+    await users.markEmailVerified(client, user.id, user.email);
+    const revoked = await revokeAllSessions(client, user.id);
+    await client.query('COMMIT');
+    await auditAccount(client, req, 'PASSWORD_RESET', user, { revokedSessions: revoked });
+    return res.json({ success: true, message: 'Password updated. Please log in again', revoked });
   } catch (error) {
-    console.error('GetMe error:', error);
-    return res.status(500).json({ success: false, message: 'Internal server error' });
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
   } finally {
-    if (client) client.release();
+    client.release();
   }
 };
 
+// Check a one-time code. Logged-in users get the phone linked to their account;
+// otherwise this logs in the phone's owner, creating a phone-only account if needed.
+const verifyOtpCode = async (req, res) => {
+  const phone = users.normalizePhone(req.body.contact_number);
+  const { code } = req.body;
+  const client = await pool.connect();
+  try {
+    const checked = await verifyOtp(client, phone, code);
+    if (!checked.ok) {
+      throw new AppError(checked.error, { status: checked.status, code: 'OTP_REJECTED' });
+    }
+
+    const owner = await users.findByPhone(client, phone);
+    if (req.user?.userId) {
+      if (owner && String(owner.id) !== String(req.user.userId)) {
+        throw new ConflictError('Contact number already registered');
+      }
+      const user = await users.linkVerifiedPhone(client, req.user.userId, phone);
+      if (!user) throw new NotFoundError('User not found');
+      await auditAccount(client, req, 'PHONE_VERIFIED', user, { phone });
+      return res.json({ success: true, message: 'Phone verified', user: toUserResponse(user) });
+    }
+
+    const account = owner || await users.createUser(client, { phone });
+    const user = await users.linkVerifiedPhone(client, account.id, phone);
+    if (!owner) await auditAccount(client, req, 'REGISTER', user, { method: 'otp' });
+    return res.json(await startSession(client, user, req, 'otp'));
+  } finally {
+    client.release();
+  }
+};
+
+const getMe = async (req, res) => {
+  if (!req.user?.userId) throw new UnauthorizedError('Unauthorized');
+  const client = await pool.connect();
+  try {
+    const user = await users.findById(client, req.user.userId);
+    if (!user) throw new NotFoundError('User not found');
+    const record = await kyc.findByUserId(client, user.id);
+    return res.json({ success: true, user: { ...toUserResponse(user), kyc: toKycResponse(record) } });
+  } finally {
+    client.release();
+  }
+};
+
+// Exchange a refresh token for a new access token and a rotated refresh token
+const refresh = async (req, res) => {
+  const { refreshToken } = req.body;
+  const client = await pool.connect();
+  try {
+    const rotated = await rotateSession(client, refreshToken);
+    if (rotated.error) throw new UnauthorizedError(rotated.error);
+
+    // Re-read the user so role changes take effect on the next refresh
+    const user = await users.findById(client, rotated.userId);
+    if (!user) {
+      await revokeSession(client, rotated.userId, rotated.sessionId);
+      throw new UnauthorizedError('User not found');
+    }
+    const token = signAccessToken(user, rotated.sessionId);
+    return res.json({ success: true, token, refreshToken: rotated.refreshToken, expiresIn: ACCESS_TOKEN_TTL });
+  } finally {
+    client.release();
+  }
+};
+
+// End the current session
 const logout = async (req, res) => {
-  return res.json({ success: true, message: 'Logged out' });
+  const client = await pool.connect();
+  try {
+    await revokeSession(client, req.user.userId, req.user.sid);
+    await recordAudit(client, req, 'LOGOUT', { target: { type: 'session', id: req.user.sid } });
+    return res.json({ success: true, message: 'Logged out' });
+  } finally {
+    client.release();
+  }
 };
 
-const verifyAadhaar = async (req, res) => {
-  return res.json({ success: true, message: 'Aadhaar verified (stub)' });
+// End every session of the current user ("log out all devices")
+const logoutAll = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const revoked = await revokeAllSessions(client, req.user.userId);
+    await recordAudit(client, req, 'LOGOUT_ALL', { target: { type: 'user', id: req.user.userId }, details: { revoked } });
+    return res.json({ success: true, message: 'Logged out of all devices', revoked });
+  } finally {
+    client.release();
+  }
 };
 
-// Update profile display name
-const updateProfile = async (req, res) => {
-  if (!req.user?.userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
-  const { name } = req.body || {};
-  if (!name || typeof name !== 'string') {
-    return res.status(400).json({ success: false, message: 'Name is required' });
+// List the current user's live sessions
+const getSessions = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const sessions = await listSessions(client, req.user.userId);
+    return res.json({
+      success: true,
+      sessions: sessions.map(s => ({
+        id: s.session_id,
+        userAgent: s.user_agent,
+        ipAddress: s.ip_address,
+        createdAt: s.created_at,
+        lastUsedAt: s.last_used_at,
+        expiresAt: s.expires_at,
+        current: s.session_id === req.user.sid
+      }))
+    });
+  } finally {
+    client.release();
   }
-  let client;
+};
+
+// Revoke one of the current user's sessions (e.g. a lost phone)
+const deleteSession = async (req, res) => {
+  const client = await pool.connect();
   try {
-    client = await pool.connect();
-    const idCol = await getUserIdColumn(client);
-    const colsRes = await client.query(`SELECT column_name FROM information_schema.columns WHERE table_name = 'users' AND column_name IN ('full_name','name')`);
-    const cols = new Set(colsRes.rows.map(r => r.column_name));
+    const revoked = await revokeSession(client, req.user.userId, req.params.id);
+    if (!revoked) throw new NotFoundError('Session not found');
+    await recordAudit(client, req, 'SESSION_REVOKED', { target: { type: 'session', id: req.params.id } });
+    return res.json({ success: true, message: 'Session revoked' });
+  } finally {
+    client.release();
+  }
+};
 
-    if (!cols.size) {
-      return res.status(400).json({ success: false, message: 'No updatable name column found' });
+// Submit an Aadhaar number for KYC. The number is checked locally (Verhoeff),
+// recorded as pending, then sent to the provider; only a mask and an HMAC are stored.
+const verifyAadhaar = async (req, res) => {
+  const aadhaar = normalizeAadhaar(req.body.aadhaar_number);
+  if (!aadhaar) {
+    throw new ValidationError('Invalid Aadhaar number');
+  }
+  const aadhaarHash = hashAadhaar(aadhaar);
+  const client = await pool.connect();
+  try {
+    const user = await users.findById(client, req.user.userId);
+    if (!user) throw new NotFoundError('User not found');
+
+    const existing = await kyc.findByUserId(client, user.id);
+    if (existing?.status === 'verified') {
+      throw new ConflictError('KYC already verified', { details: { kyc: toKycResponse(existing) } });
+    }
+    if (await kyc.findLiveByHash(client, aadhaarHash, user.id)) {
+      throw new ConflictError('Aadhaar number is linked to another account');
     }
 
-    const sets = [];
-    const vals = [];
-    if (cols.has('full_name')) { sets.push('full_name = $' + (vals.length + 1)); vals.push(name); }
-    if (cols.has('name')) { sets.push('name = $' + (vals.length + 1)); vals.push(name); }
-    vals.push(req.user.userId);
-    const sql = `UPDATE users SET ${sets.join(', ')} WHERE ${idCol} = $${vals.length}`;
-    await client.query(sql, vals);
+    await kyc.submit(client, user.id, {
+      aadhaarMasked: maskAadhaar(aadhaar),
+      aadhaarHash,
+      provider: getKycProvider().name
+    });
 
-    return res.json({ success: true, message: 'Profile updated', name });
+    let outcome;
+    try {
+      outcome = await verifyIdentity({ aadhaarNumber: aadhaar, name: user.name, userId: user.id });
+    } catch (error) {
+      // The submission stays pending; the user can retry later
+      console.error('KYC provider error:', error.message);
+      throw new AppError('KYC provider unavailable, please retry later', { status: 502, code: 'KYC_PROVIDER_UNAVAILABLE' });
+    }
+    const record = await kyc.recordResult(client, user.id, outcome);
+    await recordAudit(client, req, 'KYC_SUBMITTED', {
+      target: { type: 'user', id: user.id },
+      details: { status: record.status, provider: record.provider, aadhaarMasked: record.aadhaar_masked }
+    });
+
+    if (record.status === 'rejected') {
+      throw new AppError('KYC verification rejected', {
+        status: 422,
+        code: 'KYC_REJECTED',
+        details: { kyc: toKycResponse(record) }
+      });
+    }
+    return res.status(record.status === 'pending' ? 202 : 200).json({
+      success: true,
+      message: record.status === 'pending' ? 'KYC verification pending' : 'KYC verified',
+      kyc: toKycResponse(record)
+    });
   } catch (error) {
-    console.error('UpdateProfile error:', error);
-    return res.status(500).json({ success: false, message: 'Internal server error' });
+    // Another account submitted the same number concurrently
+    if (error.code === '23505') throw new ConflictError('Aadhaar number is linked to another account');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Update profile display name
+const updateProfile = async (req, res) => {
+  if (!req.user?.userId) throw new UnauthorizedError('Unauthorized');
+  const { name } = req.body;
+  const client = await pool.connect();
+  try {
+    const updated = await users.updateName(client, req.user.userId, name);
+    if (!updated) {
+      throw new ValidationError('No updatable name column found');
+    }
+    await recordAudit(client, req, 'PROFILE_UPDATED', {
+      target: { type: 'user', id: req.user.userId },
+      details: { changes: { name } }
+    });
+    return res.json({ success: true, message: 'Profile updated', name });
+  } finally {
+    client.release();
+  }
+};
+
+const getNotificationPreferences = async (req, res) => {
+  if (!req.user?.userId) throw new UnauthorizedError('Unauthorized');
+  const client = await pool.connect();
+  try {
+    return res.json({ success: true, preferences: await notifications.getPreferences(client, req.user.userId) });
   } finally {
-    if (client) client.release();
+    client.release();
   }
 };
 
-module.exports = { register, login, getMe, logout, verifyAadhaar, updateProfile };
+// Turn channels on or off; channels left out keep their setting
+const updateNotificationPreferences = async (req, res) => {
+  if (!req.user?.userId) throw new UnauthorizedError('Unauthorized');
+  const changes = Object.fromEntries(
+    notifications.CHANNELS.filter(c => req.body[c] !== undefined).map(c => [c, req.body[c]])
+  );
+  if (Object.keys(changes).length === 0) throw new ValidationError('Nothing to update');
+  const client = await pool.connect();
+  try {
+    const preferences = await notifications.savePreferences(client, req.user.userId, changes);
+    await recordAudit(client, req, 'PROFILE_UPDATED', {
+      target: { type: 'user', id: req.user.userId },
+      details: { changes: { notification_preferences: changes } }
+    });
+    return res.json({ success: true, message: 'Notification preferences updated', preferences });
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  requestOtp,
+  verifyOtpCode,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  refresh,
+  getMe,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
+  verifyAadhaar,
+  updateProfile,
+  getNotificationPreferences,
+  updateNotificationPreferences
+};
@@ -0,0 +1,299 @@
+const pool = require('../config/database');
+const { canAccessHotel } = require('../middleware/authMiddleware');
+const {
+  BOOKABLE_ROOM,
+  MODIFIABLE_BOOKING_STATUSES,
+  REQUIRE_KYC_FOR_CONFIRMATION,
+  PRICE_COLUMNS,
+  priceValues,
+  canTransition,
+  parseStayWindow,
+  findConflictingBooking,
+  insertPendingBooking,
+  publishBookingEvent
+} = require('../utils/bookings');
+const { signBookingToken, issueBookingToken } = require('../utils/bookingTokens');
+const { PRICING_ROOM_COLUMNS, quoteStay, repriceBooking } = require('../utils/pricing');
+const { refundPolicy } = require('../utils/cancellationPolicy');
+const { reserveRefunds, sendRefunds, refundTotal } = require('../utils/refunds');
+const offers = require('../repositories/offerRepository');
+const kyc = require('../repositories/kycRepository');
+const { recordAudit } = require('../services/audit');
+const {
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors');
+
+// Load and lock a booking inside an open transaction, checking the caller may manage it:
+// the guest who owns it, staff of the booked room's hotel, or an admin.
+// Throws NotFoundError / ForbiddenError when it can't be used.
+const lockManagedBooking = async (client, bookingId, user) => {
+  const result = await client.query(
+    `SELECT b.*, r.hotel_id
+     FROM bookings b
+     JOIN rooms r ON r.room_id = b.room_id
+     WHERE b.booking_id = $1
+     FOR UPDATE OF b`,
+    [bookingId]
+  );
+  if (result.rows.length === 0) throw new NotFoundError('Booking not found');
+  const booking = result.rows[0];
+  if (String(booking.user_id) !== String(user.userId) && !canAccessHotel(user, booking.hotel_id)) {
+    throw new ForbiddenError('Not your booking');
+  }
+  return booking;
+};
+
+// Create a booking for the logged-in user after checking the room is free.
+// It stays pending, holding the room, until paid or confirmed or its hold expires.
+const createBooking = async (req, res) => {
+  if (!req.user?.userId) throw new UnauthorizedError('Unauthorized');
+  const { room_id, check_in_time, check_out_time, guests, offer_ids = [], promo_code } = req.body;
+  const stay = parseStayWindow(check_in_time, check_out_time);
+  if (stay.error) {
+    throw new ValidationError(stay.error);
+  }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Lock the room row so concurrent bookings for the same room are serialized
+    const room = await client.query(
+      `SELECT ${PRICING_ROOM_COLUMNS} FROM rooms r WHERE r.room_id = $1 AND ${BOOKABLE_ROOM} FOR UPDATE OF r`,
+      [room_id]
+    );
+    if (room.rows.length === 0) {
+      throw new NotFoundError('Room not found');
+    }
+
+    const conflict = await findConflictingBooking(client, room_id, stay.checkIn, stay.checkOut);
+    if (conflict) {
+      throw new ConflictError('Room is already booked for the selected dates');
+    }
+
+    // Offer rows stay locked until COMMIT and their uses are counted after the lock
+    // is taken, so concurrent bookings can't overrun a usage cap
+    const pricing = await quoteStay(client, room.rows[0], {
+      checkIn: stay.checkIn,
+      checkOut: stay.checkOut,
+      guests,
+      userId: req.user.userId,
+      offerIds: offer_ids,
+      promoCode: promo_code,
+      lock: true
+    });
+
+    const booking = await insertPendingBooking(client, {
+      userId: req.user.userId,
+      roomId: room_id,
+      checkIn: stay.checkIn,
+      checkOut: stay.checkOut,
+      pricing
+    });
+    await offers.recordRedemptions(client, booking.booking_id, req.user.userId, pricing.discounts);
+    await client.query('COMMIT');
+    await recordAudit(client, req, 'BOOKING_CREATED', {
+      target: { type: 'booking', id: booking.booking_id },
+      details: {
+        roomId: room_id,
+        checkIn: stay.checkIn,
+        checkOut: stay.checkOut,
+        offers: pricing.discounts.map(d => d.offer_id),
+        total: pricing.total
+      }
+    });
+    publishBookingEvent('booking.created', booking);
+    return res.status(201).json({ success: true, message: 'Booking created', booking, pricing });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Change the dates of a pending or confirmed booking, re-checking availability
+const updateBookingDates = async (req, res) => {
+  if (!req.user?.userId) throw new UnauthorizedError('Unauthorized');
+  const bookingId = req.params.id;
+  const { check_in_time, check_out_time } = req.body;
+  const stay = parseStayWindow(check_in_time, check_out_time);
+  if (stay.error) {
+    throw new ValidationError(stay.error);
+  }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const booking = await lockManagedBooking(client, bookingId, req.user);
+    if (!MODIFIABLE_BOOKING_STATUSES.includes(booking.status)) {
+      throw new ConflictError(`Cannot change dates of a ${booking.status} booking`);
+    }
+
+    const room = await client.query(
+      `SELECT ${PRICING_ROOM_COLUMNS} FROM rooms r WHERE r.room_id = $1 AND ${BOOKABLE_ROOM} FOR UPDATE OF r`,
+      [booking.room_id]
+    );
+    if (room.rows.length === 0) {
+      throw new ConflictError('Room is no longer available for booking');
+    }
+    const conflict = await findConflictingBooking(client, booking.room_id, stay.checkIn, stay.checkOut, bookingId);
+    if (conflict) {
+      throw new ConflictError('Room is already booked for the selected dates');
+    }
+
+    // New dates mean new nightly rates; offers keep the terms they were booked with
+    // but must still apply to the new stay
+    const pricing = await repriceBooking(client, room.rows[0], booking, { checkIn: stay.checkIn, checkOut: stay.checkOut });
+    const result = await client.query(
+      `UPDATE bookings SET check_in_time = $1, check_out_time = $2, (${PRICE_COLUMNS}) = ($4, $5, $6, $7, $8, $9, $10)
+       WHERE booking_id = $3
+       RETURNING *`,
+      [stay.checkIn, stay.checkOut, bookingId, ...priceValues(pricing)]
+    );
+    await offers.updateRedemptionAmounts(client, bookingId, pricing.discounts);
+    // The old token is signed over the old dates, so confirmed bookings get a new one
+    const issued = booking.status === 'confirmed' ? await issueBookingToken(client, result.rows[0]) : null;
+    await client.query('COMMIT');
+    await recordAudit(client, req, 'BOOKING_DATES_CHANGED', {
+      target: { type: 'booking', id: bookingId },
+      details: {
+        from: { checkIn: booking.check_in_time, checkOut: booking.check_out_time, total: booking.total_price },
+        to: { checkIn: stay.checkIn, checkOut: stay.checkOut, total: pricing.total }
+      }
+    });
+    return res.json({
+      success: true,
+      message: 'Booking dates updated',
+      booking: result.rows[0],
+      ...(issued && { booking_token: issued.token })
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Move a booking to a new status, enforcing the transition rules.
+// Tokens are invalidated once the booking can no longer be used to enter the room,
+// and cancelling refunds captured payments as the cancellation policy allows.
+const transitionBooking = async (req, res, nextStatus) => {
+  if (!req.user?.userId) throw new UnauthorizedError('Unauthorized');
+  const bookingId = req.params.id;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const booking = await lockManagedBooking(client, bookingId, req.user);
+    // Guests confirm by paying (the payment webhook confirms on capture); only the
+    // hotel may confirm by hand, e.g. for payment taken at the desk
+    if (nextStatus === 'confirmed' && !canAccessHotel(req.user, booking.hotel_id)) {
+      throw new ForbiddenError('Only hotel staff can confirm a booking');
+    }
+    if (!canTransition(booking.status, nextStatus)) {
+      throw new ConflictError(`Cannot move booking from ${booking.status} to ${nextStatus}`);
+    }
+
+    // Optional policy: the guest must have passed KYC before a booking is confirmed
+    if (nextStatus === 'confirmed' && REQUIRE_KYC_FOR_CONFIRMATION && !(await kyc.isVerified(client, booking.user_id))) {
+      throw new ForbiddenError('Guest KYC verification is required to confirm this booking');
+    }
+
+    const now = new Date();
+    if (nextStatus === 'checked_in' && (now < booking.check_in_time || now >= booking.check_out_time)) {
+      throw new ConflictError('Check-in is only allowed during the booked stay');
+    }
+
+    const byHotel = String(booking.user_id) !== String(req.user.userId);
+    const cancellationReason = nextStatus === 'cancelled' ? (byHotel ? 'cancelled_by_hotel' : 'cancelled_by_guest') : null;
+    const result = await client.query(
+      'UPDATE bookings SET status = $1, cancellation_reason = $3 WHERE booking_id = $2 RETURNING *',
+      [nextStatus, bookingId, cancellationReason]
+    );
+    let issued = null;
+    if (nextStatus === 'confirmed') {
+      issued = await issueBookingToken(client, result.rows[0]);
+    } else if (nextStatus === 'cancelled' || nextStatus === 'checked_out') {
+      await client.query('UPDATE booking_tokens SET is_valid = false WHERE booking_id = $1', [bookingId]);
+    }
+    let refunds = [];
+    if (nextStatus === 'cancelled') {
+      const policy = refundPolicy(booking.check_in_time, { byHotel });
+      refunds = await reserveRefunds(client, bookingId, { percent: policy.refund_percent, reason: 'booking_cancelled', policy });
+    }
+    await client.query('COMMIT');
+    await recordAudit(client, req, 'BOOKING_STATUS_CHANGED', {
+      target: { type: 'booking', id: bookingId },
+      details: { from: booking.status, to: nextStatus }
+    });
+    for (const refund of refunds) {
+      await recordAudit(client, req, 'REFUND_INITIATED', {
+        target: { type: 'booking', id: bookingId },
+        details: { refundId: refund.refund_id, amount: refund.amount, policy: refund.policy }
+      });
+    }
+    publishBookingEvent(`booking.${nextStatus}`, result.rows[0], refunds.length > 0 ? { refund: refundTotal(refunds) } : {});
+    return res.json({
+      success: true,
+      message: `Booking ${nextStatus.replace('_', ' ')}`,
+      booking: result.rows[0],
+      ...(issued && { booking_token: issued.token }),
+      ...(refunds.length > 0 && { refunds: await sendRefunds(client, refunds) })
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Return the signed room-access token for one of the user's confirmed bookings
+const getBookingToken = async (req, res) => {
+  if (!req.user?.userId) throw new UnauthorizedError('Unauthorized');
+  const bookingId = req.params.id;
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT b.*, bt.digital_signature
+       FROM bookings b
+       LEFT JOIN booking_tokens bt ON bt.booking_id = b.booking_id AND bt.is_valid = true
+       WHERE b.booking_id = $1
+       ORDER BY bt.token_id DESC
+       LIMIT 1`,
+      [bookingId]
+    );
+    if (result.rows.length === 0) throw new NotFoundError('Booking not found');
+    const booking = result.rows[0];
+    if (String(booking.user_id) !== String(req.user.userId)) {
+      throw new ForbiddenError('Not your booking');
+    }
+    const { token, signature } = signBookingToken(booking);
+    if (!booking.digital_signature || booking.digital_signature !== signature) {
+      throw new NotFoundError('No valid token for this booking');
+    }
+    return res.json({ success: true, booking_token: token });
+  } finally {
+    client.release();
+  }
+};
+
+const confirmBooking = (req, res) => transitionBooking(req, res, 'confirmed');
+const cancelBooking = (req, res) => transitionBooking(req, res, 'cancelled');
+const checkIn = (req, res) => transitionBooking(req, res, 'checked_in');
+const checkOut = (req, res) => transitionBooking(req, res, 'checked_out');
+
+module.exports = {
+  createBooking,
+  updateBookingDates,
+  getBookingToken,
+  confirmBooking,
+  cancelBooking,
+  checkIn,
+  checkOut
+};
@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { ACTIVE_BOOKING_STATUSES } = require('../utils/bookings');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { recordAudit } = require('../services/audit');
+const ratePlans = require('../repositories/ratePlanRepository');
+const { toRating } = require('../repositories/reviewRepository');
+const { HOTEL_SORTS } = require('../utils/sorts');
+
+const HOTEL_COLUMNS = 'hotel_id, name, city, address, is_active';
+const ROOM_COLUMNS = 'room_id, hotel_id, room_number, room_type, capacity, base_price, rate_plan_id, amenities, qr_code_id, is_active';
+
+// A room can only use one of its own hotel's rate plans
+const checkRatePlan = async (client, hotelId, ratePlanId) => {
+  if (ratePlanId && !(await ratePlans.belongsToHotel(client, ratePlanId, hotelId))) {
+    throw new ValidationError('Rate plan not found for this hotel');
+  }
+};
+
+// Fresh, unguessable id printed on the room's QR code
+const generateQrCodeId = () => `QR-${crypto.randomBytes(12).toString('base64url')}`;
+
+// Build "col = $n" assignments for an UPDATE from validated values.
+// The request schemas keep only declared fields, so the keys are known column names.
+const buildSet = (values, startAt = 1) => {
+  const cols = Object.keys(values);
+  return {
+    set: cols.map((col, i) => `${col} = $${startAt + i}`).join(', '),
+    params: cols.map(col => values[col])
+  };
+};
+
+// Active hotels with their guest rating (public)
+const listHotels = async (req, res) => {
+  const { city, sort } = req.query;
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT ${HOTEL_COLUMNS}, created_at, rating_average, review_count FROM hotels
+       WHERE is_active = true AND ($1::text IS NULL OR city ILIKE $1)
+       ORDER BY ${HOTEL_SORTS[sort]}`,
+      [city || null]
+    );
+    const hotels = result.rows.map(hotel => ({ ...hotel, rating_average: toRating(hotel.rating_average) }));
+    return res.json({ success: true, hotels });
+  } finally {
+    client.release();
+  }
+};
+
+// Create a hotel (admins only)
+const createHotel = async (req, res) => {
+  const { name, city, address = null } = req.body;
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `INSERT INTO hotels (name, city, address, is_active) VALUES ($1, $2, $3, true) RETURNING ${HOTEL_COLUMNS}`,
+      [name, city, address]
+    );
+    await recordAudit(client, req, 'HOTEL_CREATED', { target: { type: 'hotel', id: result.rows[0].hotel_id }, details: { name, city } });
+    return res.status(201).json({ success: true, message: 'Hotel created', hotel: result.rows[0] });
+  } finally {
+    client.release();
+  }
+};
+
+// Update a hotel's details or re-activate it
+const updateHotel = async (req, res) => {
+  const { hotelId } = req.params;
+  if (Object.keys(req.body).length === 0) {
+    throw new ValidationError('Nothing to update');
+  }
+  const { set, params } = buildSet(req.body);
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `UPDATE hotels SET ${set} WHERE hotel_id = $${params.length + 1} RETURNING ${HOTEL_COLUMNS}`,
+      [...params, hotelId]
+    );
+    if (result.rows.length === 0) throw new NotFoundError('Hotel not found');
+    await recordAudit(client, req, 'HOTEL_UPDATED', { target: { type: 'hotel', id: hotelId }, details: { changes: req.body } });
+    return res.json({ success: true, message: 'Hotel updated', hotel: result.rows[0] });
+  } finally {
+    client.release();
+  }
+};
+
+// Soft-deactivate a hotel: it disappears from listings and search but keeps its history
+const deactivateHotel = async (req, res) => {
+  const { hotelId } = req.params;
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `UPDATE hotels SET is_active = false WHERE hotel_id = $1 RETURNING ${HOTEL_COLUMNS}`,
+      [hotelId]
+    );
+    if (result.rows.length === 0) throw new NotFoundError('Hotel not found');
+    await recordAudit(client, req, 'HOTEL_DEACTIVATED', { target: { type: 'hotel', id: hotelId } });
+    return res.json({ success: true, message: 'Hotel deactivated', hotel: result.rows[0] });
+  } finally {
+    client.release();
+  }
+};
+
+// List a hotel's rooms, including retired ones and QR code ids
+const listHotelRooms = async (req, res) => {
+  const { hotelId } = req.params;
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT ${ROOM_COLUMNS} FROM rooms WHERE hotel_id = $1 ORDER BY room_number ASC NULLS LAST, room_id ASC`,
+      [hotelId]
+    );
+    return res.json({ success: true, rooms: result.rows });
+  } finally {
+    client.release();
+  }
+};
+
+// Add a room to a hotel with a freshly generated QR code id
+const createRoom = async (req, res) => {
+  const { hotelId } = req.params;
+  const { room_number, room_type, capacity, base_price, amenities = [], rate_plan_id = null } = req.body;
+  const client = await pool.connect();
+  try {
+    const hotel = await client.query('SELECT 1 FROM hotels WHERE hotel_id = $1', [hotelId]);
+    if (hotel.rows.length === 0) throw new NotFoundError('Hotel not found');
+    await checkRatePlan(client, hotelId, rate_plan_id);
+    const duplicate = await client.query(
+      'SELECT 1 FROM rooms WHERE hotel_id = $1 AND room_number = $2',
+      [hotelId, room_number]
+    );
+    if (duplicate.rows.length > 0) {
+      throw new ConflictError('Room number already exists in this hotel');
+    }
+    const result = await client.query(
+      `INSERT INTO rooms (hotel_id, room_number, room_type, capacity, base_price, amenities, qr_code_id, rate_plan_id, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, true)
+       RETURNING ${ROOM_COLUMNS}`,
+      [hotelId, room_number, room_type, capacity, base_price, amenities, generateQrCodeId(), rate_plan_id]
+    );
+    await recordAudit(client, req, 'ROOM_CREATED', {
+      target: { type: 'room', id: result.rows[0].room_id },
+      details: { hotelId, roomNumber: room_number }
+    });
+    return res.status(201).json({ success: true, message: 'Room created', room: result.rows[0] });
+  } catch (error) {
+    // A concurrent write can still take the number past the check above
+    if (error.code === '23505') throw new ConflictError('Room number already exists in this hotel');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Edit a room's details or bring a retired room back
+const updateRoom = async (req, res) => {
+  const { hotelId, roomId } = req.params;
+  if (Object.keys(req.body).length === 0) {
+    throw new ValidationError('Nothing to update');
+  }
+  const { set, params } = buildSet(req.body);
+  const client = await pool.connect();
+  try {
+    await checkRatePlan(client, hotelId, req.body.rate_plan_id);
+    if (req.body.room_number) {
+      const duplicate = await client.query(
+        'SELECT 1 FROM rooms WHERE hotel_id = $1 AND room_number = $2 AND room_id <> $3',
+        [hotelId, req.body.room_number, roomId]
+      );
+      if (duplicate.rows.length > 0) {
+        throw new ConflictError('Room number already exists in this hotel');
+      }
+    }
+    const result = await client.query(
+      `UPDATE rooms SET ${set}
+       WHERE room_id = $${params.length + 1} AND hotel_id = $${params.length + 2}
+       RETURNING ${ROOM_COLUMNS}`,
+      [...params, roomId, hotelId]
+    );
+    if (result.rows.length === 0) throw new NotFoundError('Room not found');
+    await recordAudit(client, req, 'ROOM_UPDATED', { target: { type: 'room', id: roomId }, details: { hotelId, changes: req.body } });
+    return res.json({ success: true, message: 'Room updated', room: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') throw new ConflictError('Room number already exists in this hotel');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Retire a room so it can no longer be searched or booked.
+// Refused while the room still has upcoming or in-progress bookings.
+const retireRoom = async (req, res) => {
+  const { hotelId, roomId } = req.params;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const room = await client.query(
+      'SELECT room_id FROM rooms WHERE room_id = $1 AND hotel_id = $2 FOR UPDATE',
+      [roomId, hotelId]
+    );
+    if (room.rows.length === 0) {
+      throw new NotFoundError('Room not found');
+    }
+    const upcoming = await client.query(
+      `SELECT 1 FROM bookings
+       WHERE room_id = $1 AND status = ANY($2) AND check_out_time > NOW()
+       LIMIT 1`,
+      [roomId, ACTIVE_BOOKING_STATUSES]
+    );
+    if (upcoming.rows.length > 0) {
+      throw new ConflictError('Room has upcoming bookings');
+    }
+    const result = await client.query(
+      `UPDATE rooms SET is_active = false WHERE room_id = $1 RETURNING ${ROOM_COLUMNS}`,
+      [roomId]
+    );
+    await client.query('COMMIT');
+    await recordAudit(client, req, 'ROOM_RETIRED', { target: { type: 'room', id: roomId }, details: { hotelId } });
+    return res.json({ success: true, message: 'Room retired', room: result.rows[0] });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Issue a new QR code id for a room, e.g. after a printed code was copied
+const regenerateRoomQr = async (req, res) => {
+  const { hotelId, roomId } = req.params;
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `UPDATE rooms SET qr_code_id = $1 WHERE room_id = $2 AND hotel_id = $3 RETURNING ${ROOM_COLUMNS}`,
+      [generateQrCodeId(), roomId, hotelId]
+    );
+    if (result.rows.length === 0) throw new NotFoundError('Room not found');
+    await recordAudit(client, req, 'ROOM_QR_REGENERATED', { target: { type: 'room', id: roomId }, details: { hotelId } });
+    return res.json({ success: true, message: 'QR code regenerated', room: result.rows[0] });
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  listHotels,
+  createHotel,
+  updateHotel,
+  deactivateHotel,
+  listHotelRooms,
+  createRoom,
+  updateRoom,
+  retireRoom,
+  regenerateRoomQr
+};
@@ -0,0 +1,174 @@
+const pool = require('../config/database');
+const notifications = require('../repositories/notificationRepository');
+const { parsePagination } = require('../utils/pagination');
+const { watchUser } = require('../services/notifications');
+const { isSessionActive } = require('../utils/sessions');
+const { UnauthorizedError, NotFoundError } = require('../utils/errors');
+
+// Streams look for notifications written elsewhere this often, and send a
+// comment line so proxies keep the connection open
+const STREAM_POLL_SECONDS = Number(process.env.NOTIFICATION_STREAM_POLL_SECONDS) || 15;
+
+// Ids are taken at INSERT but rows show up at COMMIT, so a notification can appear
+// after a later id was already streamed. Each read looks back this far for ones
+// not sent yet.
+const STREAM_LOOKBACK_SECONDS = Number(process.env.NOTIFICATION_STREAM_LOOKBACK_SECONDS) || 60;
+
+// Most notifications read per query while catching a stream up
+const STREAM_BATCH_SIZE = 100;
+
+// How long EventSource clients wait before reconnecting
+const STREAM_RETRY_MS = 5000;
+
+// Longest delay setTimeout accepts
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+const listNotifications = async (req, res) => {
+  if (!req.user?.userId) throw new UnauthorizedError('Unauthorized');
+  const { page, limit, offset } = parsePagination(req.query);
+  const client = await pool.connect();
+  try {
+    const { total, notifications: rows } = await notifications.listForUser(client, req.user.userId, {
+      unreadOnly: req.query.unread === true,
+      limit,
+      offset
+    });
+    const unread = await notifications.countUnread(client, req.user.userId);
+    return res.json({ success: true, notifications: rows, unread_count: unread, pagination: { page, limit, total } });
+  } finally {
+    client.release();
+  }
+};
+
+const getUnreadCount = async (req, res) => {
+  if (!req.user?.userId) throw new UnauthorizedError('Unauthorized');
+  const client = await pool.connect();
+  try {
+    return res.json({ success: true, unread_count: await notifications.countUnread(client, req.user.userId) });
+  } finally {
+    client.release();
+  }
+};
+
+const markRead = async (req, res) => {
+  if (!req.user?.userId) throw new UnauthorizedError('Unauthorized');
+  const client = await pool.connect();
+  try {
+    const notification = await notifications.markRead(client, req.user.userId, req.params.notificationId);
+    if (!notification) throw new NotFoundError('Notification not found');
+    const unread = await notifications.countUnread(client, req.user.userId);
+    return res.json({ success: true, notification, unread_count: unread });
+  } finally {
+    client.release();
+  }
+};
+
+const markAllRead = async (req, res) => {
+  if (!req.user?.userId) throw new UnauthorizedError('Unauthorized');
+  const client = await pool.connect();
+  try {
+    const updated = await notifications.markAllRead(client, req.user.userId);
+    return res.json({ success: true, message: 'All notifications marked read', updated, unread_count: 0 });
+  } finally {
+    client.release();
+  }
+};
+
+const formatEvent = (notification) =>
+  `id: ${notification.notification_id}\nevent: notification\ndata: ${JSON.stringify(notification)}\n\n`;
+
+// Push the user's new notifications as Server-Sent Events. A reconnecting client
+// sends Last-Event-ID (or ?last_event_id=) and first gets everything after it,
+// plus any from the lookback window it may have missed (ids are stable, so it
+// can drop ones it already has); otherwise only notifications from now on are
+// sent (the inbox has the rest). The stream ends when the access token expires
+// or its session is revoked, so the client reconnects with a fresh one.
+const streamNotifications = async (req, res) => {
+  if (!req.user?.userId) throw new UnauthorizedError('Unauthorized');
+  const { userId, sid } = req.user;
+  const header = Number.parseInt(req.get('last-event-id'), 10);
+  let lastId = Number.isInteger(header) && header >= 0 ? header : req.query.last_event_id;
+  // Ids sent (or, on a fresh stream, already in the inbox) within the lookback window
+  const sent = new Map();
+  if (lastId === undefined) {
+    lastId = await notifications.latestId(pool, userId);
+    for (const row of await notifications.listRecentIds(pool, userId, STREAM_LOOKBACK_SECONDS)) {
+      sent.set(row.notification_id, row.created_at);
+    }
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  let closed = false;
+  let sending = false;
+  let pending = false;
+  // Send everything not sent yet; calls made while sending run once more afterwards
+  const sendNew = async () => {
+    if (closed) return;
+    if (sending) {
+      pending = true;
+      return;
+    }
+    sending = true;
+    try {
+      // Forget ids that have left the lookback window (with room for clock skew)
+      const forgetBefore = Date.now() - 2 * STREAM_LOOKBACK_SECONDS * 1000;
+      for (const [id, createdAt] of sent) {
+        if (new Date(createdAt).getTime() < forgetBefore) sent.delete(id);
+      }
+      do {
+        pending = false;
+        const rows = await notifications.listForStream(pool, userId, {
+          afterId: lastId,
+          lookbackSeconds: STREAM_LOOKBACK_SECONDS,
+          excludeIds: [...sent.keys()],
+          limit: STREAM_BATCH_SIZE
+        });
+        for (const row of rows) {
+          if (closed) return;
+          res.write(formatEvent(row));
+          sent.set(row.notification_id, row.created_at);
+          lastId = Math.max(lastId, row.notification_id);
+        }
+        if (rows.length === STREAM_BATCH_SIZE) pending = true;
+      } while (pending && !closed);
+    } catch (error) {
+      console.error('Notification stream error:', error.message);
+    } finally {
+      sending = false;
+    }
+  };
+
+  const unwatch = watchUser(userId, sendNew);
+  const poll = setInterval(async () => {
+    // A logged-out or revoked session ends the stream like an expired token (a
+    // failed check keeps it open)
+    const active = await isSessionActive(sid).catch(() => true);
+    if (closed) return;
+    if (!active) {
+      res.end();
+      return;
+    }
+    res.write(': ping\n\n');
+    sendNew();
+  }, STREAM_POLL_SECONDS * 1000);
+  const expiry = req.user.exp
+    ? setTimeout(() => res.end(), Math.min(Math.max(req.user.exp * 1000 - Date.now(), 0), MAX_TIMEOUT_MS))
+    : null;
+  res.on('close', () => {
+    closed = true;
+    unwatch();
+    clearInterval(poll);
+    clearTimeout(expiry);
+  });
+  await sendNew();
+};
+
+module.exports = { listNotifications, getUnreadCount, markRead, markAllRead, streamNotifications };
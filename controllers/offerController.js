@@ -0,0 +1,131 @@
+const pool = require('../config/database');
+const offers = require('../repositories/offerRepository');
+const { BOOKABLE_ROOM, parseStayWindow } = require('../utils/bookings');
+const { PRICING_ROOM_COLUMNS, quoteStay } = require('../utils/pricing');
+const { recordAudit } = require('../services/audit');
+const { publish } = require('../services/events');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Public offers valid today, optionally only those usable at one hotel
+const listOffers = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    return res.json({ success: true, offers: await offers.listPublic(client, { hotelId: req.query.hotel_id }) });
+  } finally {
+    client.release();
+  }
+};
+
+// Price a stay with the given offers / promo code without booking it
+const validateOffers = async (req, res) => {
+  const { room_id, check_in_time, check_out_time, guests, offer_ids = [], promo_code } = req.body;
+  const stay = parseStayWindow(check_in_time, check_out_time);
+  if (stay.error) {
+    throw new ValidationError(stay.error);
+  }
+  const client = await pool.connect();
+  try {
+    const room = await client.query(
+      `SELECT ${PRICING_ROOM_COLUMNS} FROM rooms r WHERE r.room_id = $1 AND ${BOOKABLE_ROOM}`,
+      [room_id]
+    );
+    if (room.rows.length === 0) throw new NotFoundError('Room not found');
+    const pricing = await quoteStay(client, room.rows[0], {
+      checkIn: stay.checkIn,
+      checkOut: stay.checkOut,
+      guests,
+      userId: req.user.userId,
+      offerIds: offer_ids,
+      promoCode: promo_code
+    });
+    return res.json({ success: true, valid: true, pricing });
+  } finally {
+    client.release();
+  }
+};
+
+// All offers of a hotel, including promo codes and expired ones (staff)
+const listHotelOffers = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    return res.json({ success: true, offers: await offers.listForHotel(client, req.params.hotelId) });
+  } finally {
+    client.release();
+  }
+};
+
+// Create an offer or promo code for a hotel (staff)
+const createOffer = async (req, res) => {
+  const { hotelId } = req.params;
+  const { discount_type, discount_value, valid_from, valid_to, room_ids } = req.body;
+  if (discount_type === 'percent' && discount_value > 100) {
+    throw new ValidationError('A percentage discount cannot exceed 100');
+  }
+  if (valid_to < valid_from) {
+    throw new ValidationError('Offer must end on or after its start date');
+  }
+  const client = await pool.connect();
+  try {
+    if (room_ids?.length) {
+      const rooms = await client.query(
+        'SELECT room_id FROM rooms WHERE hotel_id = $1 AND room_id = ANY($2::int[])',
+        [hotelId, room_ids]
+      );
+      if (rooms.rows.length !== room_ids.length) throw new ValidationError('Every room must belong to this hotel');
+    }
+    const offer = await offers.create(client, {
+      hotelId,
+      title: req.body.title,
+      description: req.body.description ?? null,
+      code: req.body.code ? req.body.code.toUpperCase() : null,
+      discountType: discount_type,
+      discountValue: discount_value,
+      maxDiscount: req.body.max_discount ?? null,
+      minNights: req.body.min_nights,
+      roomIds: room_ids?.length ? room_ids : null,
+      maxUses: req.body.max_uses ?? null,
+      maxUsesPerUser: req.body.max_uses_per_user ?? null,
+      stackable: req.body.stackable,
+      validFrom: valid_from,
+      validTo: valid_to,
+      createdBy: req.user.userId
+    });
+    await recordAudit(client, req, 'OFFER_CREATED', {
+      target: { type: 'offer', id: offer.offer_id },
+      details: { hotelId, code: offer.code, discountType: offer.discount_type, discountValue: offer.discount_value }
+    });
+    // Public offers are announced to the hotel's guests; promo codes stay private
+    if (!offer.code) {
+      publish('offer.announced', {
+        offerId: offer.offer_id,
+        hotelId,
+        title: offer.title,
+        description: offer.description,
+        validFrom: offer.valid_from,
+        validTo: offer.valid_to
+      });
+    }
+    return res.status(201).json({ success: true, message: 'Offer created', offer });
+  } catch (error) {
+    if (error.code === '23505') throw new ConflictError('Promo code already exists');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Stop an offer from being applied to new bookings (staff). Existing bookings keep their discount.
+const expireOffer = async (req, res) => {
+  const { hotelId, offerId } = req.params;
+  const client = await pool.connect();
+  try {
+    const offer = await offers.expire(client, hotelId, offerId);
+    if (!offer) throw new NotFoundError('Offer not found');
+    await recordAudit(client, req, 'OFFER_EXPIRED', { target: { type: 'offer', id: offerId }, details: { hotelId } });
+    return res.json({ success: true, message: 'Offer expired', offer });
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { listOffers, validateOffers, listHotelOffers, createOffer, expireOffer };
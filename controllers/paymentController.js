@@ -0,0 +1,205 @@
+const pool = require('../config/database');
+const { canAccessHotel } = require('../middleware/authMiddleware');
+const { REQUIRE_KYC_FOR_CONFIRMATION, publishBookingEvent } = require('../utils/bookings');
+const { issueBookingToken } = require('../utils/bookingTokens');
+const { toPaise, toRupees } = require('../utils/pricing');
+const { reserveRefunds, sendRefunds } = require('../utils/refunds');
+const payments = require('../repositories/paymentRepository');
+const kyc = require('../repositories/kycRepository');
+const { createOrder, verifyWebhook, getPaymentProvider } = require('../services/payments');
+const { recordAudit } = require('../services/audit');
+const {
+  AppError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors');
+
+const findBooking = async (client, bookingId, { lock = false } = {}) => {
+  const result = await client.query(
+    `SELECT b.*, r.hotel_id FROM bookings b JOIN rooms r ON r.room_id = b.room_id
+     WHERE b.booking_id = $1 ${lock ? 'FOR UPDATE OF b' : ''}`,
+    [bookingId]
+  );
+  return result.rows[0] || null;
+};
+
+// Open a provider order for the full price of one of the guest's pending bookings.
+// The returned checkout details are handed to the provider's client-side SDK.
+const createPayment = async (req, res) => {
+  if (!req.user?.userId) throw new UnauthorizedError('Unauthorized');
+  const bookingId = req.params.id;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const booking = await findBooking(client, bookingId, { lock: true });
+    if (!booking) throw new NotFoundError('Booking not found');
+    if (String(booking.user_id) !== String(req.user.userId)) throw new ForbiddenError('Not your booking');
+    if (booking.status !== 'pending') throw new ConflictError(`Cannot pay for a ${booking.status} booking`);
+    if (booking.hold_expires_at && new Date(booking.hold_expires_at) <= new Date()) {
+      throw new ConflictError('Booking hold has expired');
+    }
+    if (booking.total_price === null || Number(booking.total_price) <= 0) {
+      throw new ConflictError('Booking has no price to pay');
+    }
+    if (await payments.hasCapture(client, bookingId)) throw new ConflictError('Booking is already paid');
+
+    let order;
+    try {
+      order = await createOrder({
+        amount: toPaise(booking.total_price),
+        currency: booking.currency,
+        receipt: `booking_${bookingId}`
+      });
+    } catch (error) {
+      console.error('Payment provider error:', error.message);
+      throw new AppError('Payment provider unavailable, please retry later', { status: 502, code: 'PAYMENT_PROVIDER_UNAVAILABLE' });
+    }
+    const payment = await payments.create(client, {
+      bookingId,
+      userId: booking.user_id,
+      provider: order.provider,
+      orderId: order.orderId,
+      amount: booking.total_price,
+      currency: booking.currency
+    });
+    await client.query('COMMIT');
+    await recordAudit(client, req, 'PAYMENT_CREATED', {
+      target: { type: 'booking', id: bookingId },
+      details: { paymentId: payment.payment_id, provider: payment.provider, amount: payment.amount }
+    });
+    return res.status(201).json({ success: true, message: 'Payment order created', payment, checkout: order.checkout });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// A booking's payments and refunds (the guest, hotel staff or an admin)
+const listPayments = async (req, res) => {
+  if (!req.user?.userId) throw new UnauthorizedError('Unauthorized');
+  const client = await pool.connect();
+  try {
+    const booking = await findBooking(client, req.params.id);
+    if (!booking) throw new NotFoundError('Booking not found');
+    if (String(booking.user_id) !== String(req.user.userId) && !canAccessHotel(req.user, booking.hotel_id)) {
+      throw new ForbiddenError('Not your booking');
+    }
+    return res.json({ success: true, payments: await payments.listForBooking(client, booking.booking_id) });
+  } finally {
+    client.release();
+  }
+};
+
+// Money captured for a booking that can't use it (cancelled meanwhile, or paid
+// twice) goes straight back in full. Only this payment is refunded: an earlier
+// payment stays paid, and what a cancellation kept under its policy stays kept.
+// A capture for any sum other than the order's (or that doesn't say) never pays
+// for the booking; whatever was taken is refunded.
+const onCaptured = async (client, event, provider, audits, confirmed) => {
+  const payment = await payments.findByOrderId(client, provider, event.orderId);
+  if (!payment || payment.status !== 'created') return [];
+  const captured = Number(event.amount);
+  const known = Number.isInteger(captured) && captured > 0;
+  if (!known || captured !== toPaise(payment.amount)) {
+    const taken = known ? toRupees(captured) : null;
+    await payments.markCaptured(client, payment.payment_id, event.paymentId, taken);
+    audits.push(['PAYMENT_AMOUNT_MISMATCH', payment.booking_id, {
+      paymentId: payment.payment_id,
+      expected: payment.amount,
+      captured: taken
+    }]);
+    return reserveRefunds(client, payment.booking_id, {
+      percent: 100,
+      reason: 'amount_mismatch',
+      policy: null,
+      paymentId: payment.payment_id
+    });
+  }
+  await payments.markCaptured(client, payment.payment_id, event.paymentId);
+  audits.push(['PAYMENT_CAPTURED', payment.booking_id, { paymentId: payment.payment_id, amount: payment.amount }]);
+
+  const booking = await findBooking(client, payment.booking_id, { lock: true });
+  const duplicate = await payments.hasCapture(client, booking.booking_id, payment.payment_id);
+  const usable = ['pending', 'confirmed'].includes(booking.status);
+  if (duplicate || !usable) {
+    const reason = usable ? 'duplicate_payment' : `booking_${booking.status}`;
+    return reserveRefunds(client, booking.booking_id, { percent: 100, reason, policy: null, paymentId: payment.payment_id });
+  }
+  // Bookings that still need the guest's KYC wait for staff to confirm them
+  const needsKyc = REQUIRE_KYC_FOR_CONFIRMATION && !(await kyc.isVerified(client, booking.user_id));
+  if (booking.status === 'pending' && !needsKyc) {
+    const result = await client.query(
+      "UPDATE bookings SET status = 'confirmed' WHERE booking_id = $1 RETURNING *",
+      [booking.booking_id]
+    );
+    await issueBookingToken(client, result.rows[0]);
+    confirmed.push(result.rows[0]);
+    audits.push(['BOOKING_STATUS_CHANGED', booking.booking_id, { from: 'pending', to: 'confirmed', paymentId: payment.payment_id }]);
+  }
+  return [];
+};
+
+const onFailed = async (client, event, provider, audits) => {
+  const payment = await payments.findByOrderId(client, provider, event.orderId);
+  if (!payment || payment.status !== 'created') return;
+  await payments.markFailed(client, payment.payment_id, event.paymentId, event.reason);
+  audits.push(['PAYMENT_FAILED', payment.booking_id, { paymentId: payment.payment_id, reason: event.reason }]);
+};
+
+const onRefundSettled = async (client, event, status, audits) => {
+  const refund = await payments.findRefund(client, { providerRefundId: event.refundId, receipt: event.receipt });
+  if (!refund || refund.status === status || refund.status === 'failed') return;
+  await payments.settleRefund(client, refund, { status, providerRefundId: event.refundId, reason: event.reason });
+  audits.push([status === 'processed' ? 'REFUND_PROCESSED' : 'REFUND_FAILED', refund.booking_id, {
+    refundId: refund.refund_id,
+    amount: refund.amount,
+    ...(event.reason && { reason: event.reason })
+  }]);
+};
+
+// Provider webhook. The signature is checked against the raw body; each event is
+// stored by its id first, so a redelivery is acknowledged without being applied again.
+// Events for unknown orders are acknowledged too, or the provider would keep retrying.
+const handleWebhook = async (req, res) => {
+  const { event, error } = verifyWebhook({ rawBody: req.body, headers: req.headers });
+  if (error) throw new UnauthorizedError(error, { code: 'INVALID_WEBHOOK_SIGNATURE' });
+  const provider = getPaymentProvider().name;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const isNew = await payments.recordWebhookEvent(client, provider, event, req.body.toString('utf8'));
+    if (!isNew) {
+      await client.query('COMMIT');
+      return res.json({ success: true, message: 'Event already processed' });
+    }
+    const audits = [];
+    const confirmed = [];
+    let refunds = [];
+    if (event.type === 'payment.captured') refunds = await onCaptured(client, event, provider, audits, confirmed);
+    else if (event.type === 'payment.failed') await onFailed(client, event, provider, audits);
+    else if (event.type === 'refund.processed') await onRefundSettled(client, event, 'processed', audits);
+    else if (event.type === 'refund.failed') await onRefundSettled(client, event, 'failed', audits);
+    await client.query('COMMIT');
+
+    for (const refund of refunds) {
+      audits.push(['REFUND_INITIATED', refund.booking_id, { refundId: refund.refund_id, amount: refund.amount, reason: refund.reason }]);
+    }
+    await sendRefunds(client, refunds);
+    for (const [action, bookingId, details] of audits) {
+      await recordAudit(client, req, action, { target: { type: 'booking', id: bookingId }, details: { provider, eventId: event.id, ...details } });
+    }
+    for (const booking of confirmed) publishBookingEvent('booking.confirmed', booking);
+    return res.json({ success: true, message: 'Event processed' });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { createPayment, listPayments, handleWebhook };
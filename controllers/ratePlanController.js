@@ -0,0 +1,66 @@
+const pool = require('../config/database');
+const ratePlans = require('../repositories/ratePlanRepository');
+const { recordAudit } = require('../services/audit');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Seasons must not end before they start
+const checkSeasons = (seasons = []) => {
+  const bad = seasons.find(s => s.end_date < s.start_date);
+  if (bad) throw new ValidationError(`Season "${bad.name}" ends before it starts`);
+};
+
+// A hotel's rate plans with their seasons (staff)
+const listRatePlans = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    return res.json({ success: true, rate_plans: await ratePlans.listForHotel(client, req.params.hotelId) });
+  } finally {
+    client.release();
+  }
+};
+
+const createRatePlan = async (req, res) => {
+  const { hotelId } = req.params;
+  checkSeasons(req.body.seasons);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const plan = await ratePlans.create(client, hotelId, req.body);
+    await client.query('COMMIT');
+    await recordAudit(client, req, 'RATE_PLAN_CREATED', { target: { type: 'rate_plan', id: plan.rate_plan_id }, details: { hotelId } });
+    return res.status(201).json({ success: true, message: 'Rate plan created', rate_plan: plan });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Change a plan. Bookings already made keep the price they were made at.
+const updateRatePlan = async (req, res) => {
+  const { hotelId, ratePlanId } = req.params;
+  if (Object.keys(req.body).length === 0) {
+    throw new ValidationError('Nothing to update');
+  }
+  checkSeasons(req.body.seasons);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const plan = await ratePlans.update(client, hotelId, ratePlanId, req.body);
+    if (!plan) throw new NotFoundError('Rate plan not found');
+    await client.query('COMMIT');
+    await recordAudit(client, req, 'RATE_PLAN_UPDATED', {
+      target: { type: 'rate_plan', id: ratePlanId },
+      details: { hotelId, changes: req.body }
+    });
+    return res.json({ success: true, message: 'Rate plan updated', rate_plan: plan });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { listRatePlans, createRatePlan, updateRatePlan };
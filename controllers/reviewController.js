@@ -0,0 +1,127 @@
+const pool = require('../config/database');
+const reviews = require('../repositories/reviewRepository');
+const users = require('../repositories/userRepository');
+const { parsePagination } = require('../utils/pagination');
+const { recordAudit } = require('../services/audit');
+const {
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors');
+
+// Only the reviewer's first name is shown publicly
+const firstName = (name) => (name ? name.trim().split(/\s+/)[0] : null);
+
+// Review one of the guest's own checked-out stays (once per booking)
+const createReview = async (req, res) => {
+  if (!req.user?.userId) throw new UnauthorizedError('Unauthorized');
+  const bookingId = req.params.id;
+  const { rating, title = null, comment } = req.body;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const booking = await client.query(
+      `SELECT b.booking_id, b.user_id, b.status, r.hotel_id
+       FROM bookings b JOIN rooms r ON r.room_id = b.room_id
+       WHERE b.booking_id = $1`,
+      [bookingId]
+    );
+    if (booking.rows.length === 0) throw new NotFoundError('Booking not found');
+    const stay = booking.rows[0];
+    if (String(stay.user_id) !== String(req.user.userId)) throw new ForbiddenError('Not your booking');
+    if (stay.status !== 'checked_out') throw new ConflictError('Only checked-out stays can be reviewed');
+
+    await reviews.lockHotel(client, stay.hotel_id);
+    const user = await users.findById(client, req.user.userId);
+    let review;
+    try {
+      review = await reviews.create(client, {
+        bookingId,
+        hotelId: stay.hotel_id,
+        userId: req.user.userId,
+        reviewerName: firstName(user?.name),
+        rating,
+        title,
+        comment
+      });
+    } catch (error) {
+      if (error.code === '23505') throw new ConflictError('This stay has already been reviewed');
+      throw error;
+    }
+    const hotel = await reviews.refreshHotelRating(client, stay.hotel_id);
+    await client.query('COMMIT');
+    await recordAudit(client, req, 'REVIEW_POSTED', {
+      target: { type: 'review', id: review.review_id },
+      details: { bookingId, hotelId: stay.hotel_id, rating }
+    });
+    return res.status(201).json({ success: true, message: 'Review posted', review, hotel });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Visible reviews of an active hotel with its rating (public)
+const listHotelReviews = async (req, res) => {
+  const { hotelId } = req.params;
+  const { page, limit, offset } = parsePagination(req.query);
+  const client = await pool.connect();
+  try {
+    const hotel = await reviews.findHotelRating(client, hotelId);
+    if (!hotel) throw new NotFoundError('Hotel not found');
+    const { total, reviews: rows } = await reviews.listVisibleForHotel(client, hotelId, { limit, offset });
+    return res.json({ success: true, hotel, reviews: rows, pagination: { page, limit, total } });
+  } finally {
+    client.release();
+  }
+};
+
+// The hotel's public reply to a review; posting again replaces it
+const respondToReview = async (req, res) => {
+  const { hotelId, reviewId } = req.params;
+  const client = await pool.connect();
+  try {
+    const review = await reviews.setResponse(client, hotelId, reviewId, {
+      response: req.body.response,
+      respondedBy: req.user.userId
+    });
+    if (!review) throw new NotFoundError('Review not found');
+    await recordAudit(client, req, 'REVIEW_RESPONDED', { target: { type: 'review', id: reviewId }, details: { hotelId } });
+    return res.json({ success: true, message: 'Response saved', review });
+  } finally {
+    client.release();
+  }
+};
+
+// Hide an abusive review (or restore it) and update the hotel's rating (admins)
+const moderateReview = async (req, res) => {
+  const { reviewId } = req.params;
+  const { is_hidden, reason } = req.body;
+  if (is_hidden && !reason) throw new ValidationError('A reason is required to hide a review');
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const existing = await reviews.findById(client, reviewId);
+    if (!existing) throw new NotFoundError('Review not found');
+    await reviews.lockHotel(client, existing.hotel_id);
+    const review = await reviews.setHidden(client, reviewId, { hidden: is_hidden, reason, hiddenBy: req.user.userId });
+    const hotel = await reviews.refreshHotelRating(client, existing.hotel_id);
+    await client.query('COMMIT');
+    await recordAudit(client, req, 'REVIEW_MODERATED', {
+      target: { type: 'review', id: reviewId },
+      details: { hotelId: existing.hotel_id, hidden: is_hidden, reason }
+    });
+    return res.json({ success: true, message: is_hidden ? 'Review hidden' : 'Review restored', review, hotel });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { createReview, listHotelReviews, respondToReview, moderateReview };
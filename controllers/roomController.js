@@ -0,0 +1,113 @@
+const pool = require('../config/database');
+const { ACTIVE_BOOKING_STATUSES, BOOKABLE_ROOM, parseStayWindow } = require('../utils/bookings');
+const { parsePagination } = require('../utils/pagination');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { PRICING_ROOM_COLUMNS, quoteStay } = require('../utils/pricing');
+const { ROOM_SORTS } = require('../utils/sorts');
+
+// Room fields shown publicly. qr_code_id opens the door, so it is never listed.
+const PUBLIC_ROOM_COLUMNS = `r.room_id, r.hotel_id, r.room_number, r.room_type, r.capacity, r.base_price,
+  r.amenities, h.name AS hotel_name, h.city`;
+
+// Active rooms of active hotels (public)
+const listRooms = async (req, res) => {
+  const { city, hotel_id, guests, sort } = req.query;
+  const { page, limit, offset } = parsePagination(req.query);
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT ${PUBLIC_ROOM_COLUMNS}, COUNT(*) OVER() AS total_count
+       FROM rooms r
+       JOIN hotels h ON h.hotel_id = r.hotel_id
+       WHERE h.is_active = true AND r.is_active = true
+       AND ($1::text IS NULL OR h.city ILIKE $1)
+       AND ($2::int IS NULL OR r.hotel_id = $2)
+       AND ($3::int IS NULL OR r.capacity >= $3)
+       ORDER BY ${ROOM_SORTS[sort]}
+       LIMIT $4 OFFSET $5`,
+      [city || null, hotel_id ?? null, guests ?? null, limit, offset]
+    );
+    const total = result.rows.length ? Number(result.rows[0].total_count) : 0;
+    const rooms = result.rows.map(({ total_count, ...room }) => room);
+    return res.json({ success: true, rooms, pagination: { page, limit, total } });
+  } finally {
+    client.release();
+  }
+};
+
+// Search rooms that are free for the whole requested stay
+const searchRooms = async (req, res) => {
+  const { city, hotel_id, check_in_time, check_out_time, guests, min_price, max_price, sort } = req.query;
+  const stay = parseStayWindow(check_in_time, check_out_time);
+  if (stay.error) {
+    throw new ValidationError(stay.error);
+  }
+  if (min_price !== undefined && max_price !== undefined && min_price > max_price) {
+    throw new ValidationError('Minimum price cannot exceed maximum price');
+  }
+  const orderBy = ROOM_SORTS[sort];
+  const { page, limit, offset } = parsePagination(req.query);
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT ${PUBLIC_ROOM_COLUMNS}, COUNT(*) OVER() AS total_count
+       FROM rooms r
+       JOIN hotels h ON h.hotel_id = r.hotel_id
+       WHERE h.is_active = true AND r.is_active = true
+       AND ($1::text IS NULL OR h.city ILIKE $1)
+       AND ($2::int IS NULL OR r.hotel_id = $2)
+       AND ($3::int IS NULL OR r.capacity >= $3)
+       AND ($4::numeric IS NULL OR r.base_price >= $4)
+       AND ($5::numeric IS NULL OR r.base_price <= $5)
+       AND NOT EXISTS (
+         SELECT 1 FROM bookings b
+         WHERE b.room_id = r.room_id
+         AND b.status = ANY($6)
+         AND b.check_in_time < $8 AND b.check_out_time > $7
+       )
+       ORDER BY ${orderBy}
+       LIMIT $9 OFFSET $10`,
+      [
+        city || null,
+        hotel_id ?? null,
+        guests ?? null,
+        min_price ?? null,
+        max_price ?? null,
+        ACTIVE_BOOKING_STATUSES,
+        stay.checkIn,
+        stay.checkOut,
+        limit,
+        offset
+      ]
+    );
+    const total = result.rows.length ? Number(result.rows[0].total_count) : 0;
+    const rooms = result.rows.map(({ total_count, ...room }) => room);
+    return res.json({ success: true, rooms, pagination: { page, limit, total } });
+  } finally {
+    client.release();
+  }
+};
+
+// Price a stay in a room night by night (rate plan, taxes), without offers
+const getQuote = async (req, res) => {
+  const { check_in_time, check_out_time, guests } = req.query;
+  const stay = parseStayWindow(check_in_time, check_out_time);
+  if (stay.error) {
+    throw new ValidationError(stay.error);
+  }
+  const client = await pool.connect();
+  try {
+    const room = await client.query(
+      `SELECT ${PRICING_ROOM_COLUMNS} FROM rooms r WHERE r.room_id = $1 AND ${BOOKABLE_ROOM}`,
+      [req.params.roomId]
+    );
+    if (room.rows.length === 0) throw new NotFoundError('Room not found');
+    const quote = await quoteStay(client, room.rows[0], { checkIn: stay.checkIn, checkOut: stay.checkOut, guests });
+    return res.json({ success: true, room_id: room.rows[0].room_id, quote });
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { listRooms, searchRooms, getQuote };
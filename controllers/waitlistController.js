@@ -0,0 +1,130 @@
+const pool = require('../config/database');
+const { BOOKABLE_ROOM, parseStayWindow, findConflictingBooking, publishBookingEvent } = require('../utils/bookings');
+const waitlist = require('../repositories/waitlistRepository');
+const { recordAudit } = require('../services/audit');
+const { offerRoom } = require('../services/scheduler/bookingJobs');
+const {
+  ValidationError,
+  UnauthorizedError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors');
+
+// Queue for a room that is taken for the given dates. The scheduler offers it
+// to waiting guests in the order they joined once it frees up.
+const joinWaitlist = async (req, res) => {
+  if (!req.user?.userId) throw new UnauthorizedError('Unauthorized');
+  const { room_id, check_in_time, check_out_time, guests } = req.body;
+  const stay = parseStayWindow(check_in_time, check_out_time);
+  if (stay.error) throw new ValidationError(stay.error);
+  const client = await pool.connect();
+  try {
+    const room = await client.query(`SELECT room_id, capacity FROM rooms r WHERE r.room_id = $1 AND ${BOOKABLE_ROOM}`, [room_id]);
+    if (room.rows.length === 0) throw new NotFoundError('Room not found');
+    const { capacity } = room.rows[0];
+    if (capacity && guests > capacity) throw new ValidationError(`Room sleeps at most ${capacity} guests`);
+    if (!(await findConflictingBooking(client, room_id, stay.checkIn, stay.checkOut))) {
+      throw new ConflictError('Room is available for these dates, book it directly');
+    }
+
+    let entry;
+    try {
+      entry = await waitlist.create(client, {
+        roomId: room_id,
+        userId: req.user.userId,
+        checkIn: stay.checkIn,
+        checkOut: stay.checkOut,
+        guests
+      });
+    } catch (error) {
+      if (error.code === '23505') throw new ConflictError('Already on the waitlist for this room and dates');
+      throw error;
+    }
+    await recordAudit(client, req, 'WAITLIST_JOINED', {
+      target: { type: 'room', id: room_id },
+      details: { entryId: entry.entry_id, checkIn: stay.checkIn, checkOut: stay.checkOut }
+    });
+    return res.status(201).json({ success: true, message: 'Added to the waitlist', entry });
+  } finally {
+    client.release();
+  }
+};
+
+// The user's entries; an offered one links to the booking held for them
+const listMyWaitlist = async (req, res) => {
+  if (!req.user?.userId) throw new UnauthorizedError('Unauthorized');
+  const client = await pool.connect();
+  try {
+    return res.json({ success: true, entries: await waitlist.listForUser(client, req.user.userId) });
+  } finally {
+    client.release();
+  }
+};
+
+// Leave the queue. An offer already made is declined by cancelling its booking,
+// and the room goes to the next guest waiting for it. An offer the guest has
+// already paid for is a booking now and is cancelled as one.
+const leaveWaitlist = async (req, res) => {
+  if (!req.user?.userId) throw new UnauthorizedError('Unauthorized');
+  const { entryId } = req.params;
+  const client = await pool.connect();
+  try {
+    const existing = await waitlist.findById(client, entryId);
+    if (!existing || String(existing.user_id) !== String(req.user.userId)) {
+      throw new NotFoundError('Waitlist entry not found');
+    }
+    await client.query('BEGIN');
+    // Same lock order as createBooking: room first, then everything else
+    await client.query('SELECT room_id FROM rooms WHERE room_id = $1 FOR UPDATE', [existing.room_id]);
+    let entry = await waitlist.lockForUser(client, entryId, req.user.userId);
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      throw new ConflictError(`Cannot leave a waitlist entry that is ${entry.status}`);
+    }
+    let declined = null;
+    if (entry.status === 'offered') {
+      const result = await client.query(
+        `UPDATE bookings b SET status = 'cancelled', cancellation_reason = 'waitlist_declined'
+         WHERE b.booking_id = $1 AND b.status = 'pending'
+         AND NOT EXISTS (
+           SELECT 1 FROM payments p
+           WHERE p.booking_id = b.booking_id AND p.status IN ('captured', 'partially_refunded')
+         )
+         RETURNING b.*`,
+        [entry.booking_id]
+      );
+      if (result.rows.length === 0) {
+        throw new ConflictError('This offer has already been taken up, cancel its booking instead');
+      }
+      declined = result.rows[0];
+    }
+    entry = await waitlist.markLeft(client, entry.entry_id, declined ? 'declined' : 'cancelled');
+    await client.query('COMMIT');
+
+    await recordAudit(client, req, 'WAITLIST_LEFT', {
+      target: { type: 'room', id: entry.room_id },
+      details: { entryId: entry.entry_id, ...(declined && { declinedBookingId: declined.booking_id }) }
+    });
+    if (declined) {
+      await recordAudit(client, req, 'BOOKING_STATUS_CHANGED', {
+        target: { type: 'booking', id: declined.booking_id },
+        details: { from: 'pending', to: 'cancelled', reason: 'waitlist_declined' }
+      });
+      publishBookingEvent('booking.cancelled', declined);
+      // The scheduler would get there on its next run; this just saves the wait
+      await offerRoom(client, entry.room_id)
+        .catch(error => console.error('Waitlist offer error:', error.message));
+    }
+    return res.json({
+      success: true,
+      message: declined ? 'Waitlist offer declined' : 'Removed from the waitlist',
+      entry
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { joinWaitlist, listMyWaitlist, leaveWaitlist };
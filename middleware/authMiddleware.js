@@ -1,49 +1,84 @@
 const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../utils/sessions');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
 
-// Check if user is logged in (has valid token)
-const verifyToken = (req, res, next) => {
+// Check if user is logged in (has valid token for a live session)
+const verifyToken = async (req, res, next) => {
+  let decoded;
   try {
     // Get token from header
     const authHeader = req.headers.authorization;
     
     if (!authHeader) {
-      return res.status(401).json({
-        success: false,
-        message: '❌ No token provided. Please login first.'
-      });
+      return next(new UnauthorizedError('❌ No token provided. Please login first.', { code: 'TOKEN_MISSING' }));
     }
 
     // Extract token (format: "Bearer TOKEN")
     const token = authHeader.split(' ')[1];
 
     if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: '❌ Invalid token format'
-      });
+      return next(new UnauthorizedError('❌ Invalid token format', { code: 'TOKEN_INVALID' }));
     }
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Add user info to request
-    req.user = decoded;
-    
-    // Continue to next function
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        success: false,
-        message: '❌ Token expired. Please login again.'
-      });
+      return next(new UnauthorizedError('❌ Token expired. Please login again.', { code: 'TOKEN_EXPIRED' }));
     }
 
-    return res.status(401).json({
-      success: false,
-      message: '❌ Invalid token: ' + error.message
-    });
+    return next(new UnauthorizedError('❌ Invalid token', { code: 'TOKEN_INVALID' }));
+  }
+
+  // Reject tokens whose session was revoked (logout, logout-all, ...)
+  if (!(await isSessionActive(decoded.sid))) {
+    return next(new UnauthorizedError('❌ Session has ended. Please login again.', { code: 'SESSION_ENDED' }));
   }
+
+  // Add user info to request
+  req.user = decoded;
+
+  // Continue to next function
+  next();
+};
+
+// Like verifyToken, but lets anonymous requests through (req.user stays unset)
+const optionalToken = (req, res, next) => {
+  if (!req.headers.authorization) return next();
+  return verifyToken(req, res, next);
+};
+
+// Roles a user can have, from most to least privileged
+const ROLES = ['admin', 'staff', 'guest'];
+
+// Only let users with one of the given roles through (use after verifyToken)
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError('❌ No token provided. Please login first.', { code: 'TOKEN_MISSING' }));
+  }
+
+  // Tokens issued before roles existed carry no role: treat them as guests
+  const role = req.user.role || 'guest';
+  if (!roles.includes(role)) {
+    return next(new ForbiddenError('❌ You do not have permission to do this'));
+  }
+
+  next();
+};
+
+// Admins can manage every hotel; staff only the hotel they belong to
+const canAccessHotel = (user, hotelId) => {
+  if (user?.role === 'admin') return true;
+  return user?.role === 'staff' && user.hotelId != null && String(user.hotelId) === String(hotelId);
+};
+
+// Restrict a route to admins and staff of the hotel in req.params[param] (use after verifyToken)
+const requireHotelAccess = (param = 'hotelId') => (req, res, next) => {
+  if (!canAccessHotel(req.user, req.params[param])) {
+    return next(new ForbiddenError('❌ You do not have access to this hotel'));
+  }
+
+  next();
 };
 
-module.exports = { verifyToken };
\ No newline at end of file
+module.exports = { ROLES, verifyToken, optionalToken, requireRole, canAccessHotel, requireHotelAccess };
\ No newline at end of file
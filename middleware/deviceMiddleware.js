@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { UnauthorizedError } = require('../utils/errors');
+
+// Device keys are random secrets, so a plain SHA-256 is enough to store them
+const hashDeviceKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+// Check the calling door lock / kiosk is a registered, active device
+const verifyDevice = async (req, res, next) => {
+  const deviceId = Number(req.headers['x-device-id']);
+  const deviceKey = req.headers['x-device-key'];
+  if (!Number.isInteger(deviceId) || deviceId <= 0 || !deviceKey) {
+    return next(new UnauthorizedError('Device credentials required', { code: 'DEVICE_CREDENTIALS_MISSING' }));
+  }
+  const result = await pool.query(
+    'SELECT device_id, name, hotel_id, room_id, key_hash, is_active FROM access_devices WHERE device_id = $1',
+    [deviceId]
+  );
+  const device = result.rows[0];
+
+  const expected = Buffer.from(device?.key_hash || '');
+  const actual = Buffer.from(hashDeviceKey(deviceKey));
+  if (!device || !device.is_active || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return next(new UnauthorizedError('Invalid device credentials', { code: 'DEVICE_CREDENTIALS_INVALID' }));
+  }
+  const { key_hash, ...publicDevice } = device;
+  req.device = publicDevice;
+  next();
+};
+
+module.exports = { verifyDevice, hashDeviceKey };
@@ -0,0 +1,77 @@
+const { getRateLimitStore } = require('../services/rateLimit');
+const { normalizeEmail, normalizePhone } = require('../repositories/userRepository');
+const { TooManyRequestsError } = require('../utils/errors');
+
+const fromEnv = (name, fallback) => Number(process.env[name]) || fallback;
+
+// Build a limiter allowing `max` requests per `windowSeconds` for each key.
+// `key(req)` picks what is counted (IP, account, QR code...); returning null skips the limit.
+// If the store is unreachable the request is let through rather than taking the API down.
+const rateLimit = ({ name, max, windowSeconds, key }) => async (req, res, next) => {
+  const subject = key(req);
+  if (subject === null || subject === undefined || subject === '') return next();
+  let hit;
+  try {
+    hit = await getRateLimitStore().hit(`${name}:${subject}`, windowSeconds * 1000);
+  } catch (error) {
+    console.error('Rate limit store error:', error.message);
+    return next();
+  }
+  if (hit.count > max) {
+    const retryAfter = Math.max(1, Math.ceil((new Date(hit.resetAt).getTime() - Date.now()) / 1000));
+    return next(new TooManyRequestsError(undefined, { retryAfter }));
+  }
+  return next();
+};
+
+const byIp = (req) => req.ip;
+
+// The account a login attempt targets, whether it exists or not
+const byLoginIdentifier = (req) => {
+  const { email, contact_number } = req.body || {};
+  if (email) return `email:${normalizeEmail(email)}`;
+  const phone = normalizePhone(contact_number);
+  return phone ? `phone:${phone}` : null;
+};
+
+const byEmail = (req) => (req.body?.email ? normalizeEmail(req.body.email) : null);
+
+const byQrCode = (req) => (req.body?.qr_code_id ? String(req.body.qr_code_id) : null);
+
+const LOGIN_WINDOW_SECONDS = fromEnv('LOGIN_RATE_LIMIT_WINDOW_SECONDS', 15 * 60);
+const ACCESS_WINDOW_SECONDS = fromEnv('ACCESS_RATE_LIMIT_WINDOW_SECONDS', 60);
+const PASSWORD_RESET_WINDOW_SECONDS = fromEnv('PASSWORD_RESET_RATE_LIMIT_WINDOW_SECONDS', 60 * 60);
+
+// Password guessing: per client IP and per targeted account
+const limitLogin = [
+  rateLimit({ name: 'login-ip', max: fromEnv('LOGIN_RATE_LIMIT_PER_IP', 20), windowSeconds: LOGIN_WINDOW_SECONDS, key: byIp }),
+  rateLimit({ name: 'login-account', max: fromEnv('LOGIN_RATE_LIMIT_PER_ACCOUNT', 10), windowSeconds: LOGIN_WINDOW_SECONDS, key: byLoginIdentifier })
+];
+
+// Reset emails: per client IP, and per address so nobody's inbox gets flooded
+const limitPasswordReset = [
+  rateLimit({ name: 'reset-ip', max: fromEnv('PASSWORD_RESET_RATE_LIMIT_PER_IP', 10), windowSeconds: PASSWORD_RESET_WINDOW_SECONDS, key: byIp }),
+  rateLimit({ name: 'reset-email', max: fromEnv('PASSWORD_RESET_RATE_LIMIT_PER_EMAIL', 3), windowSeconds: PASSWORD_RESET_WINDOW_SECONDS, key: byEmail })
+];
+
+// QR code enumeration: per client IP and per scanned code
+const limitAccessByIp = rateLimit({
+  name: 'access-ip',
+  max: fromEnv('ACCESS_RATE_LIMIT_PER_IP', 30),
+  windowSeconds: ACCESS_WINDOW_SECONDS,
+  key: byIp
+});
+const limitAccessByQrCode = rateLimit({
+  name: 'access-qr',
+  max: fromEnv('ACCESS_RATE_LIMIT_PER_QR', 10),
+  windowSeconds: ACCESS_WINDOW_SECONDS,
+  key: byQrCode
+});
+
+module.exports = {
+  rateLimit,
+  limitLogin,
+  limitPasswordReset,
+  limitAccessByIp,
+  limitAccessByQrCode
+};
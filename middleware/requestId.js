@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Give every request an id (reusing a sane incoming X-Request-Id from a proxy),
+// echo it in the response header and include it in error responses and logs.
+const requestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && /^[\w.-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = { requestId };
@@ -0,0 +1,24 @@
+const { validateRequest } = require('../utils/validation');
+const { ValidationError } = require('../utils/errors');
+
+// Check a request against a schema (see utils/validation.js). On success the
+// declared parts are replaced by their coerced values; otherwise a ValidationError
+// (400) lists every field problem as errors: [{ location, field, message }].
+const validate = (schema) => {
+  const middleware = (req, res, next) => {
+    const { values, errors } = validateRequest(schema, req);
+    if (errors.length > 0) {
+      return next(new ValidationError('Validation failed', { details: { errors } }));
+    }
+    if (values.params) Object.assign(req.params, values.params);
+    // req.query is a getter in Express 5, so the parsed values are pinned on the request
+    if (values.query) Object.defineProperty(req, 'query', { value: values.query, writable: true, configurable: true });
+    if (values.body) req.body = values.body;
+    return next();
+  };
+  // Lets the API docs generator find the schema on the route
+  middleware.schema = schema;
+  return middleware;
+};
+
+module.exports = { validate };
@@ -0,0 +1,8 @@
+-- The baseline adopts tables that may predate migrations (see the .up.sql), so
+-- there is no telling what it added. Rolling it back would drop users, hotels,
+-- rooms and bookings; drop the database by hand if that is really what you want.
+DO $$
+BEGIN
+  RAISE EXCEPTION 'Migration 001_initial_schema cannot be rolled back';
+END
+$$;
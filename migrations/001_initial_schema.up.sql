@@ -0,0 +1,138 @@
+-- Baseline schema. Everything is IF NOT EXISTS so this also applies cleanly to
+-- databases created before migrations existed (by hand or by the old ensureSchema()).
+
+-- Users
+CREATE TABLE IF NOT EXISTS users (
+  user_id SERIAL PRIMARY KEY,
+  email TEXT UNIQUE NOT NULL,
+  name TEXT,
+  password_hash TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS name TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS full_name TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_hash TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS contact_number TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS aadhaar_key TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'guest';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS hotel_id INT;
+CREATE UNIQUE INDEX IF NOT EXISTS users_email_key ON users (email);
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'users_role_check') THEN
+    ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('admin', 'staff', 'guest'));
+  END IF;
+END$$;
+
+-- Hotels and rooms
+CREATE TABLE IF NOT EXISTS hotels (
+  hotel_id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+ALTER TABLE hotels ADD COLUMN IF NOT EXISTS city TEXT;
+ALTER TABLE hotels ADD COLUMN IF NOT EXISTS address TEXT;
+ALTER TABLE hotels ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true;
+
+CREATE TABLE IF NOT EXISTS rooms (
+  room_id SERIAL PRIMARY KEY,
+  hotel_id INT REFERENCES hotels (hotel_id),
+  qr_code_id TEXT UNIQUE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS room_number TEXT;
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS room_type TEXT;
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS capacity INT;
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS base_price NUMERIC(10, 2);
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS amenities TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true;
+CREATE INDEX IF NOT EXISTS rooms_hotel_id_idx ON rooms (hotel_id);
+
+-- Bookings and the signed tokens that open their room
+CREATE TABLE IF NOT EXISTS bookings (
+  booking_id SERIAL PRIMARY KEY,
+  user_id INT NOT NULL REFERENCES users (user_id),
+  room_id INT NOT NULL REFERENCES rooms (room_id),
+  check_in_time TIMESTAMPTZ NOT NULL,
+  check_out_time TIMESTAMPTZ NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS bookings_room_window_idx ON bookings (room_id, check_in_time, check_out_time);
+CREATE INDEX IF NOT EXISTS bookings_user_id_idx ON bookings (user_id);
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'bookings_status_check') THEN
+    ALTER TABLE bookings ADD CONSTRAINT bookings_status_check
+      CHECK (status IN ('pending', 'confirmed', 'checked_in', 'checked_out', 'cancelled'));
+  END IF;
+END$$;
+
+CREATE TABLE IF NOT EXISTS booking_tokens (
+  token_id SERIAL PRIMARY KEY,
+  booking_id INT NOT NULL REFERENCES bookings (booking_id),
+  digital_signature TEXT,
+  is_valid BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS booking_tokens_booking_id_idx ON booking_tokens (booking_id);
+
+-- Offers
+CREATE TABLE IF NOT EXISTS offers (
+  offer_id SERIAL PRIMARY KEY,
+  title TEXT NOT NULL,
+  description TEXT,
+  valid_from DATE NOT NULL,
+  valid_to DATE NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Audit log
+CREATE TABLE IF NOT EXISTS audit_logs (
+  log_id SERIAL PRIMARY KEY,
+  user_id INT,
+  action_type TEXT NOT NULL,
+  details JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Login sessions backing refresh tokens and revocation
+CREATE TABLE IF NOT EXISTS user_sessions (
+  session_id UUID PRIMARY KEY,
+  user_id INT NOT NULL,
+  refresh_token_hash TEXT NOT NULL,
+  user_agent TEXT,
+  ip_address TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS user_sessions_user_id_idx ON user_sessions (user_id);
+
+-- Door locks / kiosks allowed to verify booking tokens, and the log of every attempt
+CREATE TABLE IF NOT EXISTS access_devices (
+  device_id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  hotel_id INT,
+  room_id INT,
+  key_hash TEXT NOT NULL,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS room_access_logs (
+  log_id SERIAL PRIMARY KEY,
+  device_id INT,
+  room_id INT,
+  booking_id INT,
+  user_id INT,
+  qr_code_id TEXT,
+  method TEXT NOT NULL,
+  granted BOOLEAN NOT NULL,
+  reason TEXT,
+  ip_address TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS room_access_logs_created_at_idx ON room_access_logs (created_at);
@@ -0,0 +1 @@
+DROP INDEX IF EXISTS users_contact_number_key;
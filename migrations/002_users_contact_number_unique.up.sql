@@ -0,0 +1,2 @@
+-- Phone numbers are a login identity, so they must be unique when present
+CREATE UNIQUE INDEX IF NOT EXISTS users_contact_number_key ON users (contact_number) WHERE contact_number IS NOT NULL;
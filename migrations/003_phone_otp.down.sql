@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS phone_otps;
+ALTER TABLE users DROP COLUMN IF EXISTS phone_verified_at;
+-- Fails if phone-only users exist; remove or give them an email first
+ALTER TABLE users ALTER COLUMN email SET NOT NULL;
@@ -0,0 +1,17 @@
+-- One KYC record per user. Only a masked number and an HMAC of the Aadhaar number are kept.
+CREATE TABLE IF NOT EXISTS user_kyc (
+  user_id INT PRIMARY KEY,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'verified', 'rejected')),
+  aadhaar_masked TEXT NOT NULL,
+  aadhaar_hash TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  provider_reference TEXT,
+  rejection_reason TEXT,
+  submitted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  verified_at TIMESTAMPTZ,
+  rejected_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+-- An Aadhaar number can back only one live (pending or verified) account
+CREATE UNIQUE INDEX IF NOT EXISTS user_kyc_aadhaar_hash_live_idx
+  ON user_kyc (aadhaar_hash) WHERE status <> 'rejected';
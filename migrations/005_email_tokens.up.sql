@@ -0,0 +1,14 @@
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
+
+-- Single-use tokens sent by email (verification, password reset). Only an HMAC of the secret is stored.
+CREATE TABLE IF NOT EXISTS email_tokens (
+  token_id UUID PRIMARY KEY,
+  user_id INT NOT NULL,
+  purpose TEXT NOT NULL CHECK (purpose IN ('verify_email', 'reset_password')),
+  email TEXT NOT NULL,
+  token_hash TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  consumed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS email_tokens_user_purpose_idx ON email_tokens (user_id, purpose);
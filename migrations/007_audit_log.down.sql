@@ -0,0 +1,11 @@
+DROP INDEX IF EXISTS audit_logs_action_type_idx;
+DROP INDEX IF EXISTS audit_logs_target_idx;
+DROP INDEX IF EXISTS audit_logs_user_id_idx;
+DROP INDEX IF EXISTS audit_logs_created_at_idx;
+ALTER TABLE audit_logs DROP COLUMN IF EXISTS request_id;
+ALTER TABLE audit_logs DROP COLUMN IF EXISTS user_agent;
+ALTER TABLE audit_logs DROP COLUMN IF EXISTS ip_address;
+ALTER TABLE audit_logs DROP COLUMN IF EXISTS target_id;
+ALTER TABLE audit_logs DROP COLUMN IF EXISTS target_type;
+ALTER TABLE audit_logs DROP COLUMN IF EXISTS device_id;
+ALTER TABLE audit_logs DROP COLUMN IF EXISTS actor_role;
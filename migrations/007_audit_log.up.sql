@@ -0,0 +1,18 @@
+-- Who did what to which resource, from where. user_id is the acting user;
+-- device_id is set instead when a door lock / kiosk acted.
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS actor_role TEXT;
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS device_id INT;
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS target_type TEXT;
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS target_id TEXT;
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS ip_address TEXT;
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS user_agent TEXT;
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS request_id TEXT;
+
+-- Older auth entries kept the IP inside details (JSONB, or TEXT on older databases)
+UPDATE audit_logs SET ip_address = substring(details::text FROM '"ip": ?"([^"]*)"')
+WHERE ip_address IS NULL AND details IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS audit_logs_created_at_idx ON audit_logs (created_at);
+CREATE INDEX IF NOT EXISTS audit_logs_user_id_idx ON audit_logs (user_id, created_at);
+CREATE INDEX IF NOT EXISTS audit_logs_target_idx ON audit_logs (target_type, target_id);
+CREATE INDEX IF NOT EXISTS audit_logs_action_type_idx ON audit_logs (action_type);
@@ -0,0 +1,16 @@
+DROP TABLE IF EXISTS offer_redemptions;
+DROP INDEX IF EXISTS offers_hotel_id_idx;
+DROP INDEX IF EXISTS offers_code_key;
+ALTER TABLE offers DROP CONSTRAINT IF EXISTS offers_discount_check;
+ALTER TABLE offers DROP COLUMN IF EXISTS expired_at;
+ALTER TABLE offers DROP COLUMN IF EXISTS created_by;
+ALTER TABLE offers DROP COLUMN IF EXISTS stackable;
+ALTER TABLE offers DROP COLUMN IF EXISTS max_uses_per_user;
+ALTER TABLE offers DROP COLUMN IF EXISTS max_uses;
+ALTER TABLE offers DROP COLUMN IF EXISTS room_ids;
+ALTER TABLE offers DROP COLUMN IF EXISTS min_nights;
+ALTER TABLE offers DROP COLUMN IF EXISTS max_discount;
+ALTER TABLE offers DROP COLUMN IF EXISTS discount_value;
+ALTER TABLE offers DROP COLUMN IF EXISTS discount_type;
+ALTER TABLE offers DROP COLUMN IF EXISTS code;
+ALTER TABLE offers DROP COLUMN IF EXISTS hotel_id;
@@ -0,0 +1,52 @@
+-- Offer pricing rules. hotel_id NULL means the offer is valid at every hotel;
+-- offers with a code are promo codes and are never listed publicly.
+-- (description / created_at are in the baseline but missing from pre-migration databases)
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS hotel_id INT REFERENCES hotels (hotel_id);
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS code TEXT;
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS discount_type TEXT NOT NULL DEFAULT 'percent';
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS discount_value NUMERIC(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS max_discount NUMERIC(10, 2);
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS min_nights INT NOT NULL DEFAULT 1;
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS room_ids INT[];
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS max_uses INT;
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS max_uses_per_user INT;
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS stackable BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS created_by INT;
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS expired_at TIMESTAMPTZ;
+
+-- Databases created by the old ensureSchema() stored a plain percentage
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'offers' AND column_name = 'discount_percent') THEN
+    UPDATE offers SET discount_value = discount_percent WHERE discount_value = 0 AND discount_percent IS NOT NULL;
+  END IF;
+END$$;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'offers_discount_check') THEN
+    ALTER TABLE offers ADD CONSTRAINT offers_discount_check CHECK (
+      (discount_type = 'percent' AND discount_value BETWEEN 0 AND 100)
+      OR (discount_type = 'flat' AND discount_value >= 0)
+    );
+  END IF;
+END$$;
+
+-- Promo codes are matched case-insensitively
+CREATE UNIQUE INDEX IF NOT EXISTS offers_code_key ON offers (UPPER(code)) WHERE code IS NOT NULL;
+CREATE INDEX IF NOT EXISTS offers_hotel_id_idx ON offers (hotel_id);
+
+-- One row per offer applied to a booking; usage caps count those of bookings that weren't cancelled
+CREATE TABLE IF NOT EXISTS offer_redemptions (
+  redemption_id SERIAL PRIMARY KEY,
+  offer_id INT NOT NULL REFERENCES offers (offer_id),
+  booking_id INT NOT NULL REFERENCES bookings (booking_id),
+  user_id INT NOT NULL,
+  discount_amount NUMERIC(10, 2) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (offer_id, booking_id)
+);
+CREATE INDEX IF NOT EXISTS offer_redemptions_offer_user_idx ON offer_redemptions (offer_id, user_id);
+CREATE INDEX IF NOT EXISTS offer_redemptions_booking_id_idx ON offer_redemptions (booking_id);
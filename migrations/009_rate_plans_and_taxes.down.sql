@@ -0,0 +1,11 @@
+ALTER TABLE bookings DROP COLUMN IF EXISTS price_breakdown;
+ALTER TABLE bookings DROP COLUMN IF EXISTS total_price;
+ALTER TABLE bookings DROP COLUMN IF EXISTS tax_total;
+ALTER TABLE bookings DROP COLUMN IF EXISTS discount_total;
+ALTER TABLE bookings DROP COLUMN IF EXISTS subtotal;
+ALTER TABLE bookings DROP COLUMN IF EXISTS currency;
+ALTER TABLE bookings DROP COLUMN IF EXISTS guests;
+DROP TABLE IF EXISTS tax_slabs;
+ALTER TABLE rooms DROP COLUMN IF EXISTS rate_plan_id;
+DROP TABLE IF EXISTS rate_plan_seasons;
+DROP TABLE IF EXISTS rate_plans;
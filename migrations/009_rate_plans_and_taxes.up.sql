@@ -0,0 +1,50 @@
+-- Rate plans adjust a room's base_price per night: seasonal and weekend
+-- percentages, plus a flat charge for each guest above the base occupancy.
+-- Plans belong to a hotel and can be shared by its rooms.
+CREATE TABLE IF NOT EXISTS rate_plans (
+  rate_plan_id SERIAL PRIMARY KEY,
+  hotel_id INT NOT NULL REFERENCES hotels (hotel_id),
+  name TEXT NOT NULL,
+  weekend_days INT[] NOT NULL DEFAULT '{5,6}',
+  weekend_adjustment_percent NUMERIC(6, 2) NOT NULL DEFAULT 0 CHECK (weekend_adjustment_percent > -100),
+  base_occupancy INT NOT NULL DEFAULT 2 CHECK (base_occupancy >= 1),
+  extra_guest_charge NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (extra_guest_charge >= 0),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS rate_plans_hotel_id_idx ON rate_plans (hotel_id);
+
+-- Date ranges (inclusive) where a plan's nightly rate goes up or down
+CREATE TABLE IF NOT EXISTS rate_plan_seasons (
+  season_id SERIAL PRIMARY KEY,
+  rate_plan_id INT NOT NULL REFERENCES rate_plans (rate_plan_id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  adjustment_percent NUMERIC(6, 2) NOT NULL CHECK (adjustment_percent > -100),
+  CHECK (end_date >= start_date)
+);
+CREATE INDEX IF NOT EXISTS rate_plan_seasons_plan_idx ON rate_plan_seasons (rate_plan_id, start_date);
+
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS rate_plan_id INT REFERENCES rate_plans (rate_plan_id);
+
+-- Tax on each night's tariff: the slab with the highest above_tariff below the tariff applies.
+-- Seeded with the GST rates for hotel rooms (none up to 1000, 5% up to 7500, 18% above).
+CREATE TABLE IF NOT EXISTS tax_slabs (
+  slab_id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL DEFAULT 'GST',
+  above_tariff NUMERIC(10, 2) NOT NULL UNIQUE CHECK (above_tariff >= 0),
+  rate_percent NUMERIC(5, 2) NOT NULL CHECK (rate_percent BETWEEN 0 AND 100)
+);
+INSERT INTO tax_slabs (name, above_tariff, rate_percent)
+SELECT * FROM (VALUES ('GST', 1000::numeric, 5::numeric), ('GST', 7500::numeric, 18::numeric)) AS seed
+WHERE NOT EXISTS (SELECT 1 FROM tax_slabs);
+
+-- The exact price a booking was made at, with its per-night breakdown
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS guests INT;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS currency TEXT;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS subtotal NUMERIC(10, 2);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS discount_total NUMERIC(10, 2);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS tax_total NUMERIC(10, 2);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS total_price NUMERIC(10, 2);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS price_breakdown JSONB;
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS payment_webhook_events;
+DROP TABLE IF EXISTS refunds;
+DROP TABLE IF EXISTS payments;
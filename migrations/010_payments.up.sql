@@ -0,0 +1,50 @@
+-- Online payments. One row per provider order; a booking may collect several
+-- (e.g. a failed attempt then a successful one). Amounts are in rupees like bookings.
+CREATE TABLE IF NOT EXISTS payments (
+  payment_id SERIAL PRIMARY KEY,
+  booking_id INT NOT NULL REFERENCES bookings (booking_id),
+  user_id INT NOT NULL,
+  provider TEXT NOT NULL,
+  provider_order_id TEXT NOT NULL,
+  provider_payment_id TEXT,
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  currency TEXT NOT NULL DEFAULT 'INR',
+  status TEXT NOT NULL DEFAULT 'created'
+    CHECK (status IN ('created', 'captured', 'failed', 'refunded', 'partially_refunded')),
+  amount_refunded NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  failure_reason TEXT,
+  captured_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (provider, provider_order_id)
+);
+CREATE INDEX IF NOT EXISTS payments_booking_id_idx ON payments (booking_id);
+
+-- Refunds start as 'pending' and are settled by the provider's webhook
+CREATE TABLE IF NOT EXISTS refunds (
+  refund_id SERIAL PRIMARY KEY,
+  payment_id INT NOT NULL REFERENCES payments (payment_id),
+  booking_id INT NOT NULL REFERENCES bookings (booking_id),
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  provider_refund_id TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processed', 'failed')),
+  reason TEXT,
+  policy JSONB,
+  failure_reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS refunds_payment_id_idx ON refunds (payment_id);
+CREATE UNIQUE INDEX IF NOT EXISTS refunds_provider_refund_id_key ON refunds (provider_refund_id) WHERE provider_refund_id IS NOT NULL;
+
+-- Every webhook delivery we accepted, keyed by the provider's event id so a
+-- redelivered event is recognised and not applied twice
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+  event_id SERIAL PRIMARY KEY,
+  provider TEXT NOT NULL,
+  provider_event_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  received_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (provider, provider_event_id)
+);
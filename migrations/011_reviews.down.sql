@@ -0,0 +1,3 @@
+ALTER TABLE hotels DROP COLUMN IF EXISTS review_count;
+ALTER TABLE hotels DROP COLUMN IF EXISTS rating_average;
+DROP TABLE IF EXISTS reviews;
@@ -0,0 +1,25 @@
+-- Guest reviews, one per checked-out stay. Hidden reviews stay stored for the
+-- record but are left out of listings and of the hotel's rating.
+CREATE TABLE IF NOT EXISTS reviews (
+  review_id SERIAL PRIMARY KEY,
+  booking_id INT NOT NULL UNIQUE REFERENCES bookings (booking_id),
+  hotel_id INT NOT NULL REFERENCES hotels (hotel_id),
+  user_id INT NOT NULL,
+  reviewer_name TEXT,
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  title TEXT,
+  comment TEXT NOT NULL,
+  response TEXT,
+  responded_by INT,
+  responded_at TIMESTAMPTZ,
+  is_hidden BOOLEAN NOT NULL DEFAULT false,
+  hidden_reason TEXT,
+  hidden_by INT,
+  hidden_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS reviews_hotel_id_idx ON reviews (hotel_id, created_at DESC);
+
+-- Aggregates over visible reviews, kept up to date by the application
+ALTER TABLE hotels ADD COLUMN IF NOT EXISTS rating_average NUMERIC(3, 2);
+ALTER TABLE hotels ADD COLUMN IF NOT EXISTS review_count INT NOT NULL DEFAULT 0;
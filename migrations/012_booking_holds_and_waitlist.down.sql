@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS waitlist_entries;
+DROP INDEX IF EXISTS bookings_pending_hold_idx;
+ALTER TABLE bookings DROP COLUMN IF EXISTS cancellation_reason;
+ALTER TABLE bookings DROP COLUMN IF EXISTS hold_expires_at;
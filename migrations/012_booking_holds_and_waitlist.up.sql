@@ -0,0 +1,28 @@
+-- Pending bookings hold their room until hold_expires_at; the scheduler then
+-- cancels them. Bookings made before this migration have no hold and never expire.
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS hold_expires_at TIMESTAMPTZ;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+CREATE INDEX IF NOT EXISTS bookings_pending_hold_idx ON bookings (hold_expires_at) WHERE status = 'pending';
+
+-- Guests queueing for a room that is taken for their dates. When the room frees
+-- up, the oldest waiting entry is offered it as a pending booking held for them.
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+  entry_id SERIAL PRIMARY KEY,
+  room_id INT NOT NULL REFERENCES rooms (room_id),
+  user_id INT NOT NULL,
+  check_in_time TIMESTAMPTZ NOT NULL,
+  check_out_time TIMESTAMPTZ NOT NULL,
+  guests INT NOT NULL DEFAULT 1,
+  status TEXT NOT NULL DEFAULT 'waiting'
+    CHECK (status IN ('waiting', 'offered', 'booked', 'expired', 'cancelled')),
+  booking_id INT REFERENCES bookings (booking_id),
+  offered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (check_out_time > check_in_time)
+);
+CREATE INDEX IF NOT EXISTS waitlist_entries_waiting_idx ON waitlist_entries (created_at, entry_id) WHERE status = 'waiting';
+CREATE INDEX IF NOT EXISTS waitlist_entries_user_id_idx ON waitlist_entries (user_id);
+-- A guest queues once for the same room and dates
+CREATE UNIQUE INDEX IF NOT EXISTS waitlist_entries_active_key ON waitlist_entries (user_id, room_id, check_in_time, check_out_time)
+  WHERE status IN ('waiting', 'offered');
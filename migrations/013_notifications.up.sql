@@ -0,0 +1,42 @@
+-- Which channels a user wants notifications on. Users without a row get every channel.
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id INT PRIMARY KEY,
+  email BOOLEAN NOT NULL DEFAULT true,
+  sms BOOLEAN NOT NULL DEFAULT true,
+  in_app BOOLEAN NOT NULL DEFAULT true,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- In-app notifications, shown in the user's inbox
+CREATE TABLE IF NOT EXISTS notifications (
+  notification_id SERIAL PRIMARY KEY,
+  user_id INT NOT NULL,
+  event_type TEXT NOT NULL,
+  title TEXT NOT NULL,
+  body TEXT NOT NULL,
+  data JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS notifications_user_id_idx ON notifications (user_id, notification_id DESC);
+
+-- One message for one channel. Pending deliveries are (re)tried from
+-- next_attempt_at until sent or out of attempts.
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+  delivery_id SERIAL PRIMARY KEY,
+  user_id INT NOT NULL,
+  event_type TEXT NOT NULL,
+  channel TEXT NOT NULL CHECK (channel IN ('email', 'sms', 'in_app')),
+  recipient TEXT,
+  title TEXT NOT NULL,
+  body TEXT NOT NULL,
+  data JSONB,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+  attempts INT NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ,
+  last_error TEXT,
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS notification_deliveries_due_idx ON notification_deliveries (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS notification_deliveries_user_id_idx ON notification_deliveries (user_id);
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS phone_otp_limits;
+DROP INDEX IF EXISTS users_verified_contact_number_key;
+CREATE UNIQUE INDEX IF NOT EXISTS users_contact_number_key ON users (contact_number) WHERE contact_number IS NOT NULL;
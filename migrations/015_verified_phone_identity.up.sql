@@ -0,0 +1,13 @@
+-- A phone number only becomes a login identity once it is verified, so only
+-- verified numbers need to be unique
+DROP INDEX IF EXISTS users_contact_number_key;
+CREATE UNIQUE INDEX IF NOT EXISTS users_verified_contact_number_key ON users (contact_number)
+  WHERE contact_number IS NOT NULL AND phone_verified_at IS NOT NULL;
+
+-- One row per phone so the OTP resend limits can be checked and taken in a single statement
+CREATE TABLE IF NOT EXISTS phone_otp_limits (
+  phone TEXT PRIMARY KEY,
+  last_sent_at TIMESTAMPTZ NOT NULL,
+  window_started_at TIMESTAMPTZ NOT NULL,
+  sent_in_window INT NOT NULL
+);
@@ -0,0 +1,4 @@
+-- When a refund was last handed to the provider. It is set before the call and
+-- cleared only if the provider refused, so a refund the provider took but whose
+-- id could not be saved is never sent again; its webhook records the id by receipt.
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS requested_at TIMESTAMPTZ;
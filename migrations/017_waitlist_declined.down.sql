@@ -0,0 +1,4 @@
+UPDATE waitlist_entries SET status = 'cancelled' WHERE status = 'declined';
+ALTER TABLE waitlist_entries DROP CONSTRAINT IF EXISTS waitlist_entries_status_check;
+ALTER TABLE waitlist_entries ADD CONSTRAINT waitlist_entries_status_check
+  CHECK (status IN ('waiting', 'offered', 'booked', 'expired', 'cancelled'));
@@ -0,0 +1,4 @@
+-- A guest who leaves the queue after being offered the room declines the offer
+ALTER TABLE waitlist_entries DROP CONSTRAINT IF EXISTS waitlist_entries_status_check;
+ALTER TABLE waitlist_entries ADD CONSTRAINT waitlist_entries_status_check
+  CHECK (status IN ('waiting', 'offered', 'booked', 'expired', 'cancelled', 'declined'));
@@ -0,0 +1 @@
+DROP INDEX IF EXISTS rooms_hotel_id_room_number_key;
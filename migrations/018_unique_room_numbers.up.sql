@@ -0,0 +1,3 @@
+-- Room numbers are unique within a hotel. The controllers check first for a
+-- friendly error; this closes the race between two concurrent writes.
+CREATE UNIQUE INDEX IF NOT EXISTS rooms_hotel_id_room_number_key ON rooms (hotel_id, room_number);
@@ -0,0 +1,58 @@
+// Access to user_kyc, the per-user identity verification record
+
+const KYC_COLUMNS = `user_id, status, aadhaar_masked, provider, provider_reference, rejection_reason,
+  submitted_at, verified_at, rejected_at, updated_at`;
+
+const findByUserId = async (db, userId) => {
+  const result = await db.query(`SELECT ${KYC_COLUMNS} FROM user_kyc WHERE user_id = $1`, [userId]);
+  return result.rows[0] || null;
+};
+
+// Another user's live record for the same Aadhaar number, if any
+const findLiveByHash = async (db, aadhaarHash, excludeUserId) => {
+  const result = await db.query(
+    `SELECT user_id FROM user_kyc
+     WHERE aadhaar_hash = $1 AND status <> 'rejected' AND user_id <> $2`,
+    [aadhaarHash, excludeUserId]
+  );
+  return result.rows[0] || null;
+};
+
+// Start (or restart after a rejection) a submission in the pending state
+const submit = async (db, userId, { aadhaarMasked, aadhaarHash, provider }) => {
+  const result = await db.query(
+    `INSERT INTO user_kyc (user_id, status, aadhaar_masked, aadhaar_hash, provider)
+     VALUES ($1, 'pending', $2, $3, $4)
+     ON CONFLICT (user_id) DO UPDATE SET
+       status = 'pending', aadhaar_masked = EXCLUDED.aadhaar_masked, aadhaar_hash = EXCLUDED.aadhaar_hash,
+       provider = EXCLUDED.provider, provider_reference = NULL, rejection_reason = NULL,
+       submitted_at = NOW(), verified_at = NULL, rejected_at = NULL, updated_at = NOW()
+     RETURNING ${KYC_COLUMNS}`,
+    [userId, aadhaarMasked, aadhaarHash, provider]
+  );
+  return result.rows[0];
+};
+
+// Store the provider's answer for a pending submission
+const recordResult = async (db, userId, { status, reference, reason }) => {
+  const result = await db.query(
+    `UPDATE user_kyc SET
+       status = $2,
+       provider_reference = $3,
+       rejection_reason = CASE WHEN $2 = 'rejected' THEN $4 ELSE NULL END,
+       verified_at = CASE WHEN $2 = 'verified' THEN NOW() ELSE NULL END,
+       rejected_at = CASE WHEN $2 = 'rejected' THEN NOW() ELSE NULL END,
+       updated_at = NOW()
+     WHERE user_id = $1
+     RETURNING ${KYC_COLUMNS}`,
+    [userId, status, reference || null, reason || null]
+  );
+  return result.rows[0] || null;
+};
+
+const isVerified = async (db, userId) => {
+  const result = await db.query(`SELECT 1 FROM user_kyc WHERE user_id = $1 AND status = 'verified'`, [userId]);
+  return result.rowCount > 0;
+};
+
+module.exports = { findByUserId, findLiveByHash, submit, recordResult, isVerified };
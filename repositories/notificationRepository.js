@@ -0,0 +1,192 @@
+// Access to notification preferences, the in-app inbox and the delivery queue
+
+const CHANNELS = ['email', 'sms', 'in_app'];
+
+const DELIVERY_COLUMNS = `delivery_id, user_id, event_type, channel, recipient, title, body, data, status,
+  attempts, next_attempt_at, last_error, sent_at, created_at, updated_at`;
+
+const NOTIFICATION_COLUMNS = 'notification_id, user_id, event_type, title, body, data, read_at, created_at';
+
+// A user's channel preferences; every channel is on until they change it
+const getPreferences = async (db, userId) => {
+  const result = await db.query('SELECT email, sms, in_app FROM notification_preferences WHERE user_id = $1', [userId]);
+  return result.rows[0] || { email: true, sms: true, in_app: true };
+};
+
+// Change some channels, keeping the others as they were
+const savePreferences = async (db, userId, changes) => {
+  const current = await getPreferences(db, userId);
+  const prefs = { ...current, ...changes };
+  const result = await db.query(
+    `INSERT INTO notification_preferences (user_id, email, sms, in_app)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (user_id) DO UPDATE SET email = $2, sms = $3, in_app = $4, updated_at = NOW()
+     RETURNING email, sms, in_app`,
+    [userId, prefs.email, prefs.sms, prefs.in_app]
+  );
+  return result.rows[0];
+};
+
+// Queue a message. It is leased to the caller for `leaseSeconds` so the retry
+// job leaves it alone while the first attempt is under way.
+const createDelivery = async (db, { userId, eventType, channel, recipient, title, body, data, leaseSeconds }) => {
+  const result = await db.query(
+    `INSERT INTO notification_deliveries (user_id, event_type, channel, recipient, title, body, data, next_attempt_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + $8 * INTERVAL '1 second')
+     RETURNING ${DELIVERY_COLUMNS}`,
+    [userId, eventType, channel, recipient, title, body, data ? JSON.stringify(data) : null, leaseSeconds]
+  );
+  return result.rows[0];
+};
+
+// Lease pending deliveries that are due, oldest first
+const claimDue = async (db, { limit, leaseSeconds }) => {
+  const result = await db.query(
+    `UPDATE notification_deliveries SET next_attempt_at = NOW() + $2 * INTERVAL '1 second', updated_at = NOW()
+     WHERE delivery_id IN (
+       SELECT delivery_id FROM notification_deliveries
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at ASC, delivery_id ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING ${DELIVERY_COLUMNS}`,
+    [limit, leaseSeconds]
+  );
+  return result.rows;
+};
+
+const markSent = async (db, deliveryId) => {
+  await db.query(
+    `UPDATE notification_deliveries SET status = 'sent', attempts = attempts + 1, sent_at = NOW(),
+       next_attempt_at = NULL, last_error = NULL, updated_at = NOW()
+     WHERE delivery_id = $1`,
+    [deliveryId]
+  );
+};
+
+// Record a failed attempt: retry after `retryInSeconds`, or give up when that is null
+const markAttemptFailed = async (db, deliveryId, { error, retryInSeconds }) => {
+  const result = await db.query(
+    `UPDATE notification_deliveries SET attempts = attempts + 1, last_error = $2,
+       status = CASE WHEN $3::int IS NULL THEN 'failed' ELSE 'pending' END,
+       next_attempt_at = CASE WHEN $3::int IS NULL THEN NULL ELSE NOW() + $3 * INTERVAL '1 second' END,
+       updated_at = NOW()
+     WHERE delivery_id = $1
+     RETURNING status, attempts`,
+    [deliveryId, error, retryInSeconds]
+  );
+  return result.rows[0];
+};
+
+// Put a message in the user's in-app inbox
+const createNotification = async (db, { userId, eventType, title, body, data }) => {
+  const result = await db.query(
+    `INSERT INTO notifications (user_id, event_type, title, body, data)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${NOTIFICATION_COLUMNS}`,
+    [userId, eventType, title, body, data ? JSON.stringify(data) : null]
+  );
+  return result.rows[0];
+};
+
+// A user's inbox, newest first, with the total for pagination
+const listForUser = async (db, userId, { unreadOnly = false, limit, offset }) => {
+  const result = await db.query(
+    `SELECT ${NOTIFICATION_COLUMNS}, COUNT(*) OVER() AS total_count FROM notifications
+     WHERE user_id = $1 AND ($2 = false OR read_at IS NULL)
+     ORDER BY notification_id DESC
+     LIMIT $3 OFFSET $4`,
+    [userId, unreadOnly, limit, offset]
+  );
+  return {
+    total: result.rows.length ? Number(result.rows[0].total_count) : 0,
+    notifications: result.rows.map(({ total_count, ...row }) => row)
+  };
+};
+
+// A user's notifications for the live stream, oldest first: those after `afterId`
+// and those created in the last `lookbackSeconds` (which can commit after a later
+// id was already read), leaving out the ids in `excludeIds`
+const listForStream = async (db, userId, { afterId, lookbackSeconds, excludeIds, limit }) => {
+  const result = await db.query(
+    `SELECT ${NOTIFICATION_COLUMNS} FROM notifications
+     WHERE user_id = $1
+     AND (notification_id > $2 OR created_at > NOW() - $3 * INTERVAL '1 second')
+     AND NOT (notification_id = ANY($4::int[]))
+     ORDER BY notification_id ASC
+     LIMIT $5`,
+    [userId, afterId, lookbackSeconds, excludeIds, limit]
+  );
+  return result.rows;
+};
+
+// Id of the user's newest notification, 0 if none
+const latestId = async (db, userId) => {
+  const result = await db.query('SELECT COALESCE(MAX(notification_id), 0) AS id FROM notifications WHERE user_id = $1', [userId]);
+  return Number(result.rows[0].id);
+};
+
+// Ids (with creation times) of the user's notifications from the last `lookbackSeconds`
+const listRecentIds = async (db, userId, lookbackSeconds) => {
+  const result = await db.query(
+    `SELECT notification_id, created_at FROM notifications
+     WHERE user_id = $1 AND created_at > NOW() - $2 * INTERVAL '1 second'`,
+    [userId, lookbackSeconds]
+  );
+  return result.rows;
+};
+
+const countUnread = async (db, userId) => {
+  const result = await db.query('SELECT COUNT(*)::int AS count FROM notifications WHERE user_id = $1 AND read_at IS NULL', [userId]);
+  return result.rows[0].count;
+};
+
+// Mark one of the user's notifications read (keeping the first read time); null if not theirs
+const markRead = async (db, userId, notificationId) => {
+  const result = await db.query(
+    `UPDATE notifications SET read_at = COALESCE(read_at, NOW())
+     WHERE notification_id = $1 AND user_id = $2
+     RETURNING ${NOTIFICATION_COLUMNS}`,
+    [notificationId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Mark every unread notification of the user read. Returns how many changed.
+const markAllRead = async (db, userId) => {
+  const result = await db.query('UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL', [userId]);
+  return result.rowCount;
+};
+
+// Guests with a booking at a hotel that wasn't cancelled, for hotel announcements
+const listHotelGuests = async (db, hotelId) => {
+  const result = await db.query(
+    `SELECT DISTINCT b.user_id, h.name AS hotel_name
+     FROM bookings b
+     JOIN rooms r ON r.room_id = b.room_id
+     JOIN hotels h ON h.hotel_id = r.hotel_id
+     WHERE r.hotel_id = $1 AND b.status <> 'cancelled'`,
+    [hotelId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  CHANNELS,
+  getPreferences,
+  savePreferences,
+  createDelivery,
+  claimDue,
+  markSent,
+  markAttemptFailed,
+  createNotification,
+  listForUser,
+  listForStream,
+  latestId,
+  listRecentIds,
+  countUnread,
+  markRead,
+  markAllRead,
+  listHotelGuests
+};
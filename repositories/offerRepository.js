@@ -0,0 +1,137 @@
+// Access to offers and their redemptions
+
+const OFFER_COLUMNS = `o.offer_id, o.hotel_id, o.title, o.description, o.code, o.discount_type, o.discount_value,
+  o.max_discount, o.min_nights, o.room_ids, o.max_uses, o.max_uses_per_user, o.stackable,
+  TO_CHAR(o.valid_from, 'YYYY-MM-DD') AS valid_from, TO_CHAR(o.valid_to, 'YYYY-MM-DD') AS valid_to,
+  o.expired_at, o.created_at`;
+
+// Whether the offer can be used today, worked out in SQL so DATE columns need no time zone handling
+const IS_LIVE = '(o.expired_at IS NULL AND o.valid_from <= CURRENT_DATE AND o.valid_to >= CURRENT_DATE)';
+
+// Redemptions still counting towards the caps (the booking wasn't cancelled)
+const USES = `(SELECT COUNT(*) FROM offer_redemptions r JOIN bookings b ON b.booking_id = r.booking_id
+  WHERE r.offer_id = o.offer_id AND b.status <> 'cancelled')`;
+const USER_USES = `(SELECT COUNT(*) FROM offer_redemptions r JOIN bookings b ON b.booking_id = r.booking_id
+  WHERE r.offer_id = o.offer_id AND b.status <> 'cancelled' AND r.user_id = $2)`;
+
+const toOffer = (row) => row && {
+  ...row,
+  discount_value: Number(row.discount_value),
+  max_discount: row.max_discount === null ? null : Number(row.max_discount),
+  ...(row.uses !== undefined && { uses: Number(row.uses) }),
+  ...(row.user_uses !== undefined && { user_uses: Number(row.user_uses) })
+};
+
+// Offers anyone can see: live and without a promo code
+const listPublic = async (db, { hotelId } = {}) => {
+  const result = await db.query(
+    `SELECT ${OFFER_COLUMNS} FROM offers o
+     WHERE ${IS_LIVE} AND o.code IS NULL AND ($1::int IS NULL OR o.hotel_id IS NULL OR o.hotel_id = $1)
+     ORDER BY o.valid_to ASC, o.offer_id ASC`,
+    [hotelId ?? null]
+  );
+  return result.rows.map(toOffer);
+};
+
+// Every offer of one hotel, including expired ones and promo codes, with usage counts
+const listForHotel = async (db, hotelId) => {
+  const result = await db.query(
+    `SELECT ${OFFER_COLUMNS}, ${IS_LIVE} AS is_live, ${USES} AS uses FROM offers o
+     WHERE o.hotel_id = $1
+     ORDER BY o.created_at DESC, o.offer_id DESC`,
+    [hotelId]
+  );
+  return result.rows.map(toOffer);
+};
+
+// Offers requested for a stay (public ones by id, promo codes by code), with live
+// flag and usage counts for the user. Pass lock to hold them until the transaction ends.
+const findForRedemption = async (db, { offerIds = [], codes = [], userId, lock = false }) => {
+  const upperCodes = codes.map(code => code.toUpperCase());
+  if (lock) {
+    // Lock before counting, in its own statement: the counts in a locking query
+    // would come from the snapshot taken before it waited for the lock
+    await db.query(
+      `SELECT o.offer_id FROM offers o
+       WHERE (o.offer_id = ANY($1::int[]) AND o.code IS NULL) OR UPPER(o.code) = ANY($2::text[])
+       ORDER BY o.offer_id ASC
+       FOR UPDATE`,
+      [offerIds, upperCodes]
+    );
+  }
+  const result = await db.query(
+    `SELECT ${OFFER_COLUMNS}, ${IS_LIVE} AS is_live, ${USES} AS uses, ${USER_USES} AS user_uses
+     FROM offers o
+     WHERE (o.offer_id = ANY($1::int[]) AND o.code IS NULL) OR UPPER(o.code) = ANY($3::text[])
+     ORDER BY o.offer_id ASC`,
+    [offerIds, userId, upperCodes]
+  );
+  return result.rows.map(toOffer);
+};
+
+// Offers by id (promo codes included), with live flag, e.g. to re-check a booking's offers
+const findByIds = async (db, offerIds) => {
+  const result = await db.query(
+    `SELECT ${OFFER_COLUMNS}, ${IS_LIVE} AS is_live FROM offers o
+     WHERE o.offer_id = ANY($1::int[])
+     ORDER BY o.offer_id ASC`,
+    [offerIds]
+  );
+  return result.rows.map(toOffer);
+};
+
+const create = async (db, offer) => {
+  const result = await db.query(
+    `INSERT INTO offers (hotel_id, title, description, code, discount_type, discount_value, max_discount,
+       min_nights, room_ids, max_uses, max_uses_per_user, stackable, valid_from, valid_to, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+     RETURNING ${OFFER_COLUMNS.replace(/o\./g, '')}`,
+    [
+      offer.hotelId, offer.title, offer.description, offer.code, offer.discountType, offer.discountValue,
+      offer.maxDiscount, offer.minNights, offer.roomIds, offer.maxUses, offer.maxUsesPerUser, offer.stackable,
+      offer.validFrom, offer.validTo, offer.createdBy
+    ]
+  );
+  return toOffer(result.rows[0]);
+};
+
+// Stop an offer from being used from now on; returns null if it isn't one of the hotel's
+const expire = async (db, hotelId, offerId) => {
+  const result = await db.query(
+    `UPDATE offers SET expired_at = COALESCE(expired_at, NOW())
+     WHERE offer_id = $1 AND hotel_id = $2
+     RETURNING ${OFFER_COLUMNS.replace(/o\./g, '')}`,
+    [offerId, hotelId]
+  );
+  return toOffer(result.rows[0]);
+};
+
+const recordRedemptions = async (db, bookingId, userId, discounts) => {
+  for (const discount of discounts) {
+    await db.query(
+      `INSERT INTO offer_redemptions (offer_id, booking_id, user_id, discount_amount) VALUES ($1, $2, $3, $4)`,
+      [discount.offer_id, bookingId, userId, discount.amount]
+    );
+  }
+};
+
+// Keep a booking's redemptions in step with its latest price (e.g. after a date change)
+const updateRedemptionAmounts = async (db, bookingId, discounts) => {
+  for (const discount of discounts) {
+    await db.query(
+      'UPDATE offer_redemptions SET discount_amount = $3 WHERE booking_id = $1 AND offer_id = $2',
+      [bookingId, discount.offer_id, discount.amount]
+    );
+  }
+};
+
+module.exports = {
+  listPublic,
+  listForHotel,
+  findForRedemption,
+  findByIds,
+  create,
+  expire,
+  recordRedemptions,
+  updateRedemptionAmounts
+};
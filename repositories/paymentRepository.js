@@ -0,0 +1,236 @@
+// Access to payments, their refunds and the webhook deliveries that settle them
+
+const PAYMENT_COLUMNS = `payment_id, booking_id, user_id, provider, provider_order_id, provider_payment_id,
+  amount, currency, status, amount_refunded, failure_reason, captured_at, created_at, updated_at`;
+
+const REFUND_COLUMNS = `refund_id, payment_id, booking_id, amount, provider_refund_id, status, reason, policy,
+  failure_reason, requested_at, created_at, updated_at`;
+
+// Payments that hold money which can still be refunded
+const REFUNDABLE_STATUSES = ['captured', 'partially_refunded'];
+
+const toPayment = (row) => row && {
+  ...row,
+  amount: Number(row.amount),
+  amount_refunded: Number(row.amount_refunded)
+};
+
+const toRefund = (row) => row && { ...row, amount: Number(row.amount) };
+
+const create = async (db, { bookingId, userId, provider, orderId, amount, currency }) => {
+  const result = await db.query(
+    `INSERT INTO payments (booking_id, user_id, provider, provider_order_id, amount, currency)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${PAYMENT_COLUMNS}`,
+    [bookingId, userId, provider, orderId, amount, currency]
+  );
+  return toPayment(result.rows[0]);
+};
+
+// A booking's payments, newest first, each with its refunds
+const listForBooking = async (db, bookingId) => {
+  const payments = await db.query(
+    `SELECT ${PAYMENT_COLUMNS} FROM payments WHERE booking_id = $1 ORDER BY created_at DESC, payment_id DESC`,
+    [bookingId]
+  );
+  const refunds = await db.query(
+    `SELECT ${REFUND_COLUMNS} FROM refunds WHERE booking_id = $1 ORDER BY created_at ASC, refund_id ASC`,
+    [bookingId]
+  );
+  return payments.rows.map(row => ({
+    ...toPayment(row),
+    refunds: refunds.rows.filter(r => r.payment_id === row.payment_id).map(toRefund)
+  }));
+};
+
+const findByOrderId = async (db, provider, orderId) => {
+  const result = await db.query(
+    `SELECT ${PAYMENT_COLUMNS} FROM payments WHERE provider = $1 AND provider_order_id = $2 FOR UPDATE`,
+    [provider, orderId]
+  );
+  return toPayment(result.rows[0]);
+};
+
+// Payments on a booking with money still held (optionally just one of them), locked for refunding
+const findRefundable = async (db, bookingId, paymentId = null) => {
+  const result = await db.query(
+    `SELECT ${PAYMENT_COLUMNS} FROM payments
+     WHERE booking_id = $1 AND status = ANY($2) AND ($3::int IS NULL OR payment_id = $3)
+     ORDER BY payment_id ASC
+     FOR UPDATE`,
+    [bookingId, REFUNDABLE_STATUSES, paymentId]
+  );
+  return result.rows.map(toPayment);
+};
+
+// Whether a booking has been paid for (optionally by a payment other than the given one)
+const hasCapture = async (db, bookingId, excludePaymentId = null) => {
+  const result = await db.query(
+    `SELECT 1 FROM payments
+     WHERE booking_id = $1 AND status = ANY($2) AND ($3::int IS NULL OR payment_id <> $3)
+     LIMIT 1`,
+    [bookingId, REFUNDABLE_STATUSES, excludePaymentId]
+  );
+  return result.rowCount > 0;
+};
+
+// `amount` replaces the order amount when the provider captured a different sum,
+// so a refund gives back what was actually taken
+const markCaptured = async (db, paymentId, providerPaymentId, amount = null) => {
+  const result = await db.query(
+    `UPDATE payments SET status = 'captured', provider_payment_id = $2, amount = COALESCE($3, amount),
+       captured_at = NOW(), updated_at = NOW()
+     WHERE payment_id = $1
+     RETURNING ${PAYMENT_COLUMNS}`,
+    [paymentId, providerPaymentId, amount]
+  );
+  return toPayment(result.rows[0]);
+};
+
+const markFailed = async (db, paymentId, providerPaymentId, reason) => {
+  const result = await db.query(
+    `UPDATE payments SET status = 'failed', provider_payment_id = COALESCE($2, provider_payment_id),
+       failure_reason = $3, updated_at = NOW()
+     WHERE payment_id = $1
+     RETURNING ${PAYMENT_COLUMNS}`,
+    [paymentId, providerPaymentId ?? null, reason ?? null]
+  );
+  return toPayment(result.rows[0]);
+};
+
+// Move money between a payment's held and refunded amounts (negative to give it back)
+// and keep its status in step
+const adjustRefunded = async (db, paymentId, amount) => {
+  await db.query(
+    `UPDATE payments SET
+       amount_refunded = amount_refunded + $2,
+       status = CASE
+         WHEN amount_refunded + $2 >= amount THEN 'refunded'
+         WHEN amount_refunded + $2 > 0 THEN 'partially_refunded'
+         ELSE 'captured'
+       END,
+       updated_at = NOW()
+     WHERE payment_id = $1`,
+    [paymentId, amount]
+  );
+};
+
+// Reserve a refund against a payment; it is sent to the provider after COMMIT
+const createRefund = async (db, payment, { amount, reason, policy }) => {
+  const result = await db.query(
+    `INSERT INTO refunds (payment_id, booking_id, amount, reason, policy)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${REFUND_COLUMNS}`,
+    [payment.payment_id, payment.booking_id, amount, reason, policy ? JSON.stringify(policy) : null]
+  );
+  await adjustRefunded(db, payment.payment_id, amount);
+  return toRefund(result.rows[0]);
+};
+
+// Mark a refund as being sent, before the provider is asked. Returns false when it
+// is no longer waiting to be sent.
+const markRefundRequested = async (db, refundId) => {
+  const result = await db.query(
+    `UPDATE refunds SET requested_at = NOW(), updated_at = NOW()
+     WHERE refund_id = $1 AND status = 'pending' AND provider_refund_id IS NULL`,
+    [refundId]
+  );
+  return result.rowCount > 0;
+};
+
+// The provider refused the refund, so it may be sent again
+const clearRefundRequested = async (db, refundId) => {
+  await db.query(
+    `UPDATE refunds SET requested_at = NULL, updated_at = NOW()
+     WHERE refund_id = $1 AND provider_refund_id IS NULL`,
+    [refundId]
+  );
+};
+
+const setRefundProviderId = async (db, refundId, providerRefundId, status) => {
+  await db.query(
+    `UPDATE refunds SET provider_refund_id = $2, status = $3, updated_at = NOW()
+     WHERE refund_id = $1 AND status = 'pending'`,
+    [refundId, providerRefundId, status]
+  );
+};
+
+// Lease refunds the provider refused or never got (not requested, no provider id)
+// that were last tried over `olderThanSeconds` ago, with the provider's payment id to refund
+const claimUnsentRefunds = async (db, { limit, olderThanSeconds }) => {
+  const result = await db.query(
+    `WITH claimed AS (
+       UPDATE refunds SET updated_at = NOW()
+       WHERE refund_id IN (
+         SELECT refund_id FROM refunds
+         WHERE status = 'pending' AND provider_refund_id IS NULL AND requested_at IS NULL
+         AND updated_at <= NOW() - $2 * INTERVAL '1 second'
+         ORDER BY refund_id ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING ${REFUND_COLUMNS}
+     )
+     SELECT claimed.*, p.provider_payment_id FROM claimed
+     JOIN payments p ON p.payment_id = claimed.payment_id
+     ORDER BY claimed.refund_id ASC`,
+    [limit, olderThanSeconds]
+  );
+  return result.rows.map(toRefund);
+};
+
+// A refund by the provider's id, or by our own id sent to the provider as the receipt
+const findRefund = async (db, { providerRefundId, receipt }) => {
+  const result = await db.query(
+    `SELECT ${REFUND_COLUMNS} FROM refunds
+     WHERE provider_refund_id = $1 OR refund_id::text = $2
+     ORDER BY (provider_refund_id = $1) DESC NULLS LAST
+     LIMIT 1
+     FOR UPDATE`,
+    [providerRefundId ?? null, receipt ?? null]
+  );
+  return toRefund(result.rows[0]);
+};
+
+// Settle a pending refund. A failed one hands its amount back to the payment.
+const settleRefund = async (db, refund, { status, providerRefundId, reason }) => {
+  const result = await db.query(
+    `UPDATE refunds SET status = $2, provider_refund_id = COALESCE(provider_refund_id, $3),
+       failure_reason = $4, updated_at = NOW()
+     WHERE refund_id = $1
+     RETURNING ${REFUND_COLUMNS}`,
+    [refund.refund_id, status, providerRefundId ?? null, reason ?? null]
+  );
+  if (status === 'failed') await adjustRefunded(db, refund.payment_id, -refund.amount);
+  return toRefund(result.rows[0]);
+};
+
+// Store a webhook delivery. Returns false when the provider already sent this event.
+const recordWebhookEvent = async (db, provider, event, payload) => {
+  const result = await db.query(
+    `INSERT INTO payment_webhook_events (provider, provider_event_id, event_type, payload)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (provider, provider_event_id) DO NOTHING
+     RETURNING event_id`,
+    [provider, event.id, event.type, payload]
+  );
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  create,
+  listForBooking,
+  findByOrderId,
+  findRefundable,
+  hasCapture,
+  markCaptured,
+  markFailed,
+  createRefund,
+  markRefundRequested,
+  clearRefundRequested,
+  setRefundProviderId,
+  claimUnsentRefunds,
+  findRefund,
+  settleRefund,
+  recordWebhookEvent
+};
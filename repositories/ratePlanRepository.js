@@ -0,0 +1,114 @@
+// Access to rate plans, their seasons, and the tax slabs applied to room tariffs
+
+const PLAN_COLUMNS = `rate_plan_id, hotel_id, name, weekend_days, weekend_adjustment_percent,
+  base_occupancy, extra_guest_charge, created_at, updated_at`;
+const SEASON_COLUMNS = `season_id, rate_plan_id, name, TO_CHAR(start_date, 'YYYY-MM-DD') AS start_date,
+  TO_CHAR(end_date, 'YYYY-MM-DD') AS end_date, adjustment_percent`;
+
+const toPlan = (row) => row && {
+  ...row,
+  weekend_adjustment_percent: Number(row.weekend_adjustment_percent),
+  extra_guest_charge: Number(row.extra_guest_charge)
+};
+
+const toSeason = (row) => ({ ...row, adjustment_percent: Number(row.adjustment_percent) });
+
+const seasonsOf = async (db, planIds, { from, to } = {}) => {
+  const result = await db.query(
+    `SELECT ${SEASON_COLUMNS} FROM rate_plan_seasons
+     WHERE rate_plan_id = ANY($1::int[])
+     AND ($2::date IS NULL OR end_date >= $2) AND ($3::date IS NULL OR start_date <= $3)
+     ORDER BY start_date ASC, season_id ASC`,
+    [planIds, from ?? null, to ?? null]
+  );
+  return result.rows.map(toSeason);
+};
+
+// A plan with the seasons overlapping the given dates (YYYY-MM-DD, inclusive), or null
+const findWithSeasons = async (db, ratePlanId, { from, to } = {}) => {
+  const result = await db.query(`SELECT ${PLAN_COLUMNS} FROM rate_plans WHERE rate_plan_id = $1`, [ratePlanId]);
+  const plan = toPlan(result.rows[0]);
+  if (!plan) return null;
+  return { ...plan, seasons: await seasonsOf(db, [plan.rate_plan_id], { from, to }) };
+};
+
+const listForHotel = async (db, hotelId) => {
+  const result = await db.query(
+    `SELECT ${PLAN_COLUMNS} FROM rate_plans WHERE hotel_id = $1 ORDER BY name ASC, rate_plan_id ASC`,
+    [hotelId]
+  );
+  const plans = result.rows.map(toPlan);
+  const seasons = await seasonsOf(db, plans.map(p => p.rate_plan_id));
+  return plans.map(plan => ({ ...plan, seasons: seasons.filter(s => s.rate_plan_id === plan.rate_plan_id) }));
+};
+
+const replaceSeasons = async (db, ratePlanId, seasons) => {
+  await db.query('DELETE FROM rate_plan_seasons WHERE rate_plan_id = $1', [ratePlanId]);
+  for (const season of seasons) {
+    await db.query(
+      `INSERT INTO rate_plan_seasons (rate_plan_id, name, start_date, end_date, adjustment_percent)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [ratePlanId, season.name, season.start_date, season.end_date, season.adjustment_percent]
+    );
+  }
+};
+
+// Create a plan with its seasons (call inside a transaction)
+const create = async (db, hotelId, plan) => {
+  const result = await db.query(
+    `INSERT INTO rate_plans (hotel_id, name, weekend_days, weekend_adjustment_percent, base_occupancy, extra_guest_charge)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING rate_plan_id`,
+    [hotelId, plan.name, plan.weekend_days, plan.weekend_adjustment_percent, plan.base_occupancy, plan.extra_guest_charge]
+  );
+  const { rate_plan_id } = result.rows[0];
+  await replaceSeasons(db, rate_plan_id, plan.seasons || []);
+  return findWithSeasons(db, rate_plan_id);
+};
+
+// Update the given plan fields; seasons, when given, replace the current ones.
+// Returns null if the plan isn't one of the hotel's. Call inside a transaction.
+const update = async (db, hotelId, ratePlanId, { seasons, ...fields }) => {
+  const cols = Object.keys(fields);
+  const result = await db.query(
+    `UPDATE rate_plans SET ${cols.map((col, i) => `${col} = $${i + 3}, `).join('')}updated_at = NOW()
+     WHERE rate_plan_id = $1 AND hotel_id = $2
+     RETURNING rate_plan_id`,
+    [ratePlanId, hotelId, ...cols.map(col => fields[col])]
+  );
+  if (result.rows.length === 0) return null;
+  if (seasons) await replaceSeasons(db, ratePlanId, seasons);
+  return findWithSeasons(db, ratePlanId);
+};
+
+const belongsToHotel = async (db, ratePlanId, hotelId) => {
+  const result = await db.query('SELECT 1 FROM rate_plans WHERE rate_plan_id = $1 AND hotel_id = $2', [ratePlanId, hotelId]);
+  return result.rowCount > 0;
+};
+
+const listTaxSlabs = async (db) => {
+  const result = await db.query('SELECT slab_id, name, above_tariff, rate_percent FROM tax_slabs ORDER BY above_tariff ASC');
+  return result.rows.map(row => ({ ...row, above_tariff: Number(row.above_tariff), rate_percent: Number(row.rate_percent) }));
+};
+
+// Replace the whole tax table (call inside a transaction)
+const replaceTaxSlabs = async (db, slabs) => {
+  await db.query('DELETE FROM tax_slabs');
+  for (const slab of slabs) {
+    await db.query(
+      'INSERT INTO tax_slabs (name, above_tariff, rate_percent) VALUES ($1, $2, $3)',
+      [slab.name, slab.above_tariff, slab.rate_percent]
+    );
+  }
+  return listTaxSlabs(db);
+};
+
+module.exports = {
+  findWithSeasons,
+  listForHotel,
+  create,
+  update,
+  belongsToHotel,
+  listTaxSlabs,
+  replaceTaxSlabs
+};
@@ -0,0 +1,106 @@
+// Access to guest reviews and the rating aggregates kept on hotels
+
+const REVIEW_COLUMNS = `review_id, booking_id, hotel_id, user_id, reviewer_name, rating, title, comment,
+  response, responded_by, responded_at, is_hidden, hidden_reason, hidden_by, hidden_at, created_at`;
+
+// What the public sees of a review
+const PUBLIC_COLUMNS = `review_id, reviewer_name, rating, title, comment, response, responded_at, created_at`;
+
+const toRating = (value) => (value === null ? null : Number(value));
+
+// An active hotel's name and rating, or null
+const findHotelRating = async (db, hotelId) => {
+  const result = await db.query(
+    'SELECT hotel_id, name, rating_average, review_count FROM hotels WHERE hotel_id = $1 AND is_active = true',
+    [hotelId]
+  );
+  const row = result.rows[0];
+  return row ? { ...row, rating_average: toRating(row.rating_average) } : null;
+};
+
+// Lock a hotel's row so its reviews and rating change one request at a time
+const lockHotel = async (db, hotelId) => {
+  const result = await db.query('SELECT hotel_id, is_active FROM hotels WHERE hotel_id = $1 FOR UPDATE', [hotelId]);
+  return result.rows[0] || null;
+};
+
+const create = async (db, review) => {
+  const result = await db.query(
+    `INSERT INTO reviews (booking_id, hotel_id, user_id, reviewer_name, rating, title, comment)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING ${REVIEW_COLUMNS}`,
+    [review.bookingId, review.hotelId, review.userId, review.reviewerName, review.rating, review.title, review.comment]
+  );
+  return result.rows[0];
+};
+
+const findById = async (db, reviewId) => {
+  const result = await db.query(`SELECT ${REVIEW_COLUMNS} FROM reviews WHERE review_id = $1`, [reviewId]);
+  return result.rows[0] || null;
+};
+
+// Visible reviews of a hotel, newest first, with the total for pagination
+const listVisibleForHotel = async (db, hotelId, { limit, offset }) => {
+  const result = await db.query(
+    `SELECT ${PUBLIC_COLUMNS}, COUNT(*) OVER() AS total_count FROM reviews
+     WHERE hotel_id = $1 AND is_hidden = false
+     ORDER BY created_at DESC, review_id DESC
+     LIMIT $2 OFFSET $3`,
+    [hotelId, limit, offset]
+  );
+  return {
+    total: result.rows.length ? Number(result.rows[0].total_count) : 0,
+    reviews: result.rows.map(({ total_count, ...row }) => row)
+  };
+};
+
+// Add or replace the hotel's reply; null if the review isn't one of the hotel's
+const setResponse = async (db, hotelId, reviewId, { response, respondedBy }) => {
+  const result = await db.query(
+    `UPDATE reviews SET response = $3, responded_by = $4, responded_at = NOW()
+     WHERE review_id = $1 AND hotel_id = $2
+     RETURNING ${REVIEW_COLUMNS}`,
+    [reviewId, hotelId, response, respondedBy]
+  );
+  return result.rows[0] || null;
+};
+
+const setHidden = async (db, reviewId, { hidden, reason, hiddenBy }) => {
+  const result = await db.query(
+    `UPDATE reviews SET is_hidden = $2,
+       hidden_reason = CASE WHEN $2 THEN $3 END,
+       hidden_by = CASE WHEN $2 THEN $4::int END,
+       hidden_at = CASE WHEN $2 THEN NOW() END
+     WHERE review_id = $1
+     RETURNING ${REVIEW_COLUMNS}`,
+    [reviewId, hidden, reason ?? null, hiddenBy]
+  );
+  return result.rows[0] || null;
+};
+
+// Recompute a hotel's average and count from its visible reviews.
+// Call with the hotel row locked (lockHotel) in the same transaction.
+const refreshHotelRating = async (db, hotelId) => {
+  const result = await db.query(
+    `UPDATE hotels SET (rating_average, review_count) = (
+       SELECT ROUND(AVG(rating), 2), COUNT(*) FROM reviews WHERE hotel_id = $1 AND is_hidden = false
+     )
+     WHERE hotel_id = $1
+     RETURNING rating_average, review_count`,
+    [hotelId]
+  );
+  const row = result.rows[0];
+  return { rating_average: toRating(row.rating_average), review_count: row.review_count };
+};
+
+module.exports = {
+  toRating,
+  findHotelRating,
+  lockHotel,
+  create,
+  findById,
+  listVisibleForHotel,
+  setResponse,
+  setHidden,
+  refreshHotelRating
+};
@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+
+// Single place that knows how the users table looks. Older databases differ
+// ('id' vs 'user_id', 'name' vs 'full_name', missing role columns...), so the
+// table is inspected once and every query is built from the resolved columns.
+
+let schemaPromise = null;
+
+const describeColumns = (cols) => {
+  const has = (col) => cols.has(col);
+  let nameExpr = 'NULL';
+  if (has('full_name') && has('name')) nameExpr = 'COALESCE(full_name, name)';
+  else if (has('full_name')) nameExpr = 'full_name';
+  else if (has('name')) nameExpr = 'name';
+  return {
+    has,
+    idCol: has('id') && !has('user_id') ? 'id' : 'user_id',
+    nameCols: ['full_name', 'name'].filter(has),
+    exprs: {
+      email: has('email') ? 'email' : 'NULL',
+      name: nameExpr,
+      phone: has('contact_number') ? 'contact_number' : 'NULL',
+      phoneVerifiedAt: has('phone_verified_at') ? 'phone_verified_at' : 'NULL',
+      emailVerifiedAt: has('email_verified_at') ? 'email_verified_at' : 'NULL',
+      role: has('role') ? 'role' : `'guest'`,
+      hotelId: has('hotel_id') ? 'hotel_id' : 'NULL',
+      createdAt: has('created_at') ? 'created_at' : 'NOW()',
+      passwordHash: has('password_hash') ? 'password_hash' : 'NULL',
+      lockedUntil: has('locked_until') ? 'locked_until' : 'NULL'
+    }
+  };
+};
+
+// Inspect the users table (once; call at startup, later calls reuse the result).
+// Lazy callers pass the client they already hold so no second connection is needed.
+const resolveSchema = (db = pool) => {
+  if (!schemaPromise) {
+    schemaPromise = db
+      .query(`SELECT column_name FROM information_schema.columns WHERE table_name = 'users'`)
+      .then(res => describeColumns(new Set(res.rows.map(r => r.column_name))))
+      .catch((error) => {
+        schemaPromise = null;
+        throw error;
+      });
+  }
+  return schemaPromise;
+};
+
+// Phone numbers are stored as digits with an optional leading '+'; null if not plausible
+const normalizePhone = (value) => {
+  if (value === undefined || value === null) return null;
+  const compact = String(value).replace(/[\s().-]/g, '');
+  return /^\+?\d{10,15}$/.test(compact) ? compact : null;
+};
+
+const normalizeEmail = (value) => String(value).trim().toLowerCase();
+
+const selectList = (schema, { withSecrets = false } = {}) => {
+  const { idCol, exprs } = schema;
+  const cols = [
+    `${idCol} AS id`,
+    `${exprs.email} AS email`,
+    `${exprs.name} AS name`,
+    `${exprs.phone} AS phone`,
+    `${exprs.phoneVerifiedAt} AS phone_verified_at`,
+    `${exprs.emailVerifiedAt} AS email_verified_at`,
+    `${exprs.role} AS role`,
+    `${exprs.hotelId} AS hotel_id`,
+    `${exprs.createdAt} AS created_at`
+  ];
+  if (withSecrets) cols.push(`${exprs.passwordHash} AS password_hash`, `${exprs.lockedUntil} AS locked_until`);
+  return cols.join(', ');
+};
+
+const toUser = (row) => {
+  if (!row) return null;
+  const user = {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    phone: row.phone,
+    phoneVerifiedAt: row.phone_verified_at,
+    emailVerifiedAt: row.email_verified_at,
+    role: row.role,
+    hotelId: row.hotel_id,
+    createdAt: row.created_at
+  };
+  if ('password_hash' in row) user.passwordHash = row.password_hash;
+  if ('locked_until' in row) user.lockedUntil = row.locked_until;
+  return user;
+};
+
+const findOne = async (db, where, value, options) => {
+  const schema = await resolveSchema(db);
+  const result = await db.query(`SELECT ${selectList(schema, options)} FROM users WHERE ${where(schema)} = $1`, [value]);
+  return toUser(result.rows[0]);
+};
+
+const findById = (db, id, options) => findOne(db, s => s.idCol, id, options);
+
+const findByEmail = (db, email, options) => findOne(db, s => s.exprs.email, normalizeEmail(email), options);
+
+// The user who verified this phone number. A number given at registration but
+// never verified is not an identity: it can't be used to log in or block others.
+const findByPhone = async (db, phone, options) => {
+  const schema = await resolveSchema(db);
+  if (!schema.has('contact_number')) return null;
+  const result = await db.query(
+    `SELECT ${selectList(schema, options)} FROM users
+     WHERE contact_number = $1 AND ${schema.exprs.phoneVerifiedAt} IS NOT NULL`,
+    [normalizePhone(phone)]
+  );
+  return toUser(result.rows[0]);
+};
+
+const emailExists = async (db, email) => Boolean(await findByEmail(db, email));
+
+const phoneExists = async (db, phone) => Boolean(await findByPhone(db, phone));
+
+// Insert a user with whichever of the given fields the schema supports
+const createUser = async (db, { email, name, phone, passwordHash }) => {
+  const schema = await resolveSchema(db);
+  const cols = [];
+  const values = [];
+  const add = (col, value) => { cols.push(col); values.push(value); };
+
+  if (schema.has('email') && email) add('email', normalizeEmail(email));
+  schema.nameCols.forEach(col => add(col, name));
+  if (schema.has('contact_number') && phone) add('contact_number', normalizePhone(phone));
+  if (schema.has('password_hash')) add('password_hash', passwordHash || null);
+  // Legacy schemas require an aadhaar_key on every row; store an opaque placeholder
+  if (schema.has('aadhaar_key')) add('aadhaar_key', crypto.randomBytes(16).toString('hex'));
+
+  if (cols.length === 0) throw new Error('No compatible columns found for users insert');
+  const placeholders = cols.map((_, i) => `$${i + 1}`).join(', ');
+  const result = await db.query(
+    `INSERT INTO users (${cols.join(', ')}) VALUES (${placeholders}) RETURNING ${selectList(schema)}`,
+    values
+  );
+  return toUser(result.rows[0]);
+};
+
+// Update the display name in every name column the schema has; false if there are none
+const updateName = async (db, id, name) => {
+  const schema = await resolveSchema(db);
+  if (schema.nameCols.length === 0) return false;
+  const sets = schema.nameCols.map((col, i) => `${col} = $${i + 1}`);
+  await db.query(
+    `UPDATE users SET ${sets.join(', ')} WHERE ${schema.idCol} = $${sets.length + 1}`,
+    [...schema.nameCols.map(() => name), id]
+  );
+  return true;
+};
+
+// Attach a phone number proven by OTP to a user and mark it verified. Other
+// accounts that only claimed the number without verifying it lose it.
+const linkVerifiedPhone = async (db, id, phone) => {
+  const schema = await resolveSchema(db);
+  const sets = ['contact_number = $1'];
+  if (schema.has('phone_verified_at')) {
+    sets.push('phone_verified_at = NOW()');
+    await db.query(
+      `UPDATE users SET contact_number = NULL
+       WHERE contact_number = $1 AND phone_verified_at IS NULL AND ${schema.idCol} <> $2`,
+      [normalizePhone(phone), id]
+    );
+  }
+  const result = await db.query(
+    `UPDATE users SET ${sets.join(', ')} WHERE ${schema.idCol} = $2 RETURNING ${selectList(schema)}`,
+    [normalizePhone(phone), id]
+  );
+  return toUser(result.rows[0]);
+};
+
+// Mark the email verified, but only if it is still the address the link was sent to
+const markEmailVerified = async (db, id, email) => {
+  const schema = await resolveSchema(db);
+  if (!schema.has('email_verified_at')) return null;
+  const result = await db.query(
+    `UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW())
+     WHERE ${schema.idCol} = $1 AND email = $2
+     RETURNING ${selectList(schema)}`,
+    [id, normalizeEmail(email)]
+  );
+  return toUser(result.rows[0]);
+};
+
+// Replace the password hash; returns false if the user doesn't exist
+const updatePasswordHash = async (db, id, passwordHash) => {
+  const schema = await resolveSchema(db);
+  const result = await db.query(
+    `UPDATE users SET password_hash = $1 WHERE ${schema.idCol} = $2`,
+    [passwordHash, id]
+  );
+  return result.rowCount > 0;
+};
+
+// Count a failed login. Once `maxFailures` are reached in a row the account is
+// locked for `lockSeconds` and the counter starts over. Returns { lockedUntil } when
+// this failure triggered a lock, otherwise {}.
+const recordLoginFailure = async (db, id, { maxFailures, lockSeconds }) => {
+  const schema = await resolveSchema(db);
+  if (!schema.has('failed_login_attempts') || !schema.has('locked_until')) return {};
+  const result = await db.query(
+    `UPDATE users SET
+       failed_login_attempts = CASE WHEN failed_login_attempts + 1 >= $2 THEN 0 ELSE failed_login_attempts + 1 END,
+       locked_until = CASE WHEN failed_login_attempts + 1 >= $2 THEN NOW() + make_interval(secs => $3) ELSE locked_until END
+     WHERE ${schema.idCol} = $1
+     RETURNING failed_login_attempts = 0 AS locked, locked_until`,
+    [id, maxFailures, lockSeconds]
+  );
+  const row = result.rows[0];
+  return row?.locked ? { lockedUntil: row.locked_until } : {};
+};
+
+// Forget failed logins and any lock (after a successful login or a password reset)
+const clearLoginFailures = async (db, id) => {
+  const schema = await resolveSchema(db);
+  if (!schema.has('failed_login_attempts') || !schema.has('locked_until')) return;
+  await db.query(
+    `UPDATE users SET failed_login_attempts = 0, locked_until = NULL
+     WHERE ${schema.idCol} = $1 AND (failed_login_attempts > 0 OR locked_until IS NOT NULL)`,
+    [id]
+  );
+};
+
+// Set a user's role (and hotel, for staff); returns the updated user or null
+const updateRole = async (db, id, role, hotelId) => {
+  const schema = await resolveSchema(db);
+  const result = await db.query(
+    `UPDATE users SET role = $1, hotel_id = $2 WHERE ${schema.idCol} = $3 RETURNING ${selectList(schema)}`,
+    [role, hotelId, id]
+  );
+  return toUser(result.rows[0]);
+};
+
+// Filtered, paginated user listing without secrets. Returns { users, total }.
+const listUsers = async (db, { role, hotelId, email, limit, offset }) => {
+  const schema = await resolveSchema(db);
+  const clauses = [];
+  const values = [];
+  const filter = (sql, value) => {
+    if (value === undefined || value === null || value === '') return;
+    values.push(value);
+    clauses.push(`${sql} $${values.length}`);
+  };
+  filter(`${schema.exprs.role} =`, role);
+  filter(`${schema.exprs.hotelId} =`, hotelId);
+  filter(`${schema.exprs.email} ILIKE`, email ? `%${email}%` : undefined);
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  const result = await db.query(
+    `SELECT ${selectList(schema)}, COUNT(*) OVER() AS total_count
+     FROM users
+     ${where}
+     ORDER BY ${schema.exprs.email} ASC, ${schema.idCol} ASC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, limit, offset]
+  );
+  return {
+    users: result.rows.map(toUser),
+    total: result.rows.length ? Number(result.rows[0].total_count) : 0
+  };
+};
+
+module.exports = {
+  resolveSchema,
+  normalizeEmail,
+  normalizePhone,
+  findById,
+  findByEmail,
+  findByPhone,
+  emailExists,
+  phoneExists,
+  createUser,
+  updateName,
+  linkVerifiedPhone,
+  markEmailVerified,
+  updatePasswordHash,
+  recordLoginFailure,
+  clearLoginFailures,
+  updateRole,
+  listUsers
+};
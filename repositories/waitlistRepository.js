@@ -0,0 +1,140 @@
+// Access to waitlist_entries: guests queueing for a room that is taken for their dates
+
+const ENTRY_COLUMNS = `w.entry_id, w.room_id, w.user_id, w.check_in_time, w.check_out_time, w.guests, w.status,
+  w.booking_id, w.offered_at, w.created_at, w.updated_at`;
+
+// Place in the queue for the same room among entries still waiting
+const POSITION = `CASE WHEN w.status = 'waiting' THEN (
+  SELECT COUNT(*) FROM waitlist_entries e
+  WHERE e.room_id = w.room_id AND e.status = 'waiting' AND (e.created_at, e.entry_id) <= (w.created_at, w.entry_id)
+) END`;
+
+const toEntry = (row) => row && {
+  ...row,
+  ...(row.position !== undefined && { position: row.position === null ? null : Number(row.position) })
+};
+
+const findById = async (db, entryId) => {
+  const result = await db.query(
+    `SELECT ${ENTRY_COLUMNS}, ${POSITION} AS position FROM waitlist_entries w WHERE w.entry_id = $1`,
+    [entryId]
+  );
+  return toEntry(result.rows[0]);
+};
+
+const create = async (db, { roomId, userId, checkIn, checkOut, guests }) => {
+  const result = await db.query(
+    `INSERT INTO waitlist_entries (room_id, user_id, check_in_time, check_out_time, guests)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING entry_id`,
+    [roomId, userId, checkIn, checkOut, guests]
+  );
+  return findById(db, result.rows[0].entry_id);
+};
+
+// A user's entries, newest first, with the hold on any booking they were offered
+const listForUser = async (db, userId) => {
+  const result = await db.query(
+    `SELECT ${ENTRY_COLUMNS}, ${POSITION} AS position, b.hold_expires_at AS offer_expires_at
+     FROM waitlist_entries w
+     LEFT JOIN bookings b ON b.booking_id = w.booking_id
+     WHERE w.user_id = $1
+     ORDER BY w.created_at DESC, w.entry_id DESC`,
+    [userId]
+  );
+  return result.rows.map(toEntry);
+};
+
+// Lock one of the user's entries
+const lockForUser = async (db, entryId, userId) => {
+  const result = await db.query(
+    `SELECT ${ENTRY_COLUMNS} FROM waitlist_entries w WHERE w.entry_id = $1 AND w.user_id = $2 FOR UPDATE`,
+    [entryId, userId]
+  );
+  return toEntry(result.rows[0]);
+};
+
+// Leave the queue: 'cancelled' while waiting, 'declined' once offered
+const markLeft = async (db, entryId, status) => {
+  const result = await db.query(
+    `UPDATE waitlist_entries w SET status = $2, updated_at = NOW()
+     WHERE entry_id = $1
+     RETURNING ${ENTRY_COLUMNS}`,
+    [entryId, status]
+  );
+  return toEntry(result.rows[0]);
+};
+
+// Entries still waiting, oldest first (the order slots are offered in), for
+// every room or only `roomId`
+const listWaiting = async (db, { limit, roomId = null }) => {
+  const result = await db.query(
+    `SELECT ${ENTRY_COLUMNS} FROM waitlist_entries w
+     WHERE w.status = 'waiting' AND ($2::int IS NULL OR w.room_id = $2)
+     ORDER BY w.created_at ASC, w.entry_id ASC
+     LIMIT $1`,
+    [limit, roomId]
+  );
+  return result.rows.map(toEntry);
+};
+
+// Lock one entry if it is still waiting
+const lockWaiting = async (db, entryId) => {
+  const result = await db.query(
+    `SELECT ${ENTRY_COLUMNS} FROM waitlist_entries w WHERE w.entry_id = $1 AND w.status = 'waiting' FOR UPDATE`,
+    [entryId]
+  );
+  return toEntry(result.rows[0]);
+};
+
+const markOffered = async (db, entryId, bookingId) => {
+  await db.query(
+    `UPDATE waitlist_entries SET status = 'offered', booking_id = $2, offered_at = NOW(), updated_at = NOW()
+     WHERE entry_id = $1`,
+    [entryId, bookingId]
+  );
+};
+
+const markExpired = async (db, entryId) => {
+  await db.query(
+    "UPDATE waitlist_entries SET status = 'expired', updated_at = NOW() WHERE entry_id = $1",
+    [entryId]
+  );
+};
+
+// Close offers whose booking moved on: confirmed means booked, cancelled
+// (declined or hold expired) means the offer lapsed
+const settleOffers = async (db) => {
+  const result = await db.query(
+    `UPDATE waitlist_entries w
+     SET status = CASE WHEN b.status = 'cancelled' THEN 'expired' ELSE 'booked' END, updated_at = NOW()
+     FROM bookings b
+     WHERE b.booking_id = w.booking_id AND w.status = 'offered' AND b.status <> 'pending'
+     RETURNING w.entry_id, w.status`
+  );
+  return result.rows;
+};
+
+// Entries for stays that have already begun can no longer be offered
+const expireStarted = async (db) => {
+  const result = await db.query(
+    `UPDATE waitlist_entries SET status = 'expired', updated_at = NOW()
+     WHERE status = 'waiting' AND check_in_time <= NOW()
+     RETURNING entry_id`
+  );
+  return result.rows;
+};
+
+module.exports = {
+  findById,
+  create,
+  listForUser,
+  lockForUser,
+  markLeft,
+  listWaiting,
+  lockWaiting,
+  markOffered,
+  markExpired,
+  settleOffers,
+  expireStarted
+};
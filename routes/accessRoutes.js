@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const accessController = require('../controllers/accessController');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { verifyDevice } = require('../middleware/deviceMiddleware');
+const { limitAccessByIp, limitAccessByQrCode } = require('../middleware/rateLimitMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/accessSchemas');
+
+// Guests either log in (JWT) or present their signed booking token
+const requireUserOrBookingToken = (req, res, next) => (
+  req.body?.booking_token ? next() : verifyToken(req, res, next)
+);
+
+// Room verification (QR Code) from the guest's app.
+// Rate limited per IP and per QR code so codes can't be enumerated.
+router.post(
+  '/verify-access',
+  limitAccessByIp,
+  validate(schemas.verifyAccess),
+  limitAccessByQrCode,
+  requireUserOrBookingToken,
+  accessController.verifyAccess
+);
+
+// Room verification from a registered door lock / kiosk. Devices are
+// authenticated first; many may share one IP, so only the QR code is limited.
+router.post(
+  '/device/verify-access',
+  verifyDevice,
+  validate(schemas.verifyDeviceAccess),
+  limitAccessByQrCode,
+  accessController.verifyDeviceAccess
+);
+
+module.exports = router;
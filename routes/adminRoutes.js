@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const reviewController = require('../controllers/reviewController');
+const { verifyToken, requireRole } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/adminSchemas');
+const ratePlanSchemas = require('../schemas/ratePlanSchemas');
+const reviewSchemas = require('../schemas/reviewSchemas');
+
+// ADMIN ROUTES (need token + admin role)
+router.use(verifyToken, requireRole('admin'));
+
+// Listings (secret columns are never selected)
+router.get('/users', validate(schemas.listUsers), adminController.listUsers);
+router.get('/hotels', validate(schemas.listHotels), adminController.listHotels);
+router.get('/rooms', validate(schemas.listRooms), adminController.listRooms);
+router.get('/bookings', validate(schemas.listBookings), adminController.listBookings);
+router.get('/reviews', validate(schemas.listReviews), adminController.listReviews);
+
+// Review moderation: hidden reviews no longer count towards the hotel's rating
+router.put('/reviews/:reviewId/moderation', validate(reviewSchemas.moderateReview), reviewController.moderateReview);
+
+// Audit trail: filtered listing and CSV / JSON export
+router.get('/audit-logs', validate(schemas.listAuditLogs), adminController.listAuditLogs);
+router.get('/audit-logs/export', validate(schemas.exportAuditLogs), adminController.exportAuditLogs);
+
+// Tax slabs applied to nightly room tariffs
+router.get('/tax-slabs', validate(ratePlanSchemas.listTaxSlabs), adminController.listTaxSlabs);
+router.put('/tax-slabs', validate(ratePlanSchemas.replaceTaxSlabs), adminController.replaceTaxSlabs);
+
+// Assign a role (and hotel, for staff) to a user
+router.put('/users/:id/role', validate(schemas.updateUserRole), adminController.updateUserRole);
+
+module.exports = router;
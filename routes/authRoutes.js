@@ -1,28 +1,55 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { verifyToken } = require('../middleware/authMiddleware');
+const { verifyToken, optionalToken } = require('../middleware/authMiddleware');
+const { limitLogin, limitPasswordReset } = require('../middleware/rateLimitMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/authSchemas');
 
 // PUBLIC ROUTES (anyone can access)
 
 // Register new user
-router.post('/register', authController.register);
+router.post('/register', validate(schemas.register), authController.register);
 
-// Login user
-router.post('/login', authController.login);
+// Login user (rate limited per IP and per account)
+router.post('/login', limitLogin, validate(schemas.login), authController.login);
+
+// Phone one-time codes: login by phone, or (with a token) verify the user's phone
+router.post('/otp/request', validate(schemas.requestOtp), authController.requestOtp);
+router.post('/otp/verify', optionalToken, validate(schemas.verifyOtp), authController.verifyOtpCode);
+
+// Get a new access token with a refresh token
+router.post('/refresh', validate(schemas.refresh), authController.refresh);
+
+// Email links: confirm an address, recover a forgotten password (rate limited per IP and per email)
+router.post('/verify-email', validate(schemas.verifyEmail), authController.verifyEmail);
+router.post('/forgot-password', limitPasswordReset, validate(schemas.forgotPassword), authController.forgotPassword);
+router.post('/reset-password', validate(schemas.resetPassword), authController.resetPassword);
 
 // PROTECTED ROUTES (need token)
 
 // Get my info
-router.get('/me', verifyToken, authController.getMe);
+router.get('/me', verifyToken, validate(schemas.getMe), authController.getMe);
 
-// Logout
-router.post('/logout', verifyToken, authController.logout);
+// Logout (this session / every session)
+router.post('/logout', verifyToken, validate(schemas.logout), authController.logout);
+router.post('/logout-all', verifyToken, validate(schemas.logoutAll), authController.logoutAll);
+
+// Re-send the email verification link
+router.post('/verify-email/resend', verifyToken, validate(schemas.resendVerificationEmail), authController.resendVerificationEmail);
+
+// Active sessions
+router.get('/sessions', verifyToken, validate(schemas.getSessions), authController.getSessions);
+router.delete('/sessions/:id', verifyToken, validate(schemas.deleteSession), authController.deleteSession);
 
 // Verify Aadhaar
-router.post('/verify-aadhaar', verifyToken, authController.verifyAadhaar);
+router.post('/verify-aadhaar', verifyToken, validate(schemas.verifyAadhaar), authController.verifyAadhaar);
 
 // Update profile (display name)
-router.put('/update-profile', verifyToken, authController.updateProfile);
+router.put('/update-profile', verifyToken, validate(schemas.updateProfile), authController.updateProfile);
+
+// Notification channels (email / SMS / in-app)
+router.get('/notification-preferences', verifyToken, validate(schemas.getNotificationPreferences), authController.getNotificationPreferences);
+router.put('/notification-preferences', verifyToken, validate(schemas.updateNotificationPreferences), authController.updateNotificationPreferences);
 
 module.exports = router;
\ No newline at end of file
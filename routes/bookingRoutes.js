@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const bookingController = require('../controllers/bookingController');
+const paymentController = require('../controllers/paymentController');
+const reviewController = require('../controllers/reviewController');
+const { verifyToken, requireRole } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/bookingSchemas');
+const paymentSchemas = require('../schemas/paymentSchemas');
+const reviewSchemas = require('../schemas/reviewSchemas');
+
+// PROTECTED ROUTES (need token)
+
+// Create a booking
+router.post('/', verifyToken, validate(schemas.createBooking), bookingController.createBooking);
+
+// Change booking dates
+router.put('/:id/dates', verifyToken, validate(schemas.updateBookingDates), bookingController.updateBookingDates);
+
+// Signed room-access token for a confirmed booking
+router.get('/:id/token', verifyToken, validate(schemas.getBookingToken), bookingController.getBookingToken);
+
+// Status transitions
+// Manual confirmation is for hotel staff; guests confirm by paying (see /:id/payments)
+router.post('/:id/confirm', verifyToken, requireRole('staff', 'admin'), validate(schemas.confirmBooking), bookingController.confirmBooking);
+router.post('/:id/cancel', verifyToken, validate(schemas.cancelBooking), bookingController.cancelBooking);
+router.post('/:id/check-in', verifyToken, validate(schemas.checkIn), bookingController.checkIn);
+router.post('/:id/check-out', verifyToken, validate(schemas.checkOut), bookingController.checkOut);
+
+// Payments (confirmation follows from the provider's webhook, see /api/payments)
+router.post('/:id/payments', verifyToken, validate(paymentSchemas.createPayment), paymentController.createPayment);
+router.get('/:id/payments', verifyToken, validate(paymentSchemas.listPayments), paymentController.listPayments);
+
+// Review of a checked-out stay
+router.post('/:id/review', verifyToken, validate(reviewSchemas.createReview), reviewController.createReview);
+
+module.exports = router;
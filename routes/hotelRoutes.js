@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const hotelController = require('../controllers/hotelController');
+const offerController = require('../controllers/offerController');
+const ratePlanController = require('../controllers/ratePlanController');
+const reviewController = require('../controllers/reviewController');
+const { verifyToken, requireRole, requireHotelAccess } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/hotelSchemas');
+const offerSchemas = require('../schemas/offerSchemas');
+const ratePlanSchemas = require('../schemas/ratePlanSchemas');
+const reviewSchemas = require('../schemas/reviewSchemas');
+
+// PUBLIC ROUTES
+
+// Active hotels with their guest rating
+router.get('/', validate(schemas.listHotels), hotelController.listHotels);
+
+// Visible reviews of a hotel
+router.get('/:hotelId/reviews', validate(reviewSchemas.listHotelReviews), reviewController.listHotelReviews);
+
+// MANAGEMENT ROUTES (need token; staff are limited to their own hotel)
+
+// Create a hotel
+router.post('/', verifyToken, requireRole('admin'), validate(schemas.createHotel), hotelController.createHotel);
+
+// Update / deactivate a hotel
+router.put('/:hotelId', verifyToken, requireHotelAccess(), validate(schemas.updateHotel), hotelController.updateHotel);
+router.delete('/:hotelId', verifyToken, requireHotelAccess(), validate(schemas.deactivateHotel), hotelController.deactivateHotel);
+
+// Rooms of a hotel
+router.get('/:hotelId/rooms', verifyToken, requireHotelAccess(), validate(schemas.listHotelRooms), hotelController.listHotelRooms);
+router.post('/:hotelId/rooms', verifyToken, requireHotelAccess(), validate(schemas.createRoom), hotelController.createRoom);
+router.put('/:hotelId/rooms/:roomId', verifyToken, requireHotelAccess(), validate(schemas.updateRoom), hotelController.updateRoom);
+router.delete('/:hotelId/rooms/:roomId', verifyToken, requireHotelAccess(), validate(schemas.retireRoom), hotelController.retireRoom);
+router.post('/:hotelId/rooms/:roomId/qr', verifyToken, requireHotelAccess(), validate(schemas.regenerateRoomQr), hotelController.regenerateRoomQr);
+
+// Offers and promo codes of a hotel
+router.get('/:hotelId/offers', verifyToken, requireHotelAccess(), validate(offerSchemas.listHotelOffers), offerController.listHotelOffers);
+router.post('/:hotelId/offers', verifyToken, requireHotelAccess(), validate(offerSchemas.createOffer), offerController.createOffer);
+router.post('/:hotelId/offers/:offerId/expire', verifyToken, requireHotelAccess(), validate(offerSchemas.expireOffer), offerController.expireOffer);
+
+// Rate plans (assigned to rooms with rate_plan_id)
+router.get('/:hotelId/rate-plans', verifyToken, requireHotelAccess(), validate(ratePlanSchemas.listRatePlans), ratePlanController.listRatePlans);
+router.post('/:hotelId/rate-plans', verifyToken, requireHotelAccess(), validate(ratePlanSchemas.createRatePlan), ratePlanController.createRatePlan);
+router.put('/:hotelId/rate-plans/:ratePlanId', verifyToken, requireHotelAccess(), validate(ratePlanSchemas.updateRatePlan), ratePlanController.updateRatePlan);
+
+// Replies to guest reviews
+router.put('/:hotelId/reviews/:reviewId/response', verifyToken, requireHotelAccess(), validate(reviewSchemas.respondToReview), reviewController.respondToReview);
+
+module.exports = router;
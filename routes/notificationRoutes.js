@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/notificationSchemas');
+
+// PROTECTED ROUTES (need token)
+
+// Inbox
+router.get('/', verifyToken, validate(schemas.listNotifications), notificationController.listNotifications);
+router.get('/unread-count', verifyToken, validate(schemas.getUnreadCount), notificationController.getUnreadCount);
+router.post('/read-all', verifyToken, validate(schemas.markAllRead), notificationController.markAllRead);
+router.post('/:notificationId/read', verifyToken, validate(schemas.markRead), notificationController.markRead);
+
+// Server-Sent Events; reconnecting clients resume from Last-Event-ID
+router.get('/stream', verifyToken, validate(schemas.streamNotifications), notificationController.streamNotifications);
+
+module.exports = router;
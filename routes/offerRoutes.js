@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const offerController = require('../controllers/offerController');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/offerSchemas');
+
+// PUBLIC ROUTES
+
+// Offers valid today (promo codes are never listed)
+router.get('/', validate(schemas.listOffers), offerController.listOffers);
+
+// PROTECTED ROUTES (need token)
+
+// Price a stay with offers applied; usage caps are checked for the logged-in user
+router.post('/validate', verifyToken, validate(schemas.validateOffers), offerController.validateOffers);
+
+module.exports = router;
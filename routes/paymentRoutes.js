@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/paymentSchemas');
+
+// PUBLIC ROUTES (authenticated by the provider's signature)
+
+// Payment and refund events; server.js keeps the body raw so the signature can be checked
+router.post('/webhook', validate(schemas.paymentWebhook), paymentController.handleWebhook);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const roomController = require('../controllers/roomController');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/roomSchemas');
+
+// PUBLIC ROUTES (anyone can access)
+
+// List active rooms
+router.get('/', validate(schemas.listRooms), roomController.listRooms);
+
+// Search rooms available for a stay
+router.get('/search', validate(schemas.searchRooms), roomController.searchRooms);
+
+// Price a stay in a room
+router.get('/:roomId/quote', validate(schemas.getQuote), roomController.getQuote);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const waitlistController = require('../controllers/waitlistController');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/waitlistSchemas');
+
+// PROTECTED ROUTES (need token)
+
+// Queue for a taken room; the scheduler offers it as a held booking once it frees up
+router.post('/', verifyToken, validate(schemas.joinWaitlist), waitlistController.joinWaitlist);
+router.get('/', verifyToken, validate(schemas.listMyWaitlist), waitlistController.listMyWaitlist);
+router.delete('/:entryId', verifyToken, validate(schemas.leaveWaitlist), waitlistController.leaveWaitlist);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const qrCodeId = { type: 'string', maxLength: 100, description: 'Id printed on the room QR code' };
+
+const bookingToken = { type: 'string', maxLength: 2000, description: 'Signed booking token' };
+
+const verifyAccess = {
+  summary: 'Open a room by scanning its QR code (login or booking token)',
+  body: {
+    qr_code_id: { ...qrCodeId, required: true },
+    booking_token: bookingToken
+  }
+};
+
+const verifyDeviceAccess = {
+  summary: 'Door lock / kiosk check of a scanned booking token',
+  body: {
+    booking_token: { ...bookingToken, required: true },
+    qr_code_id: qrCodeId
+  }
+};
+
+module.exports = { verifyAccess, verifyDeviceAccess };
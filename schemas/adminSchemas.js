@@ -0,0 +1,96 @@
+const { ROLES } = require('../middleware/authMiddleware');
+const { BOOKING_TRANSITIONS } = require('../utils/bookings');
+const { AUDIT_ACTIONS } = require('../services/audit');
+const { id, requiredId, dateTime, pagination } = require('./common');
+
+const updateUserRole = {
+  summary: 'Assign a role (and hotel, for staff) to a user',
+  params: { id: requiredId('User id') },
+  body: {
+    role: { type: 'string', enum: ROLES, required: true },
+    hotel_id: { ...id('Hotel the staff member works at; required for staff'), nullable: true }
+  }
+};
+
+const listUsers = {
+  summary: 'List users',
+  query: {
+    role: { type: 'string', enum: ROLES },
+    hotel_id: id(),
+    email: { type: 'string', maxLength: 254, description: 'Substring match' },
+    ...pagination
+  }
+};
+
+const listHotels = {
+  summary: 'List hotels',
+  query: {
+    city: { type: 'string', maxLength: 100 },
+    is_active: { type: 'boolean' },
+    ...pagination
+  }
+};
+
+const listRooms = {
+  summary: 'List rooms',
+  query: { hotel_id: id(), ...pagination }
+};
+
+const listBookings = {
+  summary: 'List bookings',
+  query: {
+    status: { type: 'string', enum: Object.keys(BOOKING_TRANSITIONS) },
+    user_id: id(),
+    room_id: id(),
+    hotel_id: id(),
+    from: dateTime('Bookings ending after this time'),
+    to: dateTime('Bookings starting before this time'),
+    ...pagination
+  }
+};
+
+const listReviews = {
+  summary: 'List reviews, including hidden ones',
+  query: {
+    hotel_id: id(),
+    is_hidden: { type: 'boolean' },
+    rating: { type: 'integer', min: 1, max: 5 },
+    ...pagination
+  }
+};
+
+const auditFilters = {
+  action: { type: 'string', enum: AUDIT_ACTIONS },
+  user_id: id('Acting user'),
+  device_id: id('Acting device'),
+  target_type: { type: 'string', maxLength: 50, description: 'e.g. user, booking, room, hotel, session' },
+  target_id: { type: 'string', maxLength: 100 },
+  ip_address: { type: 'string', maxLength: 100 },
+  request_id: { type: 'string', maxLength: 100 },
+  from: dateTime('Entries at or after this time'),
+  to: dateTime('Entries before this time')
+};
+
+const listAuditLogs = {
+  summary: 'List audit log entries, newest first',
+  query: { ...auditFilters, ...pagination }
+};
+
+const exportAuditLogs = {
+  summary: 'Export audit log entries as CSV or JSON, oldest first',
+  query: {
+    ...auditFilters,
+    format: { type: 'string', enum: ['csv', 'json'], default: 'csv' }
+  }
+};
+
+module.exports = {
+  updateUserRole,
+  listUsers,
+  listHotels,
+  listRooms,
+  listBookings,
+  listReviews,
+  listAuditLogs,
+  exportAuditLogs
+};
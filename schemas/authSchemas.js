@@ -0,0 +1,123 @@
+const password = {
+  type: 'string',
+  required: true,
+  trim: false,
+  minLength: 6,
+  maxLength: 128,
+  description: 'At least 6 characters'
+};
+
+const name = { type: 'string', maxLength: 100 };
+
+const contactNumber = { type: 'string', format: 'phone', description: 'Digits with an optional leading +.' };
+
+const register = {
+  summary: 'Create an account with email and password',
+  body: {
+    email: { type: 'string', format: 'email', required: true },
+    password,
+    name: { ...name, description: 'Display name (defaults to the email name)' },
+    full_name: { ...name, description: 'Alias of name' },
+    contact_number: contactNumber
+  }
+};
+
+const login = {
+  summary: 'Log in with a password and either an email or a phone number',
+  body: {
+    email: { type: 'string', format: 'email', requiredWithout: 'contact_number' },
+    contact_number: { ...contactNumber, requiredWithout: 'email' },
+    password: { type: 'string', required: true, trim: false, maxLength: 128 }
+  }
+};
+
+const requestOtp = {
+  summary: 'Send a one-time code by SMS',
+  body: { contact_number: { ...contactNumber, required: true } }
+};
+
+const verifyOtp = {
+  summary: 'Check a one-time code (logs in, or links the phone when a token is sent)',
+  body: {
+    contact_number: { ...contactNumber, required: true },
+    code: { type: 'string', required: true, pattern: /^\d{6}$/, patternMessage: 'must be 6 digits' }
+  }
+};
+
+const emailToken = { type: 'string', required: true, maxLength: 200, description: 'Token from the emailed link' };
+
+const verifyEmail = {
+  summary: 'Confirm an email address',
+  body: { token: emailToken }
+};
+
+const forgotPassword = {
+  summary: 'Email a password reset link',
+  body: { email: { type: 'string', format: 'email', required: true } }
+};
+
+const resetPassword = {
+  summary: 'Set a new password from a reset link; ends every session',
+  body: { token: emailToken, password }
+};
+
+const refresh = {
+  summary: 'Exchange a refresh token for new tokens',
+  body: { refreshToken: { type: 'string', required: true, maxLength: 200 } }
+};
+
+// Routes without input still get a schema so they show up in the API docs
+const getMe = { summary: 'My profile, including KYC status' };
+const logout = { summary: 'End this session' };
+const logoutAll = { summary: 'End every session of mine' };
+const resendVerificationEmail = { summary: 'Send a new email verification link' };
+const getSessions = { summary: 'List my live sessions' };
+
+const deleteSession = {
+  summary: 'Revoke one of my sessions',
+  params: { id: { type: 'string', format: 'uuid', required: true } }
+};
+
+const verifyAadhaar = {
+  summary: 'Submit an Aadhaar number for KYC',
+  body: { aadhaar_number: { type: 'string', required: true, maxLength: 20, description: '12 digits, spaces allowed' } }
+};
+
+const updateProfile = {
+  summary: 'Change my display name',
+  body: { name: { ...name, required: true } }
+};
+
+const getNotificationPreferences = { summary: 'Which channels I get notifications on' };
+
+const channel = (description) => ({ type: 'boolean', description });
+
+const updateNotificationPreferences = {
+  summary: 'Turn notification channels on or off',
+  body: {
+    email: channel('Email notifications'),
+    sms: channel('SMS notifications (sent to a verified phone number)'),
+    in_app: channel('Notifications in the app inbox')
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  requestOtp,
+  verifyOtp,
+  verifyEmail,
+  forgotPassword,
+  resetPassword,
+  refresh,
+  getMe,
+  logout,
+  logoutAll,
+  resendVerificationEmail,
+  getSessions,
+  deleteSession,
+  verifyAadhaar,
+  updateProfile,
+  getNotificationPreferences,
+  updateNotificationPreferences
+};
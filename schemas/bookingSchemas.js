@@ -0,0 +1,39 @@
+const { id, requiredId, dateTime } = require('./common');
+const { promoCode } = require('./offerSchemas');
+
+const bookingParams = { id: requiredId('Booking id') };
+
+const stay = {
+  check_in_time: dateTime('Start of the stay', { required: true }),
+  check_out_time: dateTime('End of the stay', { required: true })
+};
+
+const createBooking = {
+  summary: 'Book a room for a stay',
+  body: {
+    room_id: requiredId('Room to book'),
+    ...stay,
+    guests: { type: 'integer', min: 1, max: 20, default: 1 },
+    offer_ids: { type: 'array', items: id(), maxItems: 5, unique: true, description: 'Public offers to apply' },
+    promo_code: promoCode
+  }
+};
+
+const updateBookingDates = {
+  summary: 'Change the dates of a pending or confirmed booking',
+  params: bookingParams,
+  body: stay
+};
+
+const bookingAction = (summary) => ({ summary, params: bookingParams });
+
+module.exports = {
+  stay,
+  createBooking,
+  updateBookingDates,
+  getBookingToken: bookingAction('Get the signed room-access token of a confirmed booking'),
+  confirmBooking: bookingAction('Confirm a pending booking by hand (hotel staff)'),
+  cancelBooking: bookingAction('Cancel a booking'),
+  checkIn: bookingAction('Check in during the booked stay'),
+  checkOut: bookingAction('Check out')
+};
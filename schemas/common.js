@@ -0,0 +1,14 @@
+// Rule fragments shared by the route schemas
+
+const id = (description) => ({ type: 'integer', min: 1, description });
+
+const requiredId = (description) => ({ ...id(description), required: true });
+
+const dateTime = (description, extra = {}) => ({ type: 'string', format: 'date-time', description, ...extra });
+
+const pagination = {
+  page: { type: 'integer', min: 1, description: 'Page number, starting at 1' },
+  limit: { type: 'integer', min: 1, max: 100, description: 'Page size (default 20)' }
+};
+
+module.exports = { id, requiredId, dateTime, pagination };
@@ -0,0 +1,59 @@
+const { requiredId } = require('./common');
+const { HOTEL_SORTS } = require('../utils/sorts');
+
+const hotelParams = { hotelId: requiredId('Hotel id') };
+
+const roomParams = { ...hotelParams, roomId: requiredId('Room id') };
+
+const hotelFields = {
+  name: { type: 'string', maxLength: 200 },
+  city: { type: 'string', maxLength: 100 },
+  address: { type: 'string', maxLength: 500, nullable: true },
+  is_active: { type: 'boolean' }
+};
+
+const roomFields = {
+  room_number: { type: 'string', maxLength: 20 },
+  room_type: { type: 'string', maxLength: 50 },
+  capacity: { type: 'integer', min: 1, max: 20 },
+  base_price: { type: 'number', min: 0 },
+  amenities: { type: 'array', items: { type: 'string', maxLength: 50 }, maxItems: 50, unique: true },
+  rate_plan_id: { type: 'integer', min: 1, nullable: true, description: "One of the hotel's rate plans" },
+  is_active: { type: 'boolean' }
+};
+
+const required = (fields, names) => Object.fromEntries(
+  Object.entries(fields).map(([name, rule]) => [name, names.includes(name) ? { ...rule, required: true } : rule])
+);
+
+const without = (fields, name) => Object.fromEntries(Object.entries(fields).filter(([key]) => key !== name));
+
+module.exports = {
+  listHotels: {
+    summary: 'List active hotels with their guest rating',
+    query: {
+      city: { type: 'string', maxLength: 100 },
+      sort: {
+        type: 'string',
+        enum: Object.keys(HOTEL_SORTS),
+        default: 'listed',
+        description: 'rating: best rated first; reviews: most reviewed first; listed: oldest listing first'
+      }
+    }
+  },
+  createHotel: {
+    summary: 'Create a hotel',
+    body: required(without(hotelFields, 'is_active'), ['name', 'city'])
+  },
+  updateHotel: { summary: 'Update or re-activate a hotel', params: hotelParams, body: hotelFields },
+  deactivateHotel: { summary: 'Deactivate a hotel', params: hotelParams },
+  listHotelRooms: { summary: "List a hotel's rooms", params: hotelParams },
+  createRoom: {
+    summary: 'Add a room with a new QR code',
+    params: hotelParams,
+    body: required(without(roomFields, 'is_active'), ['room_number', 'room_type', 'capacity', 'base_price'])
+  },
+  updateRoom: { summary: 'Edit or bring back a room', params: roomParams, body: roomFields },
+  retireRoom: { summary: 'Retire a room', params: roomParams },
+  regenerateRoomQr: { summary: 'Issue a new QR code id for a room', params: roomParams }
+};
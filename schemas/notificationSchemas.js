@@ -0,0 +1,31 @@
+const { requiredId, pagination } = require('./common');
+
+const listNotifications = {
+  summary: 'My in-app notifications, newest first, with the unread count',
+  query: {
+    unread: { type: 'boolean', description: 'Only unread notifications' },
+    ...pagination
+  }
+};
+
+const getUnreadCount = { summary: 'How many of my notifications are unread' };
+
+const streamNotifications = {
+  summary: 'Live stream of my new notifications (Server-Sent Events)',
+  query: {
+    last_event_id: {
+      type: 'integer',
+      min: 0,
+      description: 'Resend notifications after this id; the Last-Event-ID header takes precedence'
+    }
+  }
+};
+
+const markRead = {
+  summary: 'Mark a notification read',
+  params: { notificationId: requiredId('Notification id') }
+};
+
+const markAllRead = { summary: 'Mark all my notifications read' };
+
+module.exports = { listNotifications, getUnreadCount, streamNotifications, markRead, markAllRead };
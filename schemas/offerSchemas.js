@@ -0,0 +1,67 @@
+const { id, requiredId, dateTime } = require('./common');
+
+const date = (description, extra = {}) => ({
+  type: 'string',
+  pattern: /^\d{4}-\d{2}-\d{2}$/,
+  patternMessage: 'must be a date (YYYY-MM-DD)',
+  description,
+  ...extra
+});
+
+const promoCode = {
+  type: 'string',
+  pattern: /^[A-Za-z0-9_-]{3,30}$/,
+  patternMessage: 'must be 3-30 letters, digits, dashes or underscores',
+  description: 'Promo code (case-insensitive)'
+};
+
+const hotelParams = { hotelId: requiredId('Hotel id') };
+
+const listOffers = {
+  summary: 'List public offers valid today',
+  query: { hotel_id: id('Only offers usable at this hotel') }
+};
+
+const validateOffers = {
+  summary: 'Price a stay with offers and a promo code applied',
+  body: {
+    room_id: requiredId('Room to book'),
+    check_in_time: dateTime('Start of the stay', { required: true }),
+    check_out_time: dateTime('End of the stay', { required: true }),
+    guests: { type: 'integer', min: 1, max: 20, default: 1 },
+    offer_ids: { type: 'array', items: id(), maxItems: 5, unique: true, description: 'Public offers to apply' },
+    promo_code: promoCode
+  }
+};
+
+const listHotelOffers = {
+  summary: "List a hotel's offers and promo codes",
+  params: hotelParams
+};
+
+const createOffer = {
+  summary: 'Create an offer or promo code for a hotel',
+  params: hotelParams,
+  body: {
+    title: { type: 'string', maxLength: 200, required: true },
+    description: { type: 'string', maxLength: 2000, nullable: true },
+    code: { ...promoCode, description: 'Makes this a promo code that is not listed publicly' },
+    discount_type: { type: 'string', enum: ['percent', 'flat'], required: true },
+    discount_value: { type: 'number', min: 0, required: true, description: 'Percentage, or rupees off for flat' },
+    max_discount: { type: 'number', min: 0, nullable: true, description: 'Cap on a percentage discount, in rupees' },
+    min_nights: { type: 'integer', min: 1, max: 365, default: 1 },
+    room_ids: { type: 'array', items: id(), maxItems: 500, unique: true, description: 'Limit the offer to these rooms' },
+    max_uses: { type: 'integer', min: 1, nullable: true, description: 'Bookings that may use it in total' },
+    max_uses_per_user: { type: 'integer', min: 1, nullable: true },
+    stackable: { type: 'boolean', default: false, description: 'Whether it combines with other stackable offers' },
+    valid_from: date('First day it can be used', { required: true }),
+    valid_to: date('Last day it can be used', { required: true })
+  }
+};
+
+const expireOffer = {
+  summary: 'Expire an offer',
+  params: { ...hotelParams, offerId: requiredId('Offer id') }
+};
+
+module.exports = { listOffers, validateOffers, listHotelOffers, createOffer, expireOffer, promoCode };
@@ -0,0 +1,18 @@
+const { requiredId } = require('./common');
+
+const bookingParams = { id: requiredId('Booking id') };
+
+const createPayment = {
+  summary: 'Start paying for a pending booking (returns provider checkout details)',
+  params: bookingParams
+};
+
+const listPayments = {
+  summary: "List a booking's payments and refunds",
+  params: bookingParams
+};
+
+// The body is the provider's raw, signed payload, so it isn't described here
+const paymentWebhook = { summary: 'Payment provider webhook (signed by the provider)' };
+
+module.exports = { createPayment, listPayments, paymentWebhook };
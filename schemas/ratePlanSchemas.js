@@ -0,0 +1,86 @@
+const { requiredId } = require('./common');
+
+const date = (description) => ({
+  type: 'string',
+  pattern: /^\d{4}-\d{2}-\d{2}$/,
+  patternMessage: 'must be a date (YYYY-MM-DD)',
+  required: true,
+  description
+});
+
+const percent = (description) => ({ type: 'number', min: -99, max: 500, description });
+
+const hotelParams = { hotelId: requiredId('Hotel id') };
+
+const season = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', maxLength: 100, required: true },
+    start_date: date('First night of the season'),
+    end_date: date('Last night of the season'),
+    adjustment_percent: { ...percent('Change to the base rate, e.g. 25 or -10'), required: true }
+  }
+};
+
+const ratePlanFields = {
+  name: { type: 'string', maxLength: 100 },
+  weekend_days: {
+    type: 'array',
+    items: { type: 'integer', min: 0, max: 6 },
+    maxItems: 7,
+    unique: true,
+    description: 'Nights that count as weekend (0 = Sunday ... 6 = Saturday); default Friday and Saturday'
+  },
+  weekend_adjustment_percent: percent('Change to the nightly rate on weekend nights'),
+  base_occupancy: { type: 'integer', min: 1, max: 20, description: 'Guests included in the rate' },
+  extra_guest_charge: { type: 'number', min: 0, description: 'Per night, for each guest above the base occupancy' },
+  seasons: { type: 'array', items: season, maxItems: 100, description: 'Replaces all seasons of the plan' }
+};
+
+const listRatePlans = {
+  summary: "List a hotel's rate plans",
+  params: hotelParams
+};
+
+const createRatePlan = {
+  summary: 'Create a rate plan for a hotel',
+  params: hotelParams,
+  body: {
+    ...ratePlanFields,
+    name: { ...ratePlanFields.name, required: true },
+    weekend_days: { ...ratePlanFields.weekend_days, default: [5, 6] },
+    weekend_adjustment_percent: { ...ratePlanFields.weekend_adjustment_percent, default: 0 },
+    base_occupancy: { ...ratePlanFields.base_occupancy, default: 2 },
+    extra_guest_charge: { ...ratePlanFields.extra_guest_charge, default: 0 },
+    seasons: { ...ratePlanFields.seasons, default: [] }
+  }
+};
+
+const updateRatePlan = {
+  summary: 'Update a rate plan',
+  params: { ...hotelParams, ratePlanId: requiredId('Rate plan id') },
+  body: ratePlanFields
+};
+
+const listTaxSlabs = { summary: 'List the tax slabs applied to nightly tariffs' };
+
+const replaceTaxSlabs = {
+  summary: 'Replace the tax slabs applied to nightly tariffs',
+  body: {
+    slabs: {
+      type: 'array',
+      required: true,
+      maxItems: 20,
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', maxLength: 50, default: 'GST' },
+          above_tariff: { type: 'number', min: 0, required: true, description: 'Applies to nightly tariffs above this' },
+          rate_percent: { type: 'number', min: 0, max: 100, required: true }
+        }
+      }
+    }
+  }
+};
+
+module.exports = { listRatePlans, createRatePlan, updateRatePlan, listTaxSlabs, replaceTaxSlabs };
@@ -0,0 +1,34 @@
+const { requiredId, pagination } = require('./common');
+
+const createReview = {
+  summary: 'Review a checked-out stay (once per booking)',
+  params: { id: requiredId('Booking id') },
+  body: {
+    rating: { type: 'integer', min: 1, max: 5, required: true, description: 'Stars, 1 to 5' },
+    title: { type: 'string', maxLength: 120 },
+    comment: { type: 'string', minLength: 10, maxLength: 2000, required: true }
+  }
+};
+
+const listHotelReviews = {
+  summary: "List a hotel's reviews, newest first",
+  params: { hotelId: requiredId('Hotel id') },
+  query: pagination
+};
+
+const respondToReview = {
+  summary: 'Reply to a review of the hotel (replaces an earlier reply)',
+  params: { hotelId: requiredId('Hotel id'), reviewId: requiredId('Review id') },
+  body: { response: { type: 'string', maxLength: 2000, required: true } }
+};
+
+const moderateReview = {
+  summary: 'Hide an abusive review, or restore a hidden one',
+  params: { reviewId: requiredId('Review id') },
+  body: {
+    is_hidden: { type: 'boolean', required: true },
+    reason: { type: 'string', maxLength: 500, description: 'Why the review is hidden; required when hiding' }
+  }
+};
+
+module.exports = { createReview, listHotelReviews, respondToReview, moderateReview };
@@ -0,0 +1,40 @@
+const { id, requiredId, dateTime, pagination } = require('./common');
+const { ROOM_SORTS } = require('../utils/sorts');
+
+const listRooms = {
+  summary: 'List active rooms',
+  query: {
+    city: { type: 'string', maxLength: 100 },
+    hotel_id: id('Only rooms of this hotel'),
+    guests: { type: 'integer', min: 1, max: 20, description: 'Minimum room capacity' },
+    sort: { type: 'string', enum: Object.keys(ROOM_SORTS), default: 'price_asc' },
+    ...pagination
+  }
+};
+
+const searchRooms = {
+  summary: 'Search rooms free for a whole stay',
+  query: {
+    check_in_time: dateTime('Start of the stay', { required: true }),
+    check_out_time: dateTime('End of the stay', { required: true }),
+    city: { type: 'string', maxLength: 100 },
+    hotel_id: id('Only rooms of this hotel'),
+    guests: { type: 'integer', min: 1, max: 20, description: 'Minimum room capacity' },
+    min_price: { type: 'number', min: 0 },
+    max_price: { type: 'number', min: 0 },
+    sort: { type: 'string', enum: Object.keys(ROOM_SORTS), default: 'price_asc' },
+    ...pagination
+  }
+};
+
+const getQuote = {
+  summary: 'Price a stay in a room, night by night, with taxes',
+  params: { roomId: requiredId('Room id') },
+  query: {
+    check_in_time: dateTime('Start of the stay', { required: true }),
+    check_out_time: dateTime('End of the stay', { required: true }),
+    guests: { type: 'integer', min: 1, max: 20, default: 1 }
+  }
+};
+
+module.exports = { listRooms, searchRooms, getQuote };
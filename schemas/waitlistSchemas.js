@@ -0,0 +1,22 @@
+const { requiredId } = require('./common');
+const { stay } = require('./bookingSchemas');
+
+const joinWaitlist = {
+  summary: 'Queue for a room that is taken for the given dates',
+  body: {
+    room_id: requiredId('Room to wait for'),
+    ...stay,
+    guests: { type: 'integer', min: 1, max: 20, default: 1 }
+  }
+};
+
+const listMyWaitlist = {
+  summary: "The logged-in user's waitlist entries and any rooms offered to them"
+};
+
+const leaveWaitlist = {
+  summary: 'Leave the waitlist, declining any room already offered',
+  params: { entryId: requiredId('Waitlist entry id') }
+};
+
+module.exports = { joinWaitlist, listMyWaitlist, leaveWaitlist };
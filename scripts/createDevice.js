@@ -0,0 +1,38 @@
+// Register a door lock or kiosk and print its one-time device key.
+// Usage: npm run device:create -- "<name>" --room <room_id> | --hotel <hotel_id>
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { hashDeviceKey } = require('../middleware/deviceMiddleware');
+
+const args = process.argv.slice(2);
+const name = args[0];
+const flag = (key) => {
+  const i = args.indexOf(key);
+  return i === -1 ? null : Number(args[i + 1]);
+};
+const roomId = flag('--room');
+const hotelId = flag('--hotel');
+
+const main = async () => {
+  if (!name || (!roomId && !hotelId)) {
+    console.error('Usage: npm run device:create -- "<name>" --room <room_id> | --hotel <hotel_id>');
+    process.exitCode = 1;
+    return;
+  }
+  const key = crypto.randomBytes(32).toString('base64url');
+  const result = await pool.query(
+    'INSERT INTO access_devices (name, hotel_id, room_id, key_hash) VALUES ($1, $2, $3, $4) RETURNING device_id',
+    [name, hotelId, roomId, hashDeviceKey(key)]
+  );
+  console.log(`✅ Device registered: ${name}`);
+  console.log(`   X-Device-Id:  ${result.rows[0].device_id}`);
+  console.log(`   X-Device-Key: ${key}`);
+  console.log('   Store the key now, it cannot be shown again.');
+};
+
+main()
+  .catch((error) => {
+    console.error('❌ Device registration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,37 @@
+// Apply or roll back database migrations.
+// Usage: npm run migrate [-- --to <version>]
+//        npm run migrate:down [-- --steps <n>]
+//        npm run migrate:status
+const pool = require('../config/database');
+const { loadMigrations, getPendingMigrations, migrateUp, migrateDown } = require('../utils/migrations');
+
+const [command = 'up', ...args] = process.argv.slice(2);
+const flag = (key) => {
+  const i = args.indexOf(key);
+  return i === -1 ? undefined : Number(args[i + 1]);
+};
+
+const main = async () => {
+  if (command === 'up') {
+    const applied = await migrateUp(pool, { to: flag('--to'), log: console.log });
+    console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+  } else if (command === 'down') {
+    const rolledBack = await migrateDown(pool, { steps: flag('--steps') || 1, log: console.log });
+    console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+  } else if (command === 'status') {
+    const pending = new Set((await getPendingMigrations(pool)).map(m => m.version));
+    for (const m of loadMigrations()) {
+      console.log(`${pending.has(m.version) ? '[ ]' : '[x]'} ${m.label}`);
+    }
+  } else {
+    console.error('Usage: node scripts/migrate.js <up|down|status>');
+    process.exitCode = 1;
+  }
+};
+
+main()
+  .catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
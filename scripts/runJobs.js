@@ -0,0 +1,23 @@
+// Run the background jobs once, e.g. from an external cron when the app's own
+// scheduler is off (SCHEDULER_ENABLED=false).
+// Usage: npm run jobs:run
+const pool = require('../config/database');
+const { runJobs } = require('../services/scheduler');
+
+const main = async () => {
+  const { ran, results } = await runJobs();
+  if (!ran) {
+    console.log('⏭️  Another instance is running the jobs, skipped');
+    return;
+  }
+  for (const [job, result] of Object.entries(results)) {
+    console.log(`${result?.error ? '❌' : '✅'} ${job}: ${result?.error ?? result}`);
+  }
+};
+
+main()
+  .catch((error) => {
+    console.error('❌ Jobs failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
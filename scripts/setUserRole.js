@@ -0,0 +1,30 @@
+// Assign a role to a user by email, e.g. to bootstrap the first admin.
+// Usage: npm run user:role -- <email> <admin|staff|guest> [hotel_id]
+const pool = require('../config/database');
+const { ROLES } = require('../middleware/authMiddleware');
+const users = require('../repositories/userRepository');
+
+const [email, role, hotelId] = process.argv.slice(2);
+
+const main = async () => {
+  if (!email || !ROLES.includes(role) || (role === 'staff' && !hotelId)) {
+    console.error(`Usage: npm run user:role -- <email> <${ROLES.join('|')}> [hotel_id]`);
+    process.exitCode = 1;
+    return;
+  }
+  const user = await users.findByEmail(pool, email);
+  if (!user) {
+    console.error(`❌ No user with email ${email}`);
+    process.exitCode = 1;
+    return;
+  }
+  await users.updateRole(pool, user.id, role, role === 'staff' ? Number(hotelId) : null);
+  console.log(`✅ ${email} is now ${role}`);
+};
+
+main()
+  .catch((error) => {
+    console.error('❌ Role update failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
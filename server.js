@@ -7,84 +7,51 @@ dotenv.config();
 
 // Import database and routes
 const pool = require('./config/database');
+const { startup } = require('./utils/startup');
+const { startNotifications } = require('./services/notifications');
 const authRoutes = require('./routes/authRoutes');
-const { verifyToken } = require('./middleware/authMiddleware');
+const bookingRoutes = require('./routes/bookingRoutes');
+const roomRoutes = require('./routes/roomRoutes');
+const accessRoutes = require('./routes/accessRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const hotelRoutes = require('./routes/hotelRoutes');
+const offerRoutes = require('./routes/offerRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const { buildOpenApi } = require('./utils/apiDocs');
+const { requestId } = require('./middleware/requestId');
+const { NotFoundError, toErrorResponse } = require('./utils/errors');
 
 const app = express();
 
+// Which X-Forwarded-For hops to believe when behind a proxy or load balancer, so
+// req.ip (used by rate limits and the audit log) is the client's address.
+// TRUST_PROXY is 'true', a hop count, or addresses/subnets; unset trusts none.
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
+// Email / SMS / in-app messages for the events controllers and jobs publish
+startNotifications();
+
 // ============ MIDDLEWARE ============
+app.use(requestId);
 app.use(cors());
+// Webhook signatures cover the exact bytes sent, so that body is left unparsed
+app.use('/api/payments/webhook', express.raw({ type: '*/*', limit: '1mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Log all requests
 app.use((req, res, next) => {
-  console.log(`📨 ${req.method} ${req.path}`);
+  console.log(`📨 ${req.method} ${req.path} [${req.id}]`);
   next();
 });
 
-// ============ DB SCHEMA ENSURE ============
-async function ensureSchema() {
-  const client = await pool.connect();
-  try {
-    // Create users table if it doesn't exist
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        user_id SERIAL PRIMARY KEY,
-        email TEXT UNIQUE NOT NULL,
-        name TEXT,
-        password_hash TEXT,
-        created_at TIMESTAMPTZ DEFAULT NOW()
-      );
-    `);
-
-    // Ensure password_hash column exists (in case an older schema lacked it)
-    await client.query(`
-      DO $$
-      BEGIN
-        IF NOT EXISTS (
-          SELECT 1 FROM information_schema.columns
-          WHERE table_name = 'users' AND column_name = 'password_hash'
-        ) THEN
-          ALTER TABLE users ADD COLUMN password_hash TEXT;
-        END IF;
-      END$$;
-    `);
-
-    // Ensure name column exists
-    await client.query(`
-      DO $$
-      BEGIN
-        IF NOT EXISTS (
-          SELECT 1 FROM information_schema.columns
-          WHERE table_name = 'users' AND column_name = 'name'
-        ) THEN
-          ALTER TABLE users ADD COLUMN name TEXT;
-        END IF;
-      END$$;
-    `);
-
-    // Ensure unique index on email
-    await client.query(`
-      DO $$
-      BEGIN
-        IF NOT EXISTS (
-          SELECT 1 FROM pg_class c
-          JOIN pg_namespace n ON n.oid = c.relnamespace
-          WHERE c.relkind = 'i'
-          AND c.relname = 'users_email_key'
-        ) THEN
-          CREATE UNIQUE INDEX users_email_key ON users (email);
-        END IF;
-      END$$;
-    `);
-  } catch (e) {
-    console.error('Schema ensure error:', e.message);
-  } finally {
-    client.release();
-  }
-}
-
 // ============ ROUTES ============
 
 // Root helpers
@@ -108,9 +75,18 @@ app.get('/api/health', (req, res) => {
 // Authentication routes
 app.use('/api/auth', authRoutes);
 
-// Test routes (no authentication)
-app.get('/api/test/users', async (req, res) => {
-  try {
+// Booking routes
+app.use('/api/bookings', bookingRoutes);
+
+// Admin routes
+app.use('/api/admin', adminRoutes);
+
+// Raw table dumps for local debugging only (no authentication, includes secret columns).
+// Use the admin listing endpoints under /api/admin everywhere else.
+if (process.env.ENABLE_TEST_ROUTES === 'true' && process.env.NODE_ENV !== 'production') {
+  console.warn('⚠️  ENABLE_TEST_ROUTES is on: /api/test/* exposes raw table data');
+
+  app.get('/api/test/users', async (req, res) => {
     const client = await pool.connect();
     try {
       const result = await client.query('SELECT * FROM users');
@@ -122,13 +98,9 @@ app.get('/api/test/users', async (req, res) => {
     } finally {
       client.release();
     }
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
-});
+  });
 
-app.get('/api/test/hotels', async (req, res) => {
-  try {
+  app.get('/api/test/hotels', async (req, res) => {
     const client = await pool.connect();
     try {
       const result = await client.query('SELECT * FROM hotels');
@@ -140,13 +112,9 @@ app.get('/api/test/hotels', async (req, res) => {
     } finally {
       client.release();
     }
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
-});
+  });
 
-app.get('/api/test/rooms', async (req, res) => {
-  try {
+  app.get('/api/test/rooms', async (req, res) => {
     const client = await pool.connect();
     try {
       const result = await client.query('SELECT * FROM rooms');
@@ -158,13 +126,9 @@ app.get('/api/test/rooms', async (req, res) => {
     } finally {
       client.release();
     }
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
-});
+  });
 
-app.get('/api/test/bookings', async (req, res) => {
-  try {
+  app.get('/api/test/bookings', async (req, res) => {
     const client = await pool.connect();
     try {
       const result = await client.query('SELECT * FROM bookings');
@@ -176,123 +140,64 @@ app.get('/api/test/bookings', async (req, res) => {
     } finally {
       client.release();
     }
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
-});
+  });
+}
 
 // Hotels routes
-app.get('/api/hotels', async (req, res) => {
-  try {
-    const client = await pool.connect();
-    try {
-      const result = await client.query('SELECT * FROM hotels WHERE is_active = true');
-      res.json({ success: true, hotels: result.rows });
-    } finally {
-      client.release();
-    }
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
-});
+app.use('/api/hotels', hotelRoutes);
 
 // Rooms routes
-app.get('/api/rooms', async (req, res) => {
-  try {
-    const client = await pool.connect();
-    try {
-      const result = await client.query('SELECT * FROM rooms');
-      res.json({ success: true, rooms: result.rows });
-    } finally {
-      client.release();
-    }
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
-});
+app.use('/api/rooms', roomRoutes);
 
 // Offers routes
-app.get('/api/offers', async (req, res) => {
-  try {
-    const client = await pool.connect();
-    try {
-      const result = await client.query('SELECT * FROM offers WHERE valid_from <= CURRENT_DATE AND valid_to >= CURRENT_DATE');
-      res.json({ success: true, offers: result.rows });
-    } finally {
-      client.release();
-    }
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
-});
+app.use('/api/offers', offerRoutes);
 
-// Room verification (QR Code)
-app.post('/api/room/verify-access', async (req, res) => {
-  const { user_id, qr_code_id } = req.body;
-
-  if (!user_id || !qr_code_id) {
-    return res.status(400).json({
-      success: false,
-      message: 'User ID and QR Code ID required'
-    });
-  }
+// Payments routes
+app.use('/api/payments', paymentRoutes);
 
-  let client;
-  try {
-    client = await pool.connect();
+// Waitlist routes
+app.use('/api/waitlist', waitlistRoutes);
 
-    const result = await client.query(
-      `SELECT b.booking_id, b.status, r.qr_code_id, bt.token_id, bt.digital_signature
-       FROM bookings b
-       JOIN rooms r ON b.room_id = r.room_id
-       JOIN booking_tokens bt ON b.booking_id = bt.booking_id
-       WHERE b.user_id = $1 AND r.qr_code_id = $2 AND bt.is_valid = true
-       AND b.check_in_time <= NOW() AND NOW() <= b.check_out_time`,
-      [user_id, qr_code_id]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Verification failed. Invalid or expired booking.'
-      });
-    }
+// Notification inbox and live stream
+app.use('/api/notifications', notificationRoutes);
 
-    const booking = result.rows[0];
-    res.json({
-      success: true,
-      message: 'Access granted!',
-      booking_token: booking.token_id,
-      digital_signature: booking.digital_signature
-    });
-  } catch (error) {
-    console.error('Verification error:', error);
-    res.status(500).json({ success: false, message: error.message });
-  } finally {
-    if (client) client.release();
-  }
-});
+// Room verification (QR Code)
+app.use('/api/room', accessRoutes);
+
+// API docs generated from the request validation schemas
+const apiDocs = buildOpenApi([
+  ['/api/auth', authRoutes],
+  ['/api/bookings', bookingRoutes],
+  ['/api/admin', adminRoutes],
+  ['/api/hotels', hotelRoutes],
+  ['/api/rooms', roomRoutes],
+  ['/api/offers', offerRoutes],
+  ['/api/payments', paymentRoutes],
+  ['/api/waitlist', waitlistRoutes],
+  ['/api/notifications', notificationRoutes],
+  ['/api/room', accessRoutes]
+]);
+app.get('/api/docs/openapi.json', (req, res) => res.json(apiDocs));
 
 // ============ ERROR HANDLING ============
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Route not found'
-  });
+app.use((req, res, next) => {
+  next(new NotFoundError('Route not found', { code: 'ROUTE_NOT_FOUND' }));
 });
 
+// Every error ends up here: typed application errors keep their status and code,
+// known PostgreSQL errors are translated, anything else is a 500 without internals.
 app.use((error, req, res, next) => {
-  console.error('❌ Server error:', error);
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error'
-  });
+  const { status, code, message, details } = toErrorResponse(error);
+  if (status >= 500) console.error(`❌ Server error [${req.id}]:`, error);
+  if (details?.retryAfter) res.set('Retry-After', String(details.retryAfter));
+  res.status(status).json({ success: false, code, message, requestId: req.id, ...details });
 });
 
 // ============ START SERVER ============
 if (require.main === module) {
   const PORT = process.env.PORT || 5000;
-  ensureSchema().finally(() => {
+  // Migrations, provider setup and the scheduler (see utils/startup)
+  startup().then(() => {
     app.listen(PORT, () => {
       console.log('');
       console.log('🚀 ================================');
@@ -302,6 +207,9 @@ if (require.main === module) {
       console.log('🚀 ================================');
       console.log('');
     });
+  }).catch((error) => {
+    console.error('❌ Startup error:', error.message);
+    process.exit(1);
   });
 }
 
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+
+// Shared audit trail. Every entry records the action, who did it (the logged-in
+// user or the calling device), the resource it touched, and where the request
+// came from (IP, user agent, request id).
+
+const AUDIT_ACTIONS = [
+  // Auth
+  'REGISTER',
+  'LOGIN',
+  'LOGIN_FAILED',
+  'ACCOUNT_LOCKED',
+  'LOGOUT',
+  'LOGOUT_ALL',
+  'SESSION_REVOKED',
+  'EMAIL_VERIFIED',
+  'PASSWORD_RESET_REQUESTED',
+  'PASSWORD_RESET',
+  'PHONE_VERIFIED',
+  'KYC_SUBMITTED',
+  // Profile
+  'PROFILE_UPDATED',
+  // Bookings
+  'BOOKING_CREATED',
+  'BOOKING_DATES_CHANGED',
+  'BOOKING_STATUS_CHANGED',
+  'REVIEW_POSTED',
+  'WAITLIST_JOINED',
+  'WAITLIST_LEFT',
+  'WAITLIST_OFFERED',
+  // Payments
+  'PAYMENT_CREATED',
+  'PAYMENT_CAPTURED',
+  'PAYMENT_AMOUNT_MISMATCH',
+  'PAYMENT_FAILED',
+  'REFUND_INITIATED',
+  'REFUND_PROCESSED',
+  'REFUND_FAILED',
+  // Room access
+  'ROOM_ACCESS_GRANTED',
+  'ROOM_ACCESS_DENIED',
+  // Admin and staff
+  'USER_ROLE_CHANGED',
+  'HOTEL_CREATED',
+  'HOTEL_UPDATED',
+  'HOTEL_DEACTIVATED',
+  'ROOM_CREATED',
+  'ROOM_UPDATED',
+  'ROOM_RETIRED',
+  'ROOM_QR_REGENERATED',
+  'OFFER_CREATED',
+  'OFFER_EXPIRED',
+  'RATE_PLAN_CREATED',
+  'RATE_PLAN_UPDATED',
+  'TAX_SLABS_UPDATED',
+  'REVIEW_RESPONDED',
+  'REVIEW_MODERATED',
+  'AUDIT_LOG_EXPORTED'
+];
+
+// Write one audit entry. The actor comes from req.user / req.device unless
+// `actor` ({ userId, role }) is given, e.g. at login before req.user exists.
+// Background jobs pass req = null and actor { role: 'system' }.
+// A failed write is logged and swallowed so it never blocks the user, but it
+// would still abort an open transaction: call this outside one (or after COMMIT).
+const recordAudit = async (db, req, action, { actor, target, details } = {}) => {
+  if (!AUDIT_ACTIONS.includes(action)) throw new Error(`Unknown audit action: ${action}`);
+  const userId = actor ? actor.userId : req?.user?.userId;
+  const role = actor ? actor.role : req?.user?.role;
+  try {
+    await db.query(
+      `INSERT INTO audit_logs
+         (action_type, user_id, actor_role, device_id, target_type, target_id, ip_address, user_agent, request_id, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        action,
+        userId ?? null,
+        role ?? null,
+        req?.device?.device_id ?? null,
+        target?.type ?? null,
+        target?.id === undefined || target?.id === null ? null : String(target.id),
+        req?.ip ?? null,
+        req?.get('user-agent') || null,
+        req?.id ?? null,
+        details ? JSON.stringify(details) : null
+      ]
+    );
+  } catch (error) {
+    console.error('Audit log error:', error.message);
+  }
+};
+
+// A login identifier that matches no account may be someone else's email or
+// phone number, so only a masked form goes in the log, with an HMAC that links
+// repeated attempts on the same identifier.
+const maskEmail = (email) => {
+  const [local, domain = ''] = email.split('@');
+  return `${local.slice(0, 2)}***@${domain}`;
+};
+
+const maskPhone = (phone) => `${'X'.repeat(Math.max(0, phone.length - 4))}${phone.slice(-4)}`;
+
+const redactIdentifier = ({ email, phone }) => {
+  const value = email || phone;
+  return {
+    identifier: email ? maskEmail(value) : maskPhone(value),
+    identifierHash: crypto.createHmac('sha256', process.env.AUDIT_SECRET || process.env.JWT_SECRET).update(value).digest('hex')
+  };
+};
+
+module.exports = { AUDIT_ACTIONS, recordAudit, redactIdentifier };
@@ -0,0 +1,42 @@
+// In-process event bus. Controllers and jobs publish what happened once their
+// transaction has committed; subscribers (notifications, ...) react on their own
+// time. A subscriber's failure is logged and never reaches the publisher.
+
+// Every event the app publishes. Payloads carry the affected `userId`, except
+// announcements (offer.announced), whose audience subscribers work out.
+const EVENT_TYPES = [
+  'user.registered',
+  'booking.created',
+  'booking.confirmed',
+  'booking.checked_in',
+  'booking.checked_out',
+  'booking.cancelled',
+  'waitlist.offered',
+  'room.access_granted',
+  'offer.announced'
+];
+
+const subscribers = new Map();
+
+// Call handler(payload, type) for each published event of the given type.
+// Returns a function that unsubscribes it.
+const subscribe = (type, handler) => {
+  if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown event type: ${type}`);
+  if (!subscribers.has(type)) subscribers.set(type, new Set());
+  subscribers.get(type).add(handler);
+  return () => subscribers.get(type).delete(handler);
+};
+
+// Hand an event to its subscribers without waiting for them. The returned
+// promise settles once they have all finished (it never rejects).
+const publish = (type, payload) => {
+  if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown event type: ${type}`);
+  const handlers = [...(subscribers.get(type) || [])];
+  return Promise.all(handlers.map(handler =>
+    new Promise(resolve => setImmediate(resolve))
+      .then(() => handler(payload, type))
+      .catch(error => console.error(`❌ Event handler for ${type} failed:`, error.message))
+  ));
+};
+
+module.exports = { EVENT_TYPES, subscribe, publish };
@@ -0,0 +1,48 @@
+const { createMockProvider } = require('./mockProvider');
+
+// Identity checks go through one provider object:
+// `{ name, verify({ aadhaarNumber, name, userId }) }` resolving to
+// `{ status: 'verified' | 'rejected' | 'pending', reference, reason }`.
+// KYC_PROVIDER picks a built-in one ('mock'); a real gateway can be plugged
+// in at startup with setKycProvider(). In production a provider must be chosen
+// explicitly and the mock is refused, so identities are never passed unchecked.
+
+const KYC_STATUSES = ['verified', 'rejected', 'pending'];
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+const createDefaultProvider = () => {
+  const name = process.env.KYC_PROVIDER || (isProduction() ? null : 'mock');
+  if (!name) throw new Error('KYC_PROVIDER must be set in production');
+  switch (name) {
+    case 'mock':
+      if (isProduction()) throw new Error('The mock KYC provider cannot be used in production');
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown KYC_PROVIDER: ${process.env.KYC_PROVIDER}`);
+  }
+};
+
+let provider = null;
+
+const getKycProvider = () => {
+  if (!provider) provider = createDefaultProvider();
+  return provider;
+};
+
+const setKycProvider = (custom) => {
+  if (!custom || typeof custom.verify !== 'function') throw new Error('KYC provider must have a verify() method');
+  provider = custom;
+};
+
+// Ask the provider and make sure the answer is one we can store
+const verifyIdentity = async (subject) => {
+  const current = getKycProvider();
+  const result = await current.verify(subject);
+  if (!result || !KYC_STATUSES.includes(result.status)) {
+    throw new Error(`KYC provider ${current.name} returned an invalid status`);
+  }
+  return { provider: current.name, ...result };
+};
+
+module.exports = { verifyIdentity, getKycProvider, setKycProvider };
@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+// Local stand-in for a real KYC gateway. KYC_MOCK_OUTCOME forces a result
+// ('verified', 'rejected' or 'pending'); the default verifies everyone.
+const createMockProvider = () => ({
+  name: 'mock',
+  verify: async ({ aadhaarNumber }) => {
+    const status = process.env.KYC_MOCK_OUTCOME || 'verified';
+    const reference = `MOCK-${crypto.randomBytes(6).toString('hex')}`;
+    if (status === 'rejected') {
+      return { status, reference, reason: `Mock provider rejected number ending ${aadhaarNumber.slice(-4)}` };
+    }
+    return { status, reference };
+  }
+});
+
+module.exports = { createMockProvider };
@@ -0,0 +1,9 @@
+// Prints messages to the server log; the default for local development
+const createConsoleMailer = () => ({
+  name: 'console',
+  send: async ({ to, subject, text }) => {
+    console.log(`✉️  Mail to ${to}: ${subject}\n${text}`);
+  }
+});
+
+module.exports = { createConsoleMailer };
@@ -0,0 +1,33 @@
+const { createConsoleMailer } = require('./consoleMailer');
+const { createFileMailer } = require('./fileMailer');
+
+// Email delivery goes through one mailer object: `{ name, send({ to, subject, text }) }`.
+// MAIL_TRANSPORT picks a built-in one ('console' or 'file'); a real provider
+// can be plugged in at startup with setMailer().
+
+const createDefaultMailer = () => {
+  switch (process.env.MAIL_TRANSPORT || 'console') {
+    case 'file':
+      return createFileMailer(process.env.MAIL_OUTBOX_FILE || 'tmp/mail-outbox.log');
+    case 'console':
+      return createConsoleMailer();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${process.env.MAIL_TRANSPORT}`);
+  }
+};
+
+let mailer = null;
+
+const getMailer = () => {
+  if (!mailer) mailer = createDefaultMailer();
+  return mailer;
+};
+
+const setMailer = (custom) => {
+  if (!custom || typeof custom.send !== 'function') throw new Error('Mailer must have a send() method');
+  mailer = custom;
+};
+
+const sendMail = (to, subject, text) => getMailer().send({ to, subject, text });
+
+module.exports = { sendMail, getMailer, setMailer };
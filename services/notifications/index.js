@@ -0,0 +1,111 @@
+const pool = require('../../config/database');
+const users = require('../../repositories/userRepository');
+const notifications = require('../../repositories/notificationRepository');
+const { subscribe } = require('../events');
+const { TEMPLATES, render } = require('./templates');
+const { getNotificationTransport, setNotificationTransport } = require('./transports');
+const { watchUser } = require('./stream');
+
+// Turns published events into messages for the user they concern. Each message
+// is queued per channel in notification_deliveries and sent straight away; a
+// failed send is retried by the scheduler with exponential backoff
+// (NOTIFICATION_RETRY_SECONDS, doubled each time) up to NOTIFICATION_MAX_ATTEMPTS.
+
+const MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+const RETRY_SECONDS = Number(process.env.NOTIFICATION_RETRY_SECONDS) || 60;
+
+// How long a delivery being sent is kept from the retry job
+const LEASE_SECONDS = 5 * 60;
+
+// Who gets an announcement, for events that aren't about one user
+const AUDIENCES = {
+  'offer.announced': async (db, data) => (await notifications.listHotelGuests(db, data.hotelId))
+    .map(guest => ({ ...data, userId: guest.user_id, hotelName: guest.hotel_name }))
+};
+
+// Where a channel reaches the user; SMS only goes to a verified number
+const recipientFor = (user, channel) => {
+  if (channel === 'email') return user.email || null;
+  if (channel === 'sms') return user.phoneVerifiedAt ? user.phone : null;
+  return null;
+};
+
+// Try one delivery and record the outcome
+const attempt = async (db, delivery) => {
+  try {
+    await getNotificationTransport(delivery.channel).send(delivery, db);
+    await notifications.markSent(db, delivery.delivery_id);
+    return true;
+  } catch (error) {
+    const attempts = delivery.attempts + 1;
+    const retryInSeconds = attempts < MAX_ATTEMPTS ? RETRY_SECONDS * 2 ** (attempts - 1) : null;
+    await notifications.markAttemptFailed(db, delivery.delivery_id, { error: error.message, retryInSeconds });
+    if (retryInSeconds === null) {
+      console.error(`❌ Notification ${delivery.delivery_id} (${delivery.channel}) failed for good:`, error.message);
+    }
+    return false;
+  }
+};
+
+// Render an event for its user and send it on every channel they accept.
+// Returns the queued deliveries.
+const notify = async (db, type, data) => {
+  const message = render(type, data);
+  if (!message) return [];
+  const user = await users.findById(db, data.userId);
+  if (!user) return [];
+  const prefs = await notifications.getPreferences(db, user.id);
+  const deliveries = [];
+  for (const channel of message.channels) {
+    const recipient = recipientFor(user, channel);
+    if (!prefs[channel] || (channel !== 'in_app' && !recipient)) continue;
+    deliveries.push(await notifications.createDelivery(db, {
+      userId: user.id,
+      eventType: type,
+      channel,
+      recipient,
+      title: message.title,
+      body: message.body,
+      data,
+      leaseSeconds: LEASE_SECONDS
+    }));
+  }
+  for (const delivery of deliveries) await attempt(db, delivery);
+  return deliveries;
+};
+
+// Retry deliveries that are due (a scheduler job). Returns how many were sent.
+const retryDueDeliveries = async (db, { limit = 100 } = {}) => {
+  let sent = 0;
+  for (const delivery of await notifications.claimDue(db, { limit, leaseSeconds: LEASE_SECONDS })) {
+    if (await attempt(db, delivery)) sent += 1;
+  }
+  return sent;
+};
+
+let started = false;
+
+// Notify every member of an announcement's audience
+const announce = async (db, type, data) => {
+  for (const recipientData of await AUDIENCES[type](db, data)) {
+    await notify(db, type, recipientData);
+  }
+};
+
+// Subscribe to every event that has a template (once)
+const startNotifications = () => {
+  if (started) return;
+  started = true;
+  for (const type of Object.keys(TEMPLATES)) {
+    subscribe(type, (data) => (AUDIENCES[type] ? announce(pool, type, data) : notify(pool, type, data)));
+  }
+};
+
+module.exports = {
+  notify,
+  retryDueDeliveries,
+  startNotifications,
+  watchUser,
+  getNotificationTransport,
+  setNotificationTransport
+};
@@ -0,0 +1,25 @@
+// Live inbox streams open on this instance, by user. A new in-app notification
+// wakes its user's streams, which then read what they haven't sent yet from the
+// notifications table. Streams also poll, so notifications written by another
+// instance (or by the scheduler running elsewhere) still arrive.
+
+const watchers = new Map();
+
+// Call wake() whenever the user gets a new notification here. Returns the unwatch function.
+const watchUser = (userId, wake) => {
+  const key = String(userId);
+  if (!watchers.has(key)) watchers.set(key, new Set());
+  watchers.get(key).add(wake);
+  return () => {
+    const set = watchers.get(key);
+    if (!set) return;
+    set.delete(wake);
+    if (set.size === 0) watchers.delete(key);
+  };
+};
+
+const wakeUser = (userId) => {
+  for (const wake of watchers.get(String(userId)) || []) wake();
+};
+
+module.exports = { watchUser, wakeUser };
@@ -0,0 +1,84 @@
+// What each event says to the user and on which channels. Channels a user has
+// turned off, or has no address for, are skipped when the message is sent.
+
+const TIME_ZONE = process.env.NOTIFICATION_TIME_ZONE || 'Asia/Kolkata';
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-IN', {
+  day: 'numeric', month: 'short', year: 'numeric', timeZone: TIME_ZONE
+});
+
+const formatTime = (value) => new Date(value).toLocaleString('en-IN', {
+  dateStyle: 'medium', timeStyle: 'short', timeZone: TIME_ZONE
+});
+
+const stay = (d) => `${formatDate(d.checkIn)} to ${formatDate(d.checkOut)}`;
+
+const CANCELLATION_REASONS = {
+  cancelled_by_guest: 'as you asked',
+  cancelled_by_hotel: 'by the hotel',
+  hold_expired: 'because it was not paid for or confirmed in time',
+  waitlist_declined: 'as you declined the waitlist offer'
+};
+
+const ALL_CHANNELS = ['email', 'sms', 'in_app'];
+
+const TEMPLATES = {
+  'user.registered': {
+    channels: ['email', 'in_app'],
+    title: () => 'Welcome to StayLink',
+    body: (d) => `Hi ${d.name}, your StayLink account is ready. Verify your email to start booking.`
+  },
+  'booking.created': {
+    channels: ALL_CHANNELS,
+    title: (d) => `Booking #${d.bookingId} received`,
+    body: (d) => `Your stay from ${stay(d)} is reserved` +
+      (d.holdExpiresAt ? ` until ${formatTime(d.holdExpiresAt)}. Pay for it before then to keep it.` : '.')
+  },
+  'booking.confirmed': {
+    channels: ALL_CHANNELS,
+    title: (d) => `Booking #${d.bookingId} confirmed`,
+    body: (d) => `Your stay from ${stay(d)} is confirmed. Your room key is ready in the app.`
+  },
+  'booking.checked_in': {
+    channels: ALL_CHANNELS,
+    title: (d) => `Checked in to booking #${d.bookingId}`,
+    body: (d) => `Welcome! You are checked in until ${formatDate(d.checkOut)}. Enjoy your stay.`
+  },
+  'booking.checked_out': {
+    channels: ['email', 'in_app'],
+    title: (d) => `Checked out of booking #${d.bookingId}`,
+    body: () => 'Thanks for staying with us. You can now review your stay in the app.'
+  },
+  'booking.cancelled': {
+    channels: ALL_CHANNELS,
+    title: (d) => `Booking #${d.bookingId} cancelled`,
+    body: (d) => `Your stay from ${stay(d)} was cancelled ${CANCELLATION_REASONS[d.reason] || ''}`.trim() + '.' +
+      (d.refund ? ` ₹${d.refund} will be refunded to you.` : '')
+  },
+  'waitlist.offered': {
+    channels: ALL_CHANNELS,
+    title: () => 'A room you were waiting for is available',
+    body: (d) => `The room you joined the waitlist for is held for you from ${stay(d)} (booking #${d.bookingId}). ` +
+      `Pay for it before ${formatTime(d.holdExpiresAt)} to keep it; after that it goes to the next guest in line.`
+  },
+  // In-app only: a message for every door opened would be noise anywhere else
+  'room.access_granted': {
+    channels: ['in_app'],
+    title: (d) => `Room opened for booking #${d.bookingId}`,
+    body: (d) => `Your room was opened ${d.method === 'device' ? 'at the door' : 'with your room key'} on ${formatTime(d.at)}.`
+  },
+  'offer.announced': {
+    channels: ['in_app'],
+    title: (d) => `New offer at ${d.hotelName}: ${d.title}`,
+    body: (d) => `${d.description ? `${d.description} ` : ''}Valid until ${formatDate(d.validTo)}.`
+  }
+};
+
+// `{ channels, title, body }` for an event, or null if it has no template
+const render = (type, data) => {
+  const template = TEMPLATES[type];
+  if (!template) return null;
+  return { channels: template.channels, title: template.title(data), body: template.body(data) };
+};
+
+module.exports = { TEMPLATES, render };
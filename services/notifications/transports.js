@@ -0,0 +1,52 @@
+const notifications = require('../../repositories/notificationRepository');
+const { sendMail } = require('../mail');
+const { sendSms } = require('../sms');
+const { wakeUser } = require('./stream');
+
+// Each channel delivers through one transport: `{ name, send(delivery, db) }`,
+// where `delivery` is a notification_deliveries row. Email and SMS go through the
+// mail and SMS services (and so their console/file transports); in-app messages
+// land in the notifications table and are pushed to the user's open streams.
+// Replace one at startup with setNotificationTransport(), e.g. to push to a mobile app.
+
+const createDefaultTransports = () => ({
+  email: {
+    name: 'mail',
+    send: (delivery) => sendMail(delivery.recipient, delivery.title, delivery.body)
+  },
+  sms: {
+    name: 'sms',
+    send: (delivery) => sendSms(delivery.recipient, `${delivery.title}: ${delivery.body}`)
+  },
+  in_app: {
+    name: 'inbox',
+    send: async (delivery, db) => {
+      await notifications.createNotification(db, {
+        userId: delivery.user_id,
+        eventType: delivery.event_type,
+        title: delivery.title,
+        body: delivery.body,
+        data: delivery.data
+      });
+      wakeUser(delivery.user_id);
+    }
+  }
+});
+
+let transports = null;
+
+const getNotificationTransport = (channel) => {
+  if (!transports) transports = createDefaultTransports();
+  const transport = transports[channel];
+  if (!transport) throw new Error(`Unknown notification channel: ${channel}`);
+  return transport;
+};
+
+const setNotificationTransport = (channel, custom) => {
+  if (!notifications.CHANNELS.includes(channel)) throw new Error(`Unknown notification channel: ${channel}`);
+  if (!custom || typeof custom.send !== 'function') throw new Error('Notification transport must have a send() method');
+  if (!transports) transports = createDefaultTransports();
+  transports[channel] = custom;
+};
+
+module.exports = { getNotificationTransport, setNotificationTransport };
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+// Local stand-in for a Razorpay/Stripe-style gateway. Orders and refunds only get
+// ids; nothing is charged. Webhooks are JSON bodies signed with an HMAC-SHA256 of
+// the raw body in the X-Fake-Signature header, using PAYMENT_WEBHOOK_SECRET:
+//
+//   { "id": "evt_1", "event": "payment.captured",
+//     "payload": { "order_id": "...", "payment_id": "...", "amount": 945000 } }
+//
+// Amounts are in paise. signWebhook() lets tests and local tools build deliveries.
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+// Webhooks get their own key: sharing JWT_SECRET would let anyone holding one
+// forge the other
+const getSecret = () => {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!secret) throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+  if (secret === process.env.JWT_SECRET) throw new Error('PAYMENT_WEBHOOK_SECRET must differ from JWT_SECRET');
+  return secret;
+};
+
+const newId = (prefix) => `${prefix}_fake_${crypto.randomBytes(8).toString('hex')}`;
+
+const signWebhook = (rawBody) => crypto.createHmac('sha256', getSecret()).update(rawBody).digest('hex');
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+// Checks the webhook secret up front so a missing one fails at startup
+const createFakeProvider = () => {
+  getSecret();
+  const refunds = new Map();
+  return {
+    name: 'fake',
+    createOrder: async ({ amount, currency, receipt }) => {
+      const orderId = newId('order');
+      return { orderId, checkout: { provider: 'fake', order_id: orderId, amount, currency, receipt } };
+    },
+    // The same receipt gets back the refund already made, like a real gateway's
+    // idempotency key
+    refund: async ({ receipt }) => {
+      if (!refunds.has(receipt)) refunds.set(receipt, { refundId: newId('rfnd'), status: 'pending' });
+      return { ...refunds.get(receipt) };
+    },
+    verifyWebhook: ({ rawBody, headers }) => {
+      const signature = headers[SIGNATURE_HEADER];
+      if (!signature || !Buffer.isBuffer(rawBody) || !safeEqual(signWebhook(rawBody), signature)) {
+        return { error: 'Invalid webhook signature' };
+      }
+      let body;
+      try {
+        body = JSON.parse(rawBody.toString('utf8'));
+      } catch (e) {
+        return { error: 'Malformed webhook body' };
+      }
+      if (!body || !body.id || !body.event) return { error: 'Malformed webhook body' };
+      const payload = body.payload || {};
+      return {
+        event: {
+          id: String(body.id),
+          type: body.event,
+          orderId: payload.order_id,
+          paymentId: payload.payment_id,
+          refundId: payload.refund_id,
+          receipt: payload.receipt,
+          amount: payload.amount,
+          reason: payload.error_description
+        }
+      };
+    }
+  };
+};
+
+module.exports = { createFakeProvider, signWebhook, SIGNATURE_HEADER };
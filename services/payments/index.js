@@ -0,0 +1,66 @@
+const { createFakeProvider } = require('./fakeProvider');
+
+// Payments go through one provider object:
+//   createOrder({ amount, currency, receipt }) -> { orderId, checkout }
+//   refund({ paymentId, amount, receipt }) -> { refundId, status: 'pending' | 'processed' }
+//     `receipt` is an idempotency key: asking again with the same one must return
+//     the refund already made rather than pay out twice
+//   verifyWebhook({ rawBody, headers }) -> { event } or { error }
+// Amounts are in paise. A verified event is `{ id, type, orderId, paymentId,
+// refundId, receipt, amount, reason }`; the types acted on are payment.captured,
+// payment.failed, refund.processed and refund.failed.
+// PAYMENT_PROVIDER picks a built-in one ('fake'); a real gateway can be plugged
+// in at startup with setPaymentProvider(). In production a provider must be chosen
+// explicitly and the fake one is refused, so the app never takes bookings as paid
+// without a real gateway behind them.
+
+const REFUND_STATUSES = ['pending', 'processed'];
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+const createDefaultProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || (isProduction() ? null : 'fake');
+  if (!name) throw new Error('PAYMENT_PROVIDER must be set in production');
+  switch (name) {
+    case 'fake':
+      if (isProduction()) throw new Error('The fake payment provider cannot be used in production');
+      return createFakeProvider();
+    default:
+      throw new Error(`Unknown PAYMENT_PROVIDER: ${process.env.PAYMENT_PROVIDER}`);
+  }
+};
+
+let provider = null;
+
+const getPaymentProvider = () => {
+  if (!provider) provider = createDefaultProvider();
+  return provider;
+};
+
+const setPaymentProvider = (custom) => {
+  const required = ['createOrder', 'refund', 'verifyWebhook'];
+  if (!custom || required.some(method => typeof custom[method] !== 'function')) {
+    throw new Error(`Payment provider must have ${required.join(', ')} methods`);
+  }
+  provider = custom;
+};
+
+const createOrder = async (order) => {
+  const current = getPaymentProvider();
+  const result = await current.createOrder(order);
+  if (!result || !result.orderId) throw new Error(`Payment provider ${current.name} returned no order id`);
+  return { provider: current.name, ...result };
+};
+
+const requestRefund = async (refund) => {
+  const current = getPaymentProvider();
+  const result = await current.refund(refund);
+  if (!result || !result.refundId || !REFUND_STATUSES.includes(result.status)) {
+    throw new Error(`Payment provider ${current.name} returned an invalid refund`);
+  }
+  return result;
+};
+
+const verifyWebhook = (delivery) => getPaymentProvider().verifyWebhook(delivery);
+
+module.exports = { createOrder, requestRefund, verifyWebhook, getPaymentProvider, setPaymentProvider };
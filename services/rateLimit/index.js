@@ -0,0 +1,34 @@
+const { createMemoryStore } = require('./memoryStore');
+const { createPostgresStore } = require('./postgresStore');
+
+// Rate limit counters live in one store object:
+// `{ name, hit(key, windowMs) -> { count, resetAt }, peek(key) -> { count, resetAt } | null, reset(key) }`.
+// RATE_LIMIT_STORE picks a built-in one ('memory' or 'postgres'); another shared
+// store (e.g. Redis) can be plugged in at startup with setRateLimitStore().
+
+const createDefaultStore = () => {
+  switch (process.env.RATE_LIMIT_STORE || 'memory') {
+    case 'memory':
+      return createMemoryStore();
+    case 'postgres':
+      return createPostgresStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${process.env.RATE_LIMIT_STORE}`);
+  }
+};
+
+let store = null;
+
+const getRateLimitStore = () => {
+  if (!store) store = createDefaultStore();
+  return store;
+};
+
+const setRateLimitStore = (custom) => {
+  if (!custom || ['hit', 'peek', 'reset'].some(method => typeof custom[method] !== 'function')) {
+    throw new Error('Rate limit store must have hit(), peek() and reset() methods');
+  }
+  store = custom;
+};
+
+module.exports = { getRateLimitStore, setRateLimitStore };
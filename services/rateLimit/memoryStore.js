@@ -0,0 +1,37 @@
+// Fixed-window counters kept in this process. Fine for a single instance;
+// use the postgres store when several instances share the traffic.
+const createMemoryStore = () => {
+  const windows = new Map();
+
+  // Drop finished windows now and then so the map doesn't grow forever
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  return {
+    name: 'memory',
+    hit: async (key, windowMs) => {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+    peek: async (key) => {
+      const entry = windows.get(key);
+      return entry && entry.resetAt > Date.now() ? { count: entry.count, resetAt: new Date(entry.resetAt) } : null;
+    },
+    reset: async (key) => {
+      windows.delete(key);
+    }
+  };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,40 @@
+const pool = require('../../config/database');
+
+// Fixed-window counters in the rate_limits table, shared by every app instance
+const createPostgresStore = () => {
+  let lastPrune = 0;
+
+  const prune = () => {
+    if (Date.now() - lastPrune < 60 * 1000) return;
+    lastPrune = Date.now();
+    pool.query('DELETE FROM rate_limits WHERE reset_at < NOW()')
+      .catch(error => console.error('Rate limit prune error:', error.message));
+  };
+
+  return {
+    name: 'postgres',
+    hit: async (key, windowMs) => {
+      prune();
+      const result = await pool.query(
+        `INSERT INTO rate_limits (key, count, reset_at)
+         VALUES ($1, 1, NOW() + make_interval(secs => $2))
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN rate_limits.reset_at <= NOW() THEN 1 ELSE rate_limits.count + 1 END,
+           reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+         RETURNING count, reset_at`,
+        [key, windowMs / 1000]
+      );
+      return { count: result.rows[0].count, resetAt: result.rows[0].reset_at };
+    },
+    peek: async (key) => {
+      const result = await pool.query('SELECT count, reset_at FROM rate_limits WHERE key = $1 AND reset_at > NOW()', [key]);
+      const row = result.rows[0];
+      return row ? { count: row.count, resetAt: row.reset_at } : null;
+    },
+    reset: async (key) => {
+      await pool.query('DELETE FROM rate_limits WHERE key = $1', [key]);
+    }
+  };
+};
+
+module.exports = { createPostgresStore };
@@ -0,0 +1,132 @@
+const { BOOKABLE_ROOM, findConflictingBooking, insertPendingBooking, publishBookingEvent } = require('../../utils/bookings');
+const { PRICING_ROOM_COLUMNS, quoteStay } = require('../../utils/pricing');
+const { AppError } = require('../../utils/errors');
+const waitlist = require('../../repositories/waitlistRepository');
+const { recordAudit } = require('../audit');
+
+// Minutes a waitlisted guest has to pay for or confirm a room offered to them
+const WAITLIST_OFFER_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES) || 60;
+
+// Most waiting entries looked at per run
+const WAITLIST_BATCH_SIZE = 100;
+
+const SYSTEM = { userId: null, role: 'system' };
+
+// Cancel pending bookings whose hold has run out, freeing their rooms. Paid
+// bookings still waiting for staff (e.g. on the guest's KYC) are kept.
+const releaseExpiredHolds = async (client) => {
+  const result = await client.query(
+    `UPDATE bookings b SET status = 'cancelled', cancellation_reason = 'hold_expired'
+     WHERE b.status = 'pending' AND b.hold_expires_at <= NOW()
+     AND NOT EXISTS (
+       SELECT 1 FROM payments p
+       WHERE p.booking_id = b.booking_id AND p.status IN ('captured', 'partially_refunded')
+     )
+     RETURNING b.*`
+  );
+  for (const booking of result.rows) {
+    await recordAudit(client, null, 'BOOKING_STATUS_CHANGED', {
+      actor: SYSTEM,
+      target: { type: 'booking', id: booking.booking_id },
+      details: { from: 'pending', to: 'cancelled', reason: 'hold_expired' }
+    });
+    publishBookingEvent('booking.cancelled', booking);
+  }
+  return result.rows.length;
+};
+
+// Mark offers as booked or lapsed once their booking left the pending state
+const settleWaitlistOffers = async (client) => (await waitlist.settleOffers(client)).length;
+
+const expireStartedWaitlistEntries = async (client) => (await waitlist.expireStarted(client)).length;
+
+// Offer one waiting entry its room if the room is now free for its dates.
+// Returns the booking created for the guest, or null.
+const offerSlot = async (client, { entry_id: entryId, room_id: roomId }) => {
+  await client.query('BEGIN');
+  try {
+    // Same lock order as createBooking: room first, then everything else
+    const room = await client.query(
+      `SELECT ${PRICING_ROOM_COLUMNS} FROM rooms r WHERE r.room_id = $1 AND ${BOOKABLE_ROOM} FOR UPDATE OF r`,
+      [roomId]
+    );
+    const entry = await waitlist.lockWaiting(client, entryId);
+    if (!entry) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    if (room.rows.length === 0) {
+      await waitlist.markExpired(client, entryId);
+      await client.query('COMMIT');
+      return null;
+    }
+    if (await findConflictingBooking(client, roomId, entry.check_in_time, entry.check_out_time)) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    let pricing;
+    try {
+      pricing = await quoteStay(client, room.rows[0], {
+        checkIn: entry.check_in_time,
+        checkOut: entry.check_out_time,
+        guests: entry.guests,
+        userId: entry.user_id
+      });
+    } catch (error) {
+      // The room can no longer be sold for this stay (no price, fewer beds...)
+      if (!(error instanceof AppError)) throw error;
+      await waitlist.markExpired(client, entryId);
+      await client.query('COMMIT');
+      return null;
+    }
+    const booking = await insertPendingBooking(client, {
+      userId: entry.user_id,
+      roomId,
+      checkIn: entry.check_in_time,
+      checkOut: entry.check_out_time,
+      pricing,
+      holdMinutes: WAITLIST_OFFER_MINUTES
+    });
+    await waitlist.markOffered(client, entryId, booking.booking_id);
+    await client.query('COMMIT');
+    await recordAudit(client, null, 'WAITLIST_OFFERED', {
+      actor: SYSTEM,
+      target: { type: 'booking', id: booking.booking_id },
+      details: { entryId, roomId, userId: entry.user_id, holdExpiresAt: booking.hold_expires_at }
+    });
+    publishBookingEvent('waitlist.offered', booking, { entryId });
+    return booking;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  }
+};
+
+// Walk the queue oldest first, so a freed slot goes to whoever waited longest
+const offerFreedSlots = async (client) => {
+  let offered = 0;
+  for (const entry of await waitlist.listWaiting(client, { limit: WAITLIST_BATCH_SIZE })) {
+    if (await offerSlot(client, entry)) offered += 1;
+  }
+  return offered;
+};
+
+// Offer a room freed outside the scheduler (a declined offer) to whoever waits
+// for it next, without waiting for the next run
+const offerRoom = async (client, roomId) => {
+  let offered = 0;
+  for (const entry of await waitlist.listWaiting(client, { limit: WAITLIST_BATCH_SIZE, roomId })) {
+    if (await offerSlot(client, entry)) offered += 1;
+  }
+  return offered;
+};
+
+// In the order they run: expired holds free rooms before the queue is walked
+const BOOKING_JOBS = [
+  ['releaseExpiredHolds', releaseExpiredHolds],
+  ['settleWaitlistOffers', settleWaitlistOffers],
+  ['expireStartedWaitlistEntries', expireStartedWaitlistEntries],
+  ['offerFreedSlots', offerFreedSlots]
+];
+
+module.exports = { BOOKING_JOBS, WAITLIST_OFFER_MINUTES, offerRoom };
@@ -0,0 +1,80 @@
+const pool = require('../../config/database');
+const { BOOKING_JOBS } = require('./bookingJobs');
+const { retryDueDeliveries } = require('../notifications');
+const { retryUnsentRefunds } = require('../../utils/refunds');
+
+// In-process scheduler for background jobs (no external cron needed). Every
+// SCHEDULER_INTERVAL_SECONDS each instance tries a Postgres advisory lock; only
+// the one holding it runs the jobs, so several app instances never run them at
+// once. Jobs get the locked client and manage their own transactions.
+
+// Arbitrary key shared by every instance of the app
+const SCHEDULER_LOCK_KEY = 730500123;
+
+const INTERVAL_MS = (Number(process.env.SCHEDULER_INTERVAL_SECONDS) || 60) * 1000;
+
+const JOBS = [
+  ...BOOKING_JOBS,
+  ['retryNotifications', retryDueDeliveries],
+  ['retryRefunds', retryUnsentRefunds]
+];
+
+// Run every job once unless another instance holds the lock.
+// Returns { ran: false } or { ran: true, results: { [job]: result } }.
+const runJobs = async () => {
+  const client = await pool.connect();
+  let broken = false;
+  try {
+    const lock = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [SCHEDULER_LOCK_KEY]);
+    if (!lock.rows[0].locked) return { ran: false };
+    const results = {};
+    try {
+      for (const [name, job] of JOBS) {
+        try {
+          results[name] = await job(client);
+        } catch (error) {
+          // One failing job must not stop the others
+          console.error(`❌ Scheduler job ${name} failed:`, error.message);
+          results[name] = { error: error.message };
+        }
+      }
+    } finally {
+      // A connection that can't be unlocked is thrown away, which drops the lock
+      await client.query('SELECT pg_advisory_unlock($1)', [SCHEDULER_LOCK_KEY]).catch(() => { broken = true; });
+    }
+    return { ran: true, results };
+  } finally {
+    client.release(broken);
+  }
+};
+
+let timer = null;
+let running = false;
+
+const tick = async () => {
+  // Skip a tick while the previous run is still going
+  if (running) return;
+  running = true;
+  try {
+    await runJobs();
+  } catch (error) {
+    console.error('❌ Scheduler error:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+const startScheduler = ({ intervalMs = INTERVAL_MS } = {}) => {
+  if (timer) return;
+  timer = setInterval(tick, intervalMs);
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+  tick();
+};
+
+const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { runJobs, startScheduler, stopScheduler };
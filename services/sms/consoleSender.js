@@ -0,0 +1,9 @@
+// Prints messages to the server log; the default for local development
+const createConsoleSender = () => ({
+  name: 'console',
+  send: async ({ to, body }) => {
+    console.log(`📱 SMS to ${to}: ${body}`);
+  }
+});
+
+module.exports = { createConsoleSender };
@@ -0,0 +1,13 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Appends each message as a JSON line to a file, so tests and local tools can read codes back
+const createFileSender = (filePath) => ({
+  name: 'file',
+  send: async ({ to, body }) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, JSON.stringify({ to, body, sentAt: new Date() }) + '\n');
+  }
+});
+
+module.exports = { createFileSender };
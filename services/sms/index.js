@@ -0,0 +1,33 @@
+const { createConsoleSender } = require('./consoleSender');
+const { createFileSender } = require('./fileSender');
+
+// SMS delivery goes through one sender object: `{ name, send({ to, body }) }`.
+// SMS_TRANSPORT picks a built-in one ('console' or 'file'); a real gateway
+// can be plugged in at startup with setSmsSender().
+
+const createDefaultSender = () => {
+  switch (process.env.SMS_TRANSPORT || 'console') {
+    case 'file':
+      return createFileSender(process.env.SMS_OUTBOX_FILE || 'tmp/sms-outbox.log');
+    case 'console':
+      return createConsoleSender();
+    default:
+      throw new Error(`Unknown SMS_TRANSPORT: ${process.env.SMS_TRANSPORT}`);
+  }
+};
+
+let sender = null;
+
+const getSmsSender = () => {
+  if (!sender) sender = createDefaultSender();
+  return sender;
+};
+
+const setSmsSender = (custom) => {
+  if (!custom || typeof custom.send !== 'function') throw new Error('SMS sender must have a send() method');
+  sender = custom;
+};
+
+const sendSms = (to, body) => getSmsSender().send({ to, body });
+
+module.exports = { sendSms, getSmsSender, setSmsSender };
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.KYC_SECRET = 'test-kyc-secret';
+
+const { verhoeffValid, normalizeAadhaar, maskAadhaar, hashAadhaar } = require('../utils/aadhaar');
+
+const VALID = '234123412346';
+
+test('the Verhoeff checksum accepts a correct check digit only', () => {
+  assert.equal(verhoeffValid('2363'), true);
+  assert.equal(verhoeffValid('2364'), false);
+  assert.equal(verhoeffValid(VALID), true);
+  for (let digit = 0; digit < 10; digit++) {
+    if (String(digit) !== VALID.slice(-1)) assert.equal(verhoeffValid(VALID.slice(0, -1) + digit), false);
+  }
+});
+
+test('the checksum catches swapped neighbouring digits', () => {
+  assert.equal(verhoeffValid('324123412346'), false);
+  assert.equal(verhoeffValid('243123412346'), false);
+});
+
+test('numbers are normalised with spaces and dashes removed', () => {
+  assert.equal(normalizeAadhaar(VALID), VALID);
+  assert.equal(normalizeAadhaar('2341 2341 2346'), VALID);
+  assert.equal(normalizeAadhaar('2341-2341-2346'), VALID);
+  assert.equal(normalizeAadhaar(234123412346), VALID);
+});
+
+test('malformed numbers are rejected', () => {
+  for (const value of [undefined, null, '', '23412341234', '2341234123460', '134123412346', '034123412346', '23412341234a', '234123412347']) {
+    assert.equal(normalizeAadhaar(value), null, String(value));
+  }
+});
+
+test('only the last four digits are shown', () => {
+  assert.equal(maskAadhaar(VALID), 'XXXX-XXXX-2346');
+});
+
+test('the stored hash is stable and depends on the secret', () => {
+  const hash = hashAadhaar(VALID);
+  assert.equal(hashAadhaar(VALID), hash);
+  assert.notEqual(hashAadhaar('499912345674'), hash);
+  process.env.KYC_SECRET = 'another-secret';
+  try {
+    assert.notEqual(hashAadhaar(VALID), hash);
+  } finally {
+    process.env.KYC_SECRET = 'test-kyc-secret';
+  }
+});
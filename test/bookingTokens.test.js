@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.BOOKING_TOKEN_SECRET = 'test-booking-secret';
+
+const { signBookingToken, verifyBookingToken, verifyBookingSignature } = require('../utils/bookingTokens');
+
+const booking = {
+  booking_id: 7,
+  room_id: 3,
+  user_id: 42,
+  check_in_time: '2099-01-10T12:00:00Z',
+  check_out_time: '2099-01-12T10:00:00Z'
+};
+const duringStay = new Date('2099-01-11T00:00:00Z');
+
+test('a signed token verifies during the stay and carries the booking', () => {
+  const { token, signature } = signBookingToken(booking);
+  const result = verifyBookingToken(token, duringStay);
+  assert.equal(result.error, undefined);
+  assert.equal(result.signature, signature);
+  assert.deepEqual(result.payload, {
+    bookingId: '7',
+    roomId: '3',
+    userId: '42',
+    validFrom: '2099-01-10T12:00:00.000Z',
+    validUntil: '2099-01-12T10:00:00.000Z'
+  });
+});
+
+test('signing is reproducible for the same booking', () => {
+  assert.equal(signBookingToken(booking).token, signBookingToken({ ...booking }).token);
+});
+
+test('tokens are only valid between check-in and check-out', () => {
+  const { token } = signBookingToken(booking);
+  assert.equal(verifyBookingToken(token, new Date('2099-01-10T11:59:59Z')).error, 'Booking token is not valid yet');
+  assert.equal(verifyBookingToken(token, new Date('2099-01-12T10:00:00Z')).error, 'Booking token has expired');
+});
+
+test('a tampered payload or signature is rejected', () => {
+  const { token } = signBookingToken(booking);
+  const [encoded, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ ...verifyBookingToken(token, duringStay).payload, roomId: '4' }))
+    .toString('base64url');
+  assert.equal(verifyBookingToken(`${forged}.${signature}`, duringStay).error, 'Invalid booking token signature');
+  assert.equal(verifyBookingToken(`${encoded}.${signature.slice(1)}x`, duringStay).error, 'Invalid booking token signature');
+});
+
+test('malformed tokens are rejected', () => {
+  for (const token of [undefined, '', 'abc', 'a.b.c', 42]) {
+    assert.equal(verifyBookingToken(token, duringStay).error, 'Malformed booking token');
+  }
+});
+
+test('a token signed with another secret is rejected', () => {
+  const { token } = signBookingToken(booking);
+  process.env.BOOKING_TOKEN_SECRET = 'another-secret';
+  try {
+    assert.equal(verifyBookingToken(token, duringStay).error, 'Invalid booking token signature');
+  } finally {
+    process.env.BOOKING_TOKEN_SECRET = 'test-booking-secret';
+  }
+});
+
+test('a stored signature only matches the booking row it was made for', () => {
+  const { signature } = signBookingToken(booking);
+  assert.equal(verifyBookingSignature(booking, signature, duringStay).error, undefined);
+  assert.equal(verifyBookingSignature({ ...booking, booking_id: 8 }, signature, duringStay).error, 'Invalid booking token signature');
+  const moved = { ...booking, check_out_time: '2099-01-13T10:00:00Z' };
+  assert.equal(verifyBookingSignature(moved, signature, duringStay).error, 'Invalid booking token signature');
+  assert.equal(verifyBookingSignature(booking, null, duringStay).error, 'Invalid booking token signature');
+});
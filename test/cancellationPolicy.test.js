@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { refundPolicy } = require('../utils/cancellationPolicy');
+
+// The default policy: a full refund up to 72 hours ahead, half up to 24 hours
+const now = new Date('2099-06-01T12:00:00Z');
+const hoursAhead = (hours) => new Date(now.getTime() + hours * 3600000);
+
+test('cancelling well ahead refunds in full', () => {
+  assert.deepEqual(refundPolicy(hoursAhead(100), { now }), {
+    refund_percent: 100,
+    hours_before_check_in: 100,
+    rule: '72h_before_check_in'
+  });
+  assert.equal(refundPolicy(hoursAhead(72), { now }).refund_percent, 100);
+});
+
+test('cancelling between one and three days ahead refunds half', () => {
+  assert.deepEqual(refundPolicy(hoursAhead(71.5), { now }), {
+    refund_percent: 50,
+    hours_before_check_in: 71,
+    rule: '24h_before_check_in'
+  });
+  assert.equal(refundPolicy(hoursAhead(24), { now }).refund_percent, 50);
+});
+
+test('cancelling inside a day, or after check-in, refunds nothing', () => {
+  assert.deepEqual(refundPolicy(hoursAhead(23.9), { now }), {
+    refund_percent: 0,
+    hours_before_check_in: 23,
+    rule: 'late_cancellation'
+  });
+  assert.equal(refundPolicy(hoursAhead(-5), { now }).refund_percent, 0);
+});
+
+test('the hotel cancelling always refunds in full', () => {
+  assert.deepEqual(refundPolicy(hoursAhead(2), { byHotel: true, now }), {
+    refund_percent: 100,
+    hours_before_check_in: 2,
+    rule: 'cancelled_by_hotel'
+  });
+});
+
+test('check-in times may be given as strings', () => {
+  assert.equal(refundPolicy(hoursAhead(48).toISOString(), { now }).refund_percent, 50);
+});
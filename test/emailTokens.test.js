@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.EMAIL_TOKEN_SECRET = 'test-email-secret';
+
+const { issueEmailToken, consumeEmailToken } = require('../utils/emailTokens');
+const { fakeDb } = require('./helpers/fakeDb');
+
+// Issue a token and keep the row the fake database was asked to store
+const issue = async (purpose = 'reset_password') => {
+  const client = fakeDb();
+  const issued = await issueEmailToken(client, 5, purpose, 'guest@example.com');
+  const insert = client.queries.find(q => q.text.includes('INSERT INTO email_tokens'));
+  const [tokenId, userId, , email, tokenHash] = insert.params;
+  return { ...issued, client, row: { token_id: tokenId, user_id: userId, email, token_hash: tokenHash } };
+};
+
+// A client holding one stored token row
+const clientWith = (row) => fakeDb(text => (text.includes('FROM email_tokens') ? { rows: row ? [row] : [], rowCount: row ? 1 : 0 } : null));
+
+const live = (row, extra = {}) => ({ ...row, expires_at: new Date(Date.now() + 60000), consumed_at: null, ...extra });
+
+test('a token is "<id>.<secret>" and only a hash of the secret is stored', async () => {
+  const { token, expiresIn, client, row } = await issue();
+  const [tokenId, secret] = token.split('.');
+  assert.equal(tokenId, row.token_id);
+  assert.match(tokenId, /^[0-9a-f-]{36}$/);
+  assert.ok(secret.length >= 40);
+  assert.ok(client.queries.every(q => !(q.params || []).includes(secret)));
+  assert.equal(expiresIn, 3600);
+  assert.ok(client.ran('UPDATE email_tokens SET consumed_at'), 'older tokens are revoked');
+});
+
+test('verification links live longer than reset links', async () => {
+  assert.equal((await issue('verify_email')).expiresIn, 24 * 3600);
+});
+
+test('a live token is consumed and returns its user and address', async () => {
+  const { token, row } = await issue();
+  const client = clientWith(live(row));
+  assert.deepEqual(await consumeEmailToken(client, token, 'reset_password'), { userId: 5, email: 'guest@example.com' });
+  assert.ok(client.ran('UPDATE email_tokens SET consumed_at = NOW() WHERE token_id'));
+});
+
+test('used, expired or unknown tokens are refused', async () => {
+  const { token, row } = await issue();
+  for (const stored of [live(row, { consumed_at: new Date() }), live(row, { expires_at: new Date(Date.now() - 1000) }), null]) {
+    const client = clientWith(stored);
+    assert.deepEqual(await consumeEmailToken(client, token, 'reset_password'), { error: 'Invalid or expired token' });
+    assert.ok(!client.ran('UPDATE email_tokens'));
+  }
+});
+
+test('a token with the wrong secret is refused', async () => {
+  const { token, row } = await issue();
+  const [tokenId] = token.split('.');
+  assert.deepEqual(await consumeEmailToken(clientWith(live(row)), `${tokenId}.not-the-secret`, 'reset_password'), { error: 'Invalid or expired token' });
+});
+
+test('a token only works for the purpose it was issued for', async () => {
+  const { token, row } = await issue('verify_email');
+  assert.deepEqual(await consumeEmailToken(clientWith(live(row)), token, 'reset_password'), { error: 'Invalid or expired token' });
+});
+
+test('malformed tokens are refused without a lookup', async () => {
+  for (const token of [undefined, '', 'abc', 'not-a-uuid.secret', '.secret']) {
+    const client = fakeDb();
+    assert.deepEqual(await consumeEmailToken(client, token, 'reset_password'), { error: 'Invalid or expired token' });
+    assert.equal(client.queries.length, 0);
+  }
+});
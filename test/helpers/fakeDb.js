@@ -0,0 +1,16 @@
+// A stand-in for a pg client or pool: records every query and answers the ones
+// `respond(text, params)` recognises, with no rows for the rest
+const fakeDb = (respond = () => null) => {
+  const queries = [];
+  return {
+    queries,
+    query: async (text, params) => {
+      queries.push({ text, params });
+      return respond(text, params) || { rows: [], rowCount: 0 };
+    },
+    release: () => {},
+    ran: (fragment) => queries.some(q => q.text.includes(fragment))
+  };
+};
+
+module.exports = { fakeDb };
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.OTP_SECRET = 'test-otp-secret';
+
+const { issueOtp, verifyOtp } = require('../utils/otp');
+const { fakeDb } = require('./helpers/fakeDb');
+
+const PHONE = '+919876543210';
+
+// Issue a code and keep the hash the fake database was asked to store
+const issue = async (phone = PHONE) => {
+  const client = fakeDb(text => (text.includes('INSERT INTO phone_otp_limits') ? { rows: [{ phone }], rowCount: 1 } : null));
+  const issued = await issueOtp(client, phone);
+  const insert = client.queries.find(q => q.text.includes('INSERT INTO phone_otps'));
+  return { ...issued, client, codeHash: insert.params[1] };
+};
+
+// A client holding one live code for the phone
+const clientWithCode = (codeHash, attempts = 0) => fakeDb(text => (
+  text.includes('FROM phone_otps') ? { rows: [{ otp_id: 1, code_hash: codeHash, attempts }], rowCount: 1 } : null
+));
+
+test('issuing a code returns six digits and stores only a hash of it', async () => {
+  const { code, expiresIn, client, codeHash } = await issue();
+  assert.match(code, /^\d{6}$/);
+  assert.ok(expiresIn > 0);
+  assert.notEqual(codeHash, code);
+  assert.ok(client.queries.every(q => !(q.params || []).includes(code)));
+  assert.ok(client.ran('UPDATE phone_otps SET consumed_at'), 'older codes are revoked');
+});
+
+test('a new code is refused during the resend cooldown', async () => {
+  const client = fakeDb(text => (text.includes('cooldown_left')
+    ? { rows: [{ cooldown_left: 42, window_left: 1800 }], rowCount: 1 }
+    : null));
+  assert.deepEqual(await issueOtp(client, PHONE), { error: 'Please wait before requesting another code', retryAfter: 42 });
+  assert.ok(!client.ran('INSERT INTO phone_otps'));
+});
+
+test('a new code is refused once the hourly allowance is used up', async () => {
+  const client = fakeDb(text => (text.includes('cooldown_left')
+    ? { rows: [{ cooldown_left: -10, window_left: 1800 }], rowCount: 1 }
+    : null));
+  assert.deepEqual(await issueOtp(client, PHONE), { error: 'Too many codes requested. Try again later', retryAfter: 1800 });
+});
+
+test('the right code is accepted and used up', async () => {
+  const { code, codeHash } = await issue();
+  const client = clientWithCode(codeHash);
+  assert.deepEqual(await verifyOtp(client, PHONE, code), { ok: true });
+  assert.ok(client.ran('UPDATE phone_otps SET consumed_at = NOW() WHERE otp_id'));
+  assert.ok(client.ran('COMMIT'));
+});
+
+test('a wrong code counts as an attempt', async () => {
+  const { code, codeHash } = await issue();
+  const client = clientWithCode(codeHash);
+  const wrong = code === '000000' ? '000001' : '000000';
+  assert.deepEqual(await verifyOtp(client, PHONE, wrong), { error: 'Invalid code', status: 401 });
+  assert.ok(client.ran('attempts = attempts + 1'));
+});
+
+test('a code only works for the phone it was sent to', async () => {
+  const { code, codeHash } = await issue();
+  assert.equal((await verifyOtp(clientWithCode(codeHash), '+919876543211', code)).status, 401);
+});
+
+test('a code is locked after too many wrong guesses, even the right one', async () => {
+  const { code, codeHash } = await issue();
+  assert.deepEqual(await verifyOtp(clientWithCode(codeHash, 5), PHONE, code), { error: 'Too many attempts. Request a new code', status: 429 });
+});
+
+test('verifying without a live code fails', async () => {
+  assert.deepEqual(await verifyOtp(fakeDb(), PHONE, '123456'), { error: 'Code expired or not requested', status: 400 });
+});
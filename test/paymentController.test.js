@@ -0,0 +1,127 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+process.env.BOOKING_TOKEN_SECRET = 'test-booking-secret';
+
+const { fakeDb } = require('./helpers/fakeDb');
+
+// The controller takes its connections from config/database; hand it a fake pool
+// before it loads, so each test decides what the database answers
+let client;
+const pool = { connect: async () => client, query: (...args) => client.query(...args) };
+require.cache[require.resolve('../config/database')] = {
+  id: 'database',
+  filename: require.resolve('../config/database'),
+  loaded: true,
+  exports: pool
+};
+
+const payments = require('../repositories/paymentRepository');
+const { signWebhook, SIGNATURE_HEADER } = require('../services/payments/fakeProvider');
+const { handleWebhook } = require('../controllers/paymentController');
+
+const payment = { payment_id: 2, booking_id: 4, amount: 9450, status: 'created', provider_order_id: 'order_1' };
+const booking = {
+  booking_id: 4,
+  user_id: 9,
+  room_id: 1,
+  hotel_id: 1,
+  status: 'pending',
+  check_in_time: '2099-03-01T12:00:00Z',
+  check_out_time: '2099-03-04T10:00:00Z'
+};
+
+const delivery = (event, payload, { signature } = {}) => {
+  const rawBody = Buffer.from(JSON.stringify({ id: 'evt_1', event, payload }));
+  return {
+    body: rawBody,
+    headers: { [SIGNATURE_HEADER]: signature || signWebhook(rawBody) },
+    ip: '127.0.0.1',
+    get: () => null
+  };
+};
+
+const response = () => ({
+  body: null,
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const audited = (action) => client.queries.filter(q => q.text.includes('INSERT INTO audit_logs') && q.params[0] === action);
+
+beforeEach((t) => {
+  client = fakeDb((text) => {
+    if (text.includes('FROM bookings b JOIN rooms r')) return { rows: [booking], rowCount: 1 };
+    if (text.startsWith("UPDATE bookings SET status = 'confirmed'")) {
+      return { rows: [{ ...booking, status: 'confirmed' }], rowCount: 1 };
+    }
+    if (text.includes('INSERT INTO booking_tokens')) return { rows: [{ token_id: 1 }], rowCount: 1 };
+    return null;
+  });
+  t.mock.method(payments, 'recordWebhookEvent', async () => true);
+  t.mock.method(payments, 'findByOrderId', async () => payment);
+  t.mock.method(payments, 'markCaptured', async () => ({ ...payment, status: 'captured' }));
+  t.mock.method(payments, 'hasCapture', async () => false);
+  t.mock.method(payments, 'findRefundable', async () => []);
+});
+
+test('a delivery with a bad signature is refused before touching the database', async () => {
+  const req = delivery('payment.captured', { order_id: 'order_1', payment_id: 'pay_1', amount: 945000 }, { signature: 'bad' });
+  await assert.rejects(handleWebhook(req, response()), { status: 401, code: 'INVALID_WEBHOOK_SIGNATURE' });
+  assert.equal(payments.recordWebhookEvent.mock.callCount(), 0);
+  assert.equal(client.queries.length, 0);
+});
+
+test('a delivery signed over different bytes is refused', async () => {
+  const req = delivery('payment.captured', { order_id: 'order_1', payment_id: 'pay_1', amount: 945000 });
+  req.body = Buffer.from(req.body.toString('utf8').replace('945000', '1'));
+  await assert.rejects(handleWebhook(req, response()), { code: 'INVALID_WEBHOOK_SIGNATURE' });
+});
+
+test('a capture for the order amount confirms the booking', async () => {
+  const res = response();
+  await handleWebhook(delivery('payment.captured', { order_id: 'order_1', payment_id: 'pay_1', amount: 945000 }), res);
+  assert.equal(res.body.message, 'Event processed');
+  assert.deepEqual(payments.markCaptured.mock.calls[0].arguments.slice(1), [2, 'pay_1']);
+  assert.ok(client.ran("UPDATE bookings SET status = 'confirmed'"));
+  assert.ok(client.ran('INSERT INTO booking_tokens'));
+  assert.equal(audited('PAYMENT_CAPTURED').length, 1);
+});
+
+test('a redelivered event is acknowledged without being applied again', async (t) => {
+  t.mock.method(payments, 'recordWebhookEvent', async () => false);
+  const res = response();
+  await handleWebhook(delivery('payment.captured', { order_id: 'order_1', payment_id: 'pay_1', amount: 945000 }), res);
+  assert.equal(res.body.message, 'Event already processed');
+  assert.equal(payments.findByOrderId.mock.callCount(), 0);
+  assert.equal(payments.markCaptured.mock.callCount(), 0);
+  assert.ok(client.ran('COMMIT'));
+});
+
+test('a capture that does not match the order amount is refunded, not confirmed', async () => {
+  await handleWebhook(delivery('payment.captured', { order_id: 'order_1', payment_id: 'pay_1', amount: 100 }), response());
+  assert.deepEqual(payments.markCaptured.mock.calls[0].arguments.slice(1), [2, 'pay_1', 1]);
+  assert.deepEqual(payments.findRefundable.mock.calls[0].arguments.slice(1), [4, 2]);
+  assert.ok(!client.ran("UPDATE bookings SET status = 'confirmed'"));
+  const [mismatch] = audited('PAYMENT_AMOUNT_MISMATCH');
+  assert.deepEqual(JSON.parse(mismatch.params[9]), { provider: 'fake', eventId: 'evt_1', paymentId: 2, expected: 9450, captured: 1 });
+});
+
+test('a capture that does not state its amount is refunded too', async () => {
+  await handleWebhook(delivery('payment.captured', { order_id: 'order_1', payment_id: 'pay_1' }), response());
+  assert.deepEqual(payments.markCaptured.mock.calls[0].arguments.slice(1), [2, 'pay_1', null]);
+  assert.ok(!client.ran("UPDATE bookings SET status = 'confirmed'"));
+  assert.equal(audited('PAYMENT_AMOUNT_MISMATCH').length, 1);
+});
+
+test('events for unknown orders are acknowledged', async (t) => {
+  t.mock.method(payments, 'findByOrderId', async () => null);
+  const res = response();
+  await handleWebhook(delivery('payment.captured', { order_id: 'nope', payment_id: 'pay_1', amount: 1 }), res);
+  assert.equal(res.body.success, true);
+  assert.equal(payments.markCaptured.mock.callCount(), 0);
+});
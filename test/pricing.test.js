@@ -0,0 +1,179 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const offerRepository = require('../repositories/offerRepository');
+const ratePlans = require('../repositories/ratePlanRepository');
+const { priceNights, applyOffers, repriceBooking } = require('../utils/pricing');
+const { AppError, ConflictError } = require('../utils/errors');
+
+const offer = (fields) => ({ offer_id: 1, title: 'Offer', code: null, max_discount: null, ...fields });
+
+test('applyOffers: no offers leaves the subtotal', () => {
+  assert.deepEqual(applyOffers(10000, []), { discounts: [], total: 10000 });
+});
+
+test('applyOffers: percentages are taken before flat amounts', () => {
+  const flat = offer({ offer_id: 1, discount_type: 'flat', discount_value: 20 });
+  const percent = offer({ offer_id: 2, discount_type: 'percent', discount_value: 10 });
+  const { discounts, total } = applyOffers(10000, [flat, percent]);
+  assert.deepEqual(discounts.map(d => [d.offer_id, d.amount]), [[2, 1000], [1, 2000]]);
+  assert.equal(total, 7000);
+});
+
+test('applyOffers: each percentage applies to what is left to pay', () => {
+  const offers = [
+    offer({ offer_id: 1, discount_type: 'percent', discount_value: 50 }),
+    offer({ offer_id: 2, discount_type: 'percent', discount_value: 50 })
+  ];
+  assert.equal(applyOffers(10000, offers).total, 2500);
+});
+
+test('applyOffers: max_discount caps a percentage', () => {
+  const capped = offer({ discount_type: 'percent', discount_value: 50, max_discount: 10 });
+  const { discounts, total } = applyOffers(10000, [capped]);
+  assert.equal(discounts[0].amount, 1000);
+  assert.equal(total, 9000);
+});
+
+test('applyOffers: the total never goes below zero', () => {
+  const offers = [
+    offer({ offer_id: 1, discount_type: 'flat', discount_value: 80 }),
+    offer({ offer_id: 2, discount_type: 'flat', discount_value: 80 })
+  ];
+  const { discounts, total } = applyOffers(10000, offers);
+  assert.deepEqual(discounts.map(d => d.amount), [8000, 2000]);
+  assert.equal(total, 0);
+});
+
+test('applyOffers: percentages are rounded to the paisa', () => {
+  const { discounts, total } = applyOffers(999, [offer({ discount_type: 'percent', discount_value: 15 })]);
+  assert.equal(discounts[0].amount, 150);
+  assert.equal(total, 849);
+});
+
+test('applyOffers: each discount keeps the terms it was given on', () => {
+  const promo = offer({ offer_id: 9, title: 'Monsoon', code: 'RAIN', discount_type: 'percent', discount_value: 10, max_discount: 500 });
+  assert.deepEqual(applyOffers(10000, [promo]).discounts[0], {
+    offer_id: 9,
+    title: 'Monsoon',
+    code: 'RAIN',
+    discount_type: 'percent',
+    discount_value: 10,
+    max_discount: 500,
+    amount: 1000
+  });
+});
+
+// December costs 10% more and its last fortnight 20%, Fridays and Saturdays another
+// 10%, and guests past the second pay 500 a night each
+const plan = {
+  rate_plan_id: 1,
+  name: 'Standard',
+  weekend_days: [5, 6],
+  weekend_adjustment_percent: 10,
+  base_occupancy: 2,
+  extra_guest_charge: 500,
+  seasons: [
+    { name: 'Winter', start_date: '2099-12-01', end_date: '2099-12-31', adjustment_percent: 10 },
+    { name: 'Peak', start_date: '2099-12-19', end_date: '2099-12-31', adjustment_percent: 20 }
+  ]
+};
+const room = { room_id: 4, hotel_id: 2, capacity: 4, base_price: 2000, rate_plan_id: null };
+
+test('priceNights: without a rate plan every night costs the base price', () => {
+  const nights = priceNights(room, null, ['2099-12-18', '2099-12-19'], 4);
+  assert.deepEqual(nights.map(n => [n.rate, n.extra_guest_charge, n.amount, n.weekend]), [
+    [200000, 0, 200000, false],
+    [200000, 0, 200000, false]
+  ]);
+});
+
+test('priceNights: seasons, weekends and extra guests stack night by night', () => {
+  const nights = priceNights(room, plan, ['2099-12-17', '2099-12-18', '2099-12-19', '2099-12-20'], 3);
+  assert.deepEqual(nights.map(n => [n.date, n.season, n.weekend, n.rate, n.extra_guests, n.amount]), [
+    ['2099-12-17', 'Winter', false, 220000, 1, 270000],
+    ['2099-12-18', 'Winter', true, 242000, 1, 292000],
+    // Later seasons win where they overlap
+    ['2099-12-19', 'Peak', true, 264000, 1, 314000],
+    ['2099-12-20', 'Peak', false, 240000, 1, 290000]
+  ]);
+  assert.ok(nights.every(n => n.base_rate === 200000));
+});
+
+test('priceNights: no extra charge up to the base occupancy', () => {
+  const [night] = priceNights(room, plan, ['2099-11-02'], 2);
+  assert.deepEqual([night.season, night.extra_guests, night.extra_guest_charge, night.amount], [null, 0, 0, 200000]);
+});
+
+const booked = {
+  guests: 2,
+  price_breakdown: {
+    discounts: [{ offer_id: 3, title: 'Long stay', code: null, discount_type: 'percent', discount_value: '10', max_discount: null, amount: 400 }]
+  }
+};
+const liveOffer = {
+  offer_id: 3,
+  hotel_id: 2,
+  code: null,
+  room_ids: [],
+  min_nights: 2,
+  stackable: false,
+  is_live: true,
+  max_uses: 1,
+  uses: 1,
+  max_uses_per_user: null,
+  discount_type: 'percent',
+  discount_value: 15
+};
+
+const withRates = (t, offers) => {
+  t.mock.method(offerRepository, 'findByIds', async () => offers);
+  t.mock.method(ratePlans, 'findWithSeasons', async () => null);
+  t.mock.method(ratePlans, 'listTaxSlabs', async () => []);
+};
+
+test('repriceBooking: new dates keep the terms of the offers booked with', async (t) => {
+  withRates(t, [liveOffer]);
+  const quote = await repriceBooking({}, room, booked, { checkIn: new Date('2099-11-01T12:00:00Z'), checkOut: new Date('2099-11-04T10:00:00Z') });
+  assert.equal(quote.nights, 3);
+  assert.equal(quote.guests, 2);
+  assert.equal(quote.subtotal, 6000);
+  // The booked 10%, not the offer's current 15%; its use cap isn't counted again
+  assert.equal(quote.discount_total, 600);
+  assert.equal(quote.total, 5400);
+  assert.deepEqual(offerRepository.findByIds.mock.calls[0].arguments[1], [3]);
+});
+
+test('repriceBooking: an offer that no longer suits the stay is refused', async (t) => {
+  withRates(t, [liveOffer]);
+  const dates = { checkIn: new Date('2099-11-01T12:00:00Z'), checkOut: new Date('2099-11-02T10:00:00Z') };
+  await assert.rejects(repriceBooking({}, room, booked, dates), (error) => {
+    assert.ok(error instanceof AppError);
+    assert.equal(error.code, 'OFFER_NOT_APPLICABLE');
+    assert.match(error.details.offers[0].reason, /at least 2 nights/);
+    return true;
+  });
+});
+
+test('repriceBooking: an offer that has ended is refused', async (t) => {
+  withRates(t, [{ ...liveOffer, is_live: false }]);
+  const dates = { checkIn: new Date('2099-11-01T12:00:00Z'), checkOut: new Date('2099-11-04T10:00:00Z') };
+  await assert.rejects(repriceBooking({}, room, booked, dates), { code: 'OFFER_NOT_APPLICABLE' });
+});
+
+test('repriceBooking: a booking without offers is priced afresh', async (t) => {
+  withRates(t, []);
+  const quote = await repriceBooking({}, room, { guests: 1, price_breakdown: null }, {
+    checkIn: new Date('2099-11-01T12:00:00Z'),
+    checkOut: new Date('2099-11-03T10:00:00Z')
+  });
+  assert.equal(quote.total, 4000);
+  assert.equal(offerRepository.findByIds.mock.callCount(), 0);
+});
+
+test('repriceBooking: a room without a price is refused', async () => {
+  await assert.rejects(
+    repriceBooking({}, { ...room, base_price: null }, booked, { checkIn: new Date(), checkOut: new Date() }),
+    ConflictError
+  );
+});
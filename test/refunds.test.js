@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+
+const payments = require('../repositories/paymentRepository');
+const { getPaymentProvider, setPaymentProvider } = require('../services/payments');
+const { createFakeProvider } = require('../services/payments/fakeProvider');
+const { sendRefunds } = require('../utils/refunds');
+const { fakeDb } = require('./helpers/fakeDb');
+
+const refund = { refund_id: 11, booking_id: 4, payment_id: 2, amount: 1500.5, status: 'pending', provider_payment_id: 'pay_1' };
+
+// Swap in a provider whose refund() is `refundFn`, with the repository writes mocked
+const setup = (t, refundFn, { markable = true } = {}) => {
+  const real = getPaymentProvider();
+  setPaymentProvider({ ...real, refund: refundFn });
+  t.after(() => setPaymentProvider(real));
+  t.mock.method(payments, 'markRefundRequested', async () => markable);
+  t.mock.method(payments, 'clearRefundRequested', async () => {});
+  t.mock.method(payments, 'setRefundProviderId', async () => {});
+};
+
+test('the fake provider returns the same refund for the same receipt', async () => {
+  const provider = createFakeProvider();
+  const first = await provider.refund({ paymentId: 'pay_1', amount: 100, receipt: '7' });
+  assert.deepEqual(await provider.refund({ paymentId: 'pay_1', amount: 100, receipt: '7' }), first);
+  assert.notEqual((await provider.refund({ paymentId: 'pay_1', amount: 100, receipt: '8' })).refundId, first.refundId);
+});
+
+test('a refund is marked, sent, and its provider id saved', async (t) => {
+  setup(t, async () => ({ refundId: 'rfnd_1', status: 'pending' }));
+  const [sent] = await sendRefunds(fakeDb(), [refund]);
+  assert.equal(payments.markRefundRequested.mock.callCount(), 1);
+  assert.deepEqual(payments.setRefundProviderId.mock.calls[0].arguments.slice(1), [11, 'rfnd_1', 'pending']);
+  assert.equal(sent.provider_refund_id, 'rfnd_1');
+  assert.equal(sent.provider_payment_id, undefined);
+});
+
+test('the provider is asked for the amount in paise under the refund id', async (t) => {
+  let asked;
+  setup(t, async (request) => {
+    asked = request;
+    return { refundId: 'rfnd_2', status: 'processed' };
+  });
+  await sendRefunds(fakeDb(), [refund]);
+  assert.deepEqual(asked, { paymentId: 'pay_1', amount: 150050, receipt: '11' });
+});
+
+test('a refund the provider refuses is unmarked so it can be retried', async (t) => {
+  setup(t, async () => { throw new Error('gateway down'); });
+  t.mock.method(console, 'error', () => {});
+  const [unsent] = await sendRefunds(fakeDb(), [refund]);
+  assert.equal(payments.clearRefundRequested.mock.callCount(), 1);
+  assert.equal(payments.setRefundProviderId.mock.callCount(), 0);
+  assert.equal(unsent.provider_refund_id, undefined);
+});
+
+test('a refund the provider took but that could not be saved stays marked', async (t) => {
+  setup(t, async () => ({ refundId: 'rfnd_3', status: 'pending' }));
+  t.mock.method(payments, 'setRefundProviderId', async () => { throw new Error('db down'); });
+  t.mock.method(console, 'error', () => {});
+  const [sent] = await sendRefunds(fakeDb(), [refund]);
+  assert.equal(payments.clearRefundRequested.mock.callCount(), 0);
+  assert.equal(sent.provider_refund_id, 'rfnd_3');
+});
+
+test('a refund that is no longer waiting to be sent is not sent again', async (t) => {
+  let calls = 0;
+  setup(t, async () => {
+    calls += 1;
+    return { refundId: 'rfnd_4', status: 'pending' };
+  }, { markable: false });
+  await sendRefunds(fakeDb(), [refund]);
+  assert.equal(calls, 0);
+});
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+// Aadhaar numbers are 12 digits, never start with 0 or 1, and end in a Verhoeff check digit.
+// Raw numbers are never stored: only a masked form for display and an HMAC for uniqueness.
+
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 8, 7, 6, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+// True if the digit string (check digit last) passes the Verhoeff checksum
+const verhoeffValid = (digits) => {
+  let c = 0;
+  const reversed = digits.split('').reverse();
+  for (let i = 0; i < reversed.length; i++) {
+    c = VERHOEFF_D[c][VERHOEFF_P[i % 8][Number(reversed[i])]];
+  }
+  return c === 0;
+};
+
+// Strip spaces/dashes; null unless it is a well-formed Aadhaar number
+const normalizeAadhaar = (value) => {
+  if (value === undefined || value === null) return null;
+  const digits = String(value).replace(/[\s-]/g, '');
+  if (!/^[2-9]\d{11}$/.test(digits)) return null;
+  return verhoeffValid(digits) ? digits : null;
+};
+
+const maskAadhaar = (digits) => `XXXX-XXXX-${digits.slice(-4)}`;
+
+const hashAadhaar = (digits) => crypto
+  .createHmac('sha256', process.env.KYC_SECRET || process.env.JWT_SECRET)
+  .update(digits)
+  .digest('hex');
+
+module.exports = { verhoeffValid, normalizeAadhaar, maskAadhaar, hashAadhaar };
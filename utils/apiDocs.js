@@ -0,0 +1,85 @@
+const { verifyToken } = require('../middleware/authMiddleware');
+const { toJsonSchema } = require('./validation');
+
+// Build an OpenAPI document from the request schemas attached to routes by validate().
+// `mounts` is a list of [basePath, router] pairs, as mounted in server.js.
+
+const toOpenApiPath = (base, path) => `${base}${path === '/' ? '' : path}`.replace(/:(\w+)/g, '{$1}');
+
+const objectSchema = (fields) => {
+  const required = Object.entries(fields).filter(([, rule]) => rule.required).map(([name]) => name);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(fields).map(([name, rule]) => [name, toJsonSchema(rule)])),
+    ...(required.length && { required })
+  };
+};
+
+const toOperation = (schema, secured) => {
+  const operation = { summary: schema.summary };
+  const parameters = [];
+  for (const location of ['params', 'query']) {
+    for (const [name, rule] of Object.entries(schema[location] || {})) {
+      parameters.push({
+        name,
+        in: location === 'params' ? 'path' : 'query',
+        required: location === 'params' || Boolean(rule.required),
+        schema: toJsonSchema(rule)
+      });
+    }
+  }
+  if (parameters.length) operation.parameters = parameters;
+  if (schema.body) {
+    operation.requestBody = { required: true, content: { 'application/json': { schema: objectSchema(schema.body) } } };
+  }
+  operation.responses = { 400: { $ref: '#/components/responses/ValidationError' } };
+  if (secured) operation.security = [{ bearerAuth: [] }];
+  return operation;
+};
+
+const buildOpenApi = (mounts) => {
+  const paths = {};
+  for (const [base, router] of mounts) {
+    let routerSecured = false;
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        if (layer.handle === verifyToken) routerSecured = true;
+        continue;
+      }
+      const handlers = layer.route.stack.map(s => s.handle);
+      const schema = handlers.find(h => h.schema)?.schema;
+      if (!schema) continue;
+      const secured = routerSecured || handlers.includes(verifyToken);
+      const path = toOpenApiPath(base, layer.route.path);
+      for (const method of Object.keys(layer.route.methods)) {
+        paths[path] = { ...paths[path], [method]: toOperation(schema, secured) };
+      }
+    }
+  }
+  return {
+    openapi: '3.0.3',
+    info: { title: 'StayLink API', version: require('../package.json').version },
+    paths,
+    components: {
+      securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } },
+      responses: {
+        ValidationError: {
+          description: 'Request failed validation',
+          content: {
+            'application/json': {
+              example: {
+                success: false,
+                code: 'VALIDATION_FAILED',
+                message: 'Validation failed',
+                requestId: '3f1c9a52-1d2e-4b8a-9a31-6c0d2e5f7b10',
+                errors: [{ location: 'body', field: 'email', message: 'must be a valid email address' }]
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+};
+
+module.exports = { buildOpenApi };
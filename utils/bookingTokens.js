@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+// Booking tokens are `<base64url payload>.<base64url HMAC-SHA256>` signed with BOOKING_TOKEN_SECRET.
+// The payload binds the token to one booking, room, guest and stay window.
+
+const getSecret = () => {
+  const secret = process.env.BOOKING_TOKEN_SECRET;
+  if (!secret) throw new Error('BOOKING_TOKEN_SECRET is not configured');
+  return secret;
+};
+
+// Canonical payload for a booking row; key order is fixed so signatures are reproducible
+const buildPayload = (booking) => ({
+  bookingId: String(booking.booking_id),
+  roomId: String(booking.room_id),
+  userId: String(booking.user_id),
+  validFrom: new Date(booking.check_in_time).toISOString(),
+  validUntil: new Date(booking.check_out_time).toISOString()
+});
+
+const encodePayload = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const sign = (encoded) => crypto.createHmac('sha256', getSecret()).update(encoded).digest('base64url');
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+const checkWindow = (payload, now) => {
+  if (now < new Date(payload.validFrom)) return 'Booking token is not valid yet';
+  if (now >= new Date(payload.validUntil)) return 'Booking token has expired';
+  return null;
+};
+
+// Sign a booking row, returning the token string and its signature
+const signBookingToken = (booking) => {
+  const encoded = encodePayload(buildPayload(booking));
+  const signature = sign(encoded);
+  return { token: `${encoded}.${signature}`, signature };
+};
+
+// Verify a token string presented by a client. Returns { payload } or { error }.
+const verifyBookingToken = (token, now = new Date()) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 2) return { error: 'Malformed booking token' };
+  const [encoded, signature] = parts;
+  if (!safeEqual(sign(encoded), signature)) return { error: 'Invalid booking token signature' };
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch (e) {
+    return { error: 'Malformed booking token' };
+  }
+  const windowError = checkWindow(payload, now);
+  if (windowError) return { error: windowError };
+  return { payload, signature };
+};
+
+// Check a stored signature against the booking row it is attached to.
+// A token row copied onto another booking, or a booking whose dates were edited, fails here.
+const verifyBookingSignature = (booking, signature, now = new Date()) => {
+  const payload = buildPayload(booking);
+  if (!signature || !safeEqual(sign(encodePayload(payload)), signature)) {
+    return { error: 'Invalid booking token signature' };
+  }
+  const windowError = checkWindow(payload, now);
+  if (windowError) return { error: windowError };
+  return { payload };
+};
+
+// Invalidate any existing tokens for a booking and store a freshly signed one
+const issueBookingToken = async (client, booking) => {
+  const { token, signature } = signBookingToken(booking);
+  await client.query('UPDATE booking_tokens SET is_valid = false WHERE booking_id = $1', [booking.booking_id]);
+  const result = await client.query(
+    'INSERT INTO booking_tokens (booking_id, digital_signature, is_valid) VALUES ($1, $2, true) RETURNING token_id',
+    [booking.booking_id, signature]
+  );
+  return { token_id: result.rows[0].token_id, token };
+};
+
+module.exports = { signBookingToken, verifyBookingToken, verifyBookingSignature, issueBookingToken };
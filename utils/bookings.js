@@ -0,0 +1,115 @@
+const { publish } = require('../services/events');
+
+// Statuses that still hold a room for their check-in/check-out window
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed', 'checked_in'];
+
+// SQL condition for a room (aliased r) that can be booked: active, in an active hotel
+const BOOKABLE_ROOM = 'r.is_active = true AND EXISTS (SELECT 1 FROM hotels h WHERE h.hotel_id = r.hotel_id AND h.is_active = true)';
+
+// Allowed booking status transitions: pending -> confirmed -> checked_in -> checked_out,
+// with cancellation possible until the guest has checked in
+const BOOKING_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['checked_in', 'cancelled'],
+  checked_in: ['checked_out'],
+  checked_out: [],
+  cancelled: []
+};
+
+// When 'true', a booking can only be confirmed once its guest has a verified KYC record
+const REQUIRE_KYC_FOR_CONFIRMATION = process.env.REQUIRE_KYC_FOR_CONFIRMATION === 'true';
+
+// Minutes a new pending booking holds its room before the scheduler releases it
+const BOOKING_HOLD_MINUTES = Number(process.env.BOOKING_HOLD_MINUTES) || 30;
+
+// Statuses whose dates may still be changed by the guest
+const MODIFIABLE_BOOKING_STATUSES = ['pending', 'confirmed'];
+
+const canTransition = (from, to) => (BOOKING_TRANSITIONS[from] || []).includes(to);
+
+// Parse and sanity-check a requested stay window
+const parseStayWindow = (checkInValue, checkOutValue) => {
+  const checkIn = new Date(checkInValue);
+  const checkOut = new Date(checkOutValue);
+  if (Number.isNaN(checkIn.getTime()) || Number.isNaN(checkOut.getTime())) {
+    return { error: 'Invalid check-in or check-out time' };
+  }
+  if (checkOut <= checkIn) {
+    return { error: 'Check-out must be after check-in' };
+  }
+  const startOfToday = new Date();
+  startOfToday.setUTCHours(0, 0, 0, 0);
+  if (checkIn < startOfToday) {
+    return { error: 'Check-in cannot be in the past' };
+  }
+  return { checkIn, checkOut };
+};
+
+// Find an active booking on the same room that overlaps the given window.
+// Callers should hold a lock on the room row so the check and insert are atomic.
+const findConflictingBooking = async (client, roomId, checkIn, checkOut, excludeBookingId = null) => {
+  const result = await client.query(
+    `SELECT booking_id FROM bookings
+     WHERE room_id = $1
+     AND status = ANY($2)
+     AND check_in_time < $4 AND check_out_time > $3
+     AND ($5::int IS NULL OR booking_id <> $5)
+     LIMIT 1`,
+    [roomId, ACTIVE_BOOKING_STATUSES, checkIn, checkOut, excludeBookingId]
+  );
+  return result.rows[0] || null;
+};
+
+// Booking columns holding its price, in the order of priceValues()
+const PRICE_COLUMNS = 'guests, currency, subtotal, discount_total, tax_total, total_price, price_breakdown';
+
+const priceValues = (pricing) => [
+  pricing.guests,
+  pricing.currency,
+  pricing.subtotal,
+  pricing.discount_total,
+  pricing.tax_total,
+  pricing.total,
+  JSON.stringify(pricing)
+];
+
+// Insert a pending booking that holds the room for holdMinutes.
+// Callers hold the room lock and have already checked for conflicts.
+const insertPendingBooking = async (client, { userId, roomId, checkIn, checkOut, pricing, holdMinutes = BOOKING_HOLD_MINUTES }) => {
+  const result = await client.query(
+    `INSERT INTO bookings (user_id, room_id, check_in_time, check_out_time, status, hold_expires_at, ${PRICE_COLUMNS})
+     VALUES ($1, $2, $3, $4, 'pending', NOW() + $5 * INTERVAL '1 minute', $6, $7, $8, $9, $10, $11, $12)
+     RETURNING *`,
+    [userId, roomId, checkIn, checkOut, holdMinutes, ...priceValues(pricing)]
+  );
+  return result.rows[0];
+};
+
+// Tell subscribers (notifications, ...) about a change to a booking. Call after COMMIT.
+const publishBookingEvent = (type, booking, extra = {}) => publish(type, {
+  userId: booking.user_id,
+  bookingId: booking.booking_id,
+  roomId: booking.room_id,
+  status: booking.status,
+  checkIn: booking.check_in_time,
+  checkOut: booking.check_out_time,
+  holdExpiresAt: booking.hold_expires_at,
+  reason: booking.cancellation_reason,
+  ...extra
+});
+
+module.exports = {
+  ACTIVE_BOOKING_STATUSES,
+  BOOKABLE_ROOM,
+  BOOKING_TRANSITIONS,
+  MODIFIABLE_BOOKING_STATUSES,
+  REQUIRE_KYC_FOR_CONFIRMATION,
+  BOOKING_HOLD_MINUTES,
+  PRICE_COLUMNS,
+  priceValues,
+  canTransition,
+  parseStayWindow,
+  findConflictingBooking,
+  insertPendingBooking,
+  publishBookingEvent
+};
@@ -0,0 +1,31 @@
+// How much of what a guest paid comes back when a booking is cancelled, by how
+// long before check-in the cancellation happens. CANCELLATION_POLICY lists the
+// tiers as "hours:percent" pairs, e.g. "72:100,24:50" = a full refund up to 72
+// hours ahead, half up to 24 hours ahead, nothing after that. Cancellations made
+// by the hotel are always refunded in full.
+
+const DEFAULT_POLICY = '72:100,24:50';
+
+const parseTiers = (value) => value.split(',').map((pair) => {
+  const [hours, percent] = pair.split(':').map(Number);
+  if (!Number.isFinite(hours) || !Number.isFinite(percent) || percent < 0 || percent > 100) {
+    throw new Error(`Invalid CANCELLATION_POLICY tier: ${pair}`);
+  }
+  return { hoursBefore: hours, refundPercent: percent };
+}).sort((a, b) => b.hoursBefore - a.hoursBefore);
+
+const TIERS = parseTiers(process.env.CANCELLATION_POLICY || DEFAULT_POLICY);
+
+// Returns { refund_percent, hours_before_check_in, rule } for storing with the refund
+const refundPolicy = (checkInTime, { byHotel = false, now = new Date() } = {}) => {
+  const hoursBefore = Math.floor((new Date(checkInTime) - now) / 3600000);
+  if (byHotel) return { refund_percent: 100, hours_before_check_in: hoursBefore, rule: 'cancelled_by_hotel' };
+  const tier = TIERS.find(t => hoursBefore >= t.hoursBefore);
+  return {
+    refund_percent: tier ? tier.refundPercent : 0,
+    hours_before_check_in: hoursBefore,
+    rule: tier ? `${tier.hoursBefore}h_before_check_in` : 'late_cancellation'
+  };
+};
+
+module.exports = { refundPolicy };
@@ -0,0 +1,19 @@
+// Quote one CSV cell (RFC 4180). Objects are written as JSON, dates as ISO strings.
+// Cells that a spreadsheet would run as a formula get a leading apostrophe.
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows (plain objects) to a CSV document with a header line
+const toCsv = (columns, rows) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(column => toCsvCell(row[column])).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = { toCsv };
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+// Single-use links sent by email. A token is "<token_id>.<secret>"; only an HMAC
+// of purpose + secret is stored, and the token is tied to the address it was sent to.
+
+const EMAIL_TOKEN_TTL_SECONDS = {
+  verify_email: Number(process.env.EMAIL_VERIFY_TTL_SECONDS) || 24 * 3600,
+  reset_password: Number(process.env.PASSWORD_RESET_TTL_SECONDS) || 3600
+};
+
+const hashSecret = (purpose, secret) => crypto
+  .createHmac('sha256', process.env.EMAIL_TOKEN_SECRET || process.env.JWT_SECRET)
+  .update(`${purpose}:${secret}`)
+  .digest('hex');
+
+// Create a token for a user and purpose; older unused tokens of that purpose stop working
+const issueEmailToken = async (client, userId, purpose, email) => {
+  const tokenId = crypto.randomUUID();
+  const secret = crypto.randomBytes(32).toString('base64url');
+  await client.query(
+    `UPDATE email_tokens SET consumed_at = NOW()
+     WHERE user_id = $1 AND purpose = $2 AND consumed_at IS NULL`,
+    [userId, purpose]
+  );
+  await client.query(
+    `INSERT INTO email_tokens (token_id, user_id, purpose, email, token_hash, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(secs => $6))`,
+    [tokenId, userId, purpose, email, hashSecret(purpose, secret), EMAIL_TOKEN_TTL_SECONDS[purpose]]
+  );
+  return { token: `${tokenId}.${secret}`, expiresIn: EMAIL_TOKEN_TTL_SECONDS[purpose] };
+};
+
+// Check and use up a token. Returns { userId, email } or { error }.
+const consumeEmailToken = async (client, token, purpose) => {
+  const [tokenId, secret] = String(token || '').split('.');
+  if (!tokenId || !secret || !/^[0-9a-f-]{36}$/i.test(tokenId)) return { error: 'Invalid or expired token' };
+
+  const result = await client.query(
+    `SELECT user_id, email, token_hash, expires_at, consumed_at
+     FROM email_tokens
+     WHERE token_id = $1 AND purpose = $2
+     FOR UPDATE`,
+    [tokenId, purpose]
+  );
+  const row = result.rows[0];
+  const expected = hashSecret(purpose, secret);
+  if (!row || row.consumed_at || new Date(row.expires_at) <= new Date()
+      || !crypto.timingSafeEqual(Buffer.from(row.token_hash), Buffer.from(expected))) {
+    return { error: 'Invalid or expired token' };
+  }
+  await client.query('UPDATE email_tokens SET consumed_at = NOW() WHERE token_id = $1', [tokenId]);
+  return { userId: row.user_id, email: row.email };
+};
+
+module.exports = { issueEmailToken, consumeEmailToken };
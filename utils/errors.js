@@ -0,0 +1,92 @@
+// Application errors. Handlers throw these (or call next(error)) and the final
+// error middleware in server.js turns them into the standard error response:
+//   { success: false, code, message, requestId, ...details }
+
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message = 'Validation failed', { code = 'VALIDATION_FAILED', details } = {}) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Unauthorized', { code = 'UNAUTHORIZED', details } = {}) {
+    super(message, { status: 401, code, details });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Forbidden', { code = 'FORBIDDEN', details } = {}) {
+    super(message, { status: 403, code, details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', { code = 'NOT_FOUND', details } = {}) {
+    super(message, { status: 404, code, details });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'Conflict', { code = 'CONFLICT', details } = {}) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+// Carries the number of seconds the client should wait (sent as Retry-After)
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests. Try again later', { code = 'RATE_LIMITED', retryAfter, details } = {}) {
+    super(message, { status: 429, code, details: { retryAfter, ...details } });
+    this.retryAfter = retryAfter;
+  }
+}
+
+// PostgreSQL errors that are caused by the request rather than by a bug
+const PG_ERRORS = {
+  23505: { status: 409, code: 'CONFLICT', message: 'Resource already exists' },
+  23503: { status: 409, code: 'CONFLICT', message: 'Related resource is missing or still in use' },
+  23502: { status: 400, code: 'VALIDATION_FAILED', message: 'A required value is missing' },
+  23514: { status: 400, code: 'VALIDATION_FAILED', message: 'A value is out of range' },
+  '22P02': { status: 400, code: 'VALIDATION_FAILED', message: 'Invalid input value' },
+  22001: { status: 400, code: 'VALIDATION_FAILED', message: 'A value is too long' },
+  22007: { status: 400, code: 'VALIDATION_FAILED', message: 'Invalid date or time' },
+  22008: { status: 400, code: 'VALIDATION_FAILED', message: 'Invalid date or time' },
+  40001: { status: 409, code: 'RETRY', message: 'Request conflicted with another one, please retry' },
+  '40P01': { status: 409, code: 'RETRY', message: 'Request conflicted with another one, please retry' }
+};
+
+// Map any thrown value to { status, code, message, details } without leaking internals
+const toErrorResponse = (error) => {
+  if (error instanceof AppError) {
+    return { status: error.status, code: error.code, message: error.message, details: error.details };
+  }
+  if (error && PG_ERRORS[error.code]) return PG_ERRORS[error.code];
+  // Malformed JSON bodies and oversized payloads from express.json()
+  if (error && error.type === 'entity.parse.failed') {
+    return { status: 400, code: 'INVALID_JSON', message: 'Request body is not valid JSON' };
+  }
+  if (error && error.type === 'entity.too.large') {
+    return { status: 413, code: 'PAYLOAD_TOO_LARGE', message: 'Request body is too large' };
+  }
+  return { status: 500, code: 'INTERNAL_ERROR', message: 'Internal server error' };
+};
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  toErrorResponse
+};
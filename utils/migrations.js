@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+
+// Migrations live in /migrations as `<version>_<name>.up.sql` / `<version>_<name>.down.sql`.
+// Applied versions are tracked in schema_migrations; each migration runs in its own transaction.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_RE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Arbitrary key for pg_advisory_lock so two runners never migrate at the same time
+const MIGRATION_LOCK_KEY = 727001;
+
+// Read the migration files, sorted by version
+const loadMigrations = () => {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = FILE_RE.exec(file);
+    if (!match) continue;
+    const version = Number(match[1]);
+    const entry = byVersion.get(version) || { version, name: match[2], label: `${match[1]}_${match[2]}` };
+    if (entry.name !== match[2]) {
+      throw new Error(`Migration ${version} has mismatched file names (${entry.name} / ${match[2]})`);
+    }
+    entry[match[3]] = path.join(MIGRATIONS_DIR, file);
+    byVersion.set(version, entry);
+  }
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const m of migrations) {
+    if (!m.up) throw new Error(`Migration ${m.label} has no .up.sql file`);
+  }
+  return migrations;
+};
+
+const ensureMigrationsTable = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+};
+
+const getAppliedVersions = async (db) => {
+  const exists = await db.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS ok`);
+  if (!exists.rows[0].ok) return new Set();
+  const result = await db.query('SELECT version FROM schema_migrations');
+  return new Set(result.rows.map(r => Number(r.version)));
+};
+
+// Migrations present on disk but not yet applied (read-only, safe to call at startup)
+const getPendingMigrations = async (db) => {
+  const applied = await getAppliedVersions(db);
+  return loadMigrations().filter(m => !applied.has(m.version));
+};
+
+// Run `work` while holding the migration lock on a dedicated client
+const withMigrationLock = async (pool, work) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await work(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+const runInTransaction = async (client, sql, after) => {
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    await after();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  }
+};
+
+// Apply all pending migrations (or up to and including `to`). Returns the ones applied.
+const migrateUp = (pool, { to = Infinity, log = () => {} } = {}) => withMigrationLock(pool, async (client) => {
+  const pending = (await getPendingMigrations(client)).filter(m => m.version <= to);
+  for (const m of pending) {
+    log(`⬆️  ${m.label}`);
+    await runInTransaction(client, fs.readFileSync(m.up, 'utf8'), () => client.query(
+      'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+      [m.version, m.name]
+    ));
+  }
+  return pending;
+});
+
+// Roll back the last `steps` applied migrations. Returns the ones rolled back.
+const migrateDown = (pool, { steps = 1, log = () => {} } = {}) => withMigrationLock(pool, async (client) => {
+  const applied = await getAppliedVersions(client);
+  const targets = loadMigrations()
+    .filter(m => applied.has(m.version))
+    .reverse()
+    .slice(0, steps);
+  for (const m of targets) {
+    if (!m.down) throw new Error(`Migration ${m.label} has no .down.sql file`);
+    log(`⬇️  ${m.label}`);
+    await runInTransaction(client, fs.readFileSync(m.down, 'utf8'), () => client.query(
+      'DELETE FROM schema_migrations WHERE version = $1',
+      [m.version]
+    ));
+  }
+  return targets;
+});
+
+module.exports = { loadMigrations, getPendingMigrations, migrateUp, migrateDown };
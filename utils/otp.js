@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+// One-time codes for phone verification. Only an HMAC of phone + code is stored,
+// each code allows a few guesses, and new codes are rate limited per phone.
+
+const OTP_TTL_SECONDS = Number(process.env.OTP_TTL_SECONDS) || 300;
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS = Number(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+const OTP_MAX_PER_HOUR = Number(process.env.OTP_MAX_PER_HOUR) || 5;
+
+const hashCode = (phone, code) => crypto
+  .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+  .update(`${phone}:${code}`)
+  .digest('hex');
+
+const generateCode = () => String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+// Take one send from the phone's limits in a single statement, so concurrent
+// requests can't both get past the cooldown. Returns null when allowed, or
+// { error, retryAfter }.
+const takeSendSlot = async (client, phone) => {
+  const taken = await client.query(
+    `INSERT INTO phone_otp_limits AS l (phone, last_sent_at, window_started_at, sent_in_window)
+     VALUES ($1, NOW(), NOW(), 1)
+     ON CONFLICT (phone) DO UPDATE SET
+       last_sent_at = NOW(),
+       window_started_at = CASE WHEN l.window_started_at <= NOW() - INTERVAL '1 hour' THEN NOW() ELSE l.window_started_at END,
+       sent_in_window = CASE WHEN l.window_started_at <= NOW() - INTERVAL '1 hour' THEN 1 ELSE l.sent_in_window + 1 END
+     WHERE l.last_sent_at <= NOW() - make_interval(secs => $2)
+     AND (l.window_started_at <= NOW() - INTERVAL '1 hour' OR l.sent_in_window < $3)
+     RETURNING phone`,
+    [phone, OTP_RESEND_COOLDOWN_SECONDS, OTP_MAX_PER_HOUR]
+  );
+  if (taken.rowCount > 0) return null;
+
+  const limits = await client.query(
+    `SELECT CEIL(EXTRACT(EPOCH FROM (last_sent_at + make_interval(secs => $2) - NOW())))::int AS cooldown_left,
+            CEIL(EXTRACT(EPOCH FROM (window_started_at + INTERVAL '1 hour' - NOW())))::int AS window_left
+     FROM phone_otp_limits WHERE phone = $1`,
+    [phone, OTP_RESEND_COOLDOWN_SECONDS]
+  );
+  const { cooldown_left, window_left } = limits.rows[0];
+  if (cooldown_left > 0) {
+    return { error: 'Please wait before requesting another code', retryAfter: cooldown_left };
+  }
+  return { error: 'Too many codes requested. Try again later', retryAfter: Math.max(1, window_left) };
+};
+
+// Create a new code for a phone. Returns { code, expiresIn } or { error, retryAfter }.
+const issueOtp = async (client, phone) => {
+  const limited = await takeSendSlot(client, phone);
+  if (limited) return limited;
+
+  const code = generateCode();
+  // Any older code for this phone stops working once a new one is issued
+  await client.query('UPDATE phone_otps SET consumed_at = NOW() WHERE phone = $1 AND consumed_at IS NULL', [phone]);
+  await client.query(
+    `INSERT INTO phone_otps (phone, code_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(secs => $3))`,
+    [phone, hashCode(phone, code), OTP_TTL_SECONDS]
+  );
+  return { code, expiresIn: OTP_TTL_SECONDS };
+};
+
+// Check a code against the latest live one for the phone, consuming it on success.
+// Returns { ok: true } or { error, status }.
+const verifyOtp = async (client, phone, code) => {
+  await client.query('BEGIN');
+  try {
+    const result = await client.query(
+      `SELECT otp_id, code_hash, attempts FROM phone_otps
+       WHERE phone = $1 AND consumed_at IS NULL AND expires_at > NOW()
+       ORDER BY created_at DESC
+       LIMIT 1
+       FOR UPDATE`,
+      [phone]
+    );
+    const otp = result.rows[0];
+    let outcome;
+    if (!otp) {
+      outcome = { error: 'Code expired or not requested', status: 400 };
+    } else if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+      outcome = { error: 'Too many attempts. Request a new code', status: 429 };
+    } else {
+      const expected = Buffer.from(otp.code_hash);
+      const actual = Buffer.from(hashCode(phone, String(code)));
+      if (expected.length === actual.length && crypto.timingSafeEqual(expected, actual)) {
+        await client.query('UPDATE phone_otps SET consumed_at = NOW() WHERE otp_id = $1', [otp.otp_id]);
+        outcome = { ok: true };
+      } else {
+        await client.query('UPDATE phone_otps SET attempts = attempts + 1 WHERE otp_id = $1', [otp.otp_id]);
+        outcome = { error: 'Invalid code', status: 401 };
+      }
+    }
+    await client.query('COMMIT');
+    return outcome;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  }
+};
+
+module.exports = { issueOtp, verifyOtp };
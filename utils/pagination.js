@@ -0,0 +1,8 @@
+// Read page/limit from a query string, clamped to sane bounds
+const parsePagination = (query = {}, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const page = Math.max(Number.parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(Number.parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+module.exports = { parsePagination };
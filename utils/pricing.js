@@ -0,0 +1,265 @@
+const offerRepository = require('../repositories/offerRepository');
+const ratePlans = require('../repositories/ratePlanRepository');
+const { AppError, ConflictError, ValidationError } = require('./errors');
+
+// Prices of stays: a room's base_price adjusted night by night by its rate plan
+// (seasons, weekends, extra guests), less any offers / promo codes, plus tax on
+// each night's tariff. Amounts are worked out in paise (integers) and returned
+// in rupees with two decimals.
+
+const CURRENCY = 'INR';
+
+// Room columns quoteStay() needs
+const PRICING_ROOM_COLUMNS = 'room_id, hotel_id, capacity, base_price, rate_plan_id';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toPaise = (rupees) => Math.round(Number(rupees) * 100);
+const toRupees = (paise) => Math.round(paise) / 100;
+
+const startOfDay = (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+// Nights between check-in and check-out, counted in calendar days (at least one)
+const countNights = (checkIn, checkOut) => Math.max(1, Math.round((startOfDay(checkOut) - startOfDay(checkIn)) / DAY_MS));
+
+// The dates (UTC, YYYY-MM-DD) of each night of a stay
+const stayDates = (checkIn, checkOut) => Array.from(
+  { length: countNights(checkIn, checkOut) },
+  (_, i) => new Date(startOfDay(checkIn) + i * DAY_MS).toISOString().slice(0, 10)
+);
+
+const adjust = (paise, percent) => Math.round(paise * (100 + percent) / 100);
+
+// Price of each night before discounts and tax. Without a rate plan every night
+// costs the room's base_price.
+const priceNights = (room, plan, dates, guests) => dates.map((date) => {
+  const baseRate = toPaise(room.base_price);
+  // Later seasons win where they overlap
+  const season = plan?.seasons.filter(s => s.start_date <= date && date <= s.end_date).pop() || null;
+  const weekend = Boolean(plan?.weekend_days.includes(new Date(`${date}T00:00:00Z`).getUTCDay()));
+  let rate = season ? adjust(baseRate, season.adjustment_percent) : baseRate;
+  if (weekend) rate = adjust(rate, plan.weekend_adjustment_percent);
+  const extraGuests = plan ? Math.max(0, guests - plan.base_occupancy) : 0;
+  const extraCharge = extraGuests * (plan ? toPaise(plan.extra_guest_charge) : 0);
+  return {
+    date,
+    base_rate: baseRate,
+    season: season ? season.name : null,
+    weekend,
+    rate,
+    extra_guests: extraGuests,
+    extra_guest_charge: extraCharge,
+    amount: rate + extraCharge
+  };
+});
+
+// Spread a discount over the nights in proportion to their price, to the paisa
+const allocate = (total, amounts) => {
+  const sum = amounts.reduce((a, b) => a + b, 0);
+  let before = 0;
+  let cumulative = 0;
+  return amounts.map((amount) => {
+    cumulative += amount;
+    const upTo = sum === 0 ? 0 : Math.round(total * cumulative / sum);
+    const share = upTo - before;
+    before = upTo;
+    return share;
+  });
+};
+
+// The slab whose above_tariff is the highest one below the night's tariff, if any
+const taxSlabFor = (slabs, tariff) => slabs
+  .filter(slab => tariff > toPaise(slab.above_tariff))
+  .sort((a, b) => b.above_tariff - a.above_tariff)[0] || null;
+
+// Why an offer can't be applied to this stay, or null when it can. Usage caps are
+// skipped with ignoreCaps (a booking's own redemption already counts towards them).
+const offerIneligibility = (offer, { hotelId, roomId, nights, ignoreCaps = false }) => {
+  if (!offer.is_live) return 'Offer is not currently valid';
+  if (offer.hotel_id !== null && String(offer.hotel_id) !== String(hotelId)) return 'Offer is not valid at this hotel';
+  if (offer.room_ids?.length && !offer.room_ids.map(String).includes(String(roomId))) {
+    return 'Offer is not valid for this room';
+  }
+  if (nights < offer.min_nights) return `Offer requires a stay of at least ${offer.min_nights} nights`;
+  if (ignoreCaps) return null;
+  if (offer.max_uses !== null && offer.uses >= offer.max_uses) return 'Offer has been fully redeemed';
+  if (offer.max_uses_per_user !== null && offer.user_uses >= offer.max_uses_per_user) {
+    return 'You have already used this offer';
+  }
+  return null;
+};
+
+// Discount of one offer on what is left to pay (in paise)
+const discountFor = (offer, remaining) => {
+  let amount = offer.discount_type === 'percent'
+    ? Math.round(remaining * offer.discount_value / 100)
+    : toPaise(offer.discount_value);
+  if (offer.max_discount !== null) amount = Math.min(amount, toPaise(offer.max_discount));
+  return Math.min(amount, remaining);
+};
+
+// Apply offers to a subtotal. Several offers only combine when every one of them is
+// stackable; percentages are taken before flat amounts, each on what is left to pay,
+// so the total never goes below zero.
+const applyOffers = (subtotal, offers) => {
+  let remaining = subtotal;
+  const ordered = [...offers].sort((a, b) => (a.discount_type === 'percent' ? 0 : 1) - (b.discount_type === 'percent' ? 0 : 1));
+  const discounts = ordered.map((offer) => {
+    const amount = discountFor(offer, remaining);
+    remaining -= amount;
+    return {
+      offer_id: offer.offer_id,
+      title: offer.title,
+      code: offer.code,
+      discount_type: offer.discount_type,
+      discount_value: offer.discount_value,
+      max_discount: offer.max_discount,
+      amount
+    };
+  });
+  return { discounts, total: remaining };
+};
+
+// Check the requested offers against the stay and throw a 422 OFFER_NOT_APPLICABLE
+// error listing every offer that can't be used
+const checkOffers = ({ room, nights, offers, requested, ignoreCaps = false }) => {
+  const problems = [];
+  for (const code of requested.codes || []) {
+    if (!offers.some(o => o.code && o.code.toUpperCase() === code.toUpperCase())) {
+      problems.push({ code, reason: 'Unknown promo code' });
+    }
+  }
+  for (const offerId of requested.offerIds || []) {
+    if (!offers.some(o => String(o.offer_id) === String(offerId))) {
+      problems.push({ offer_id: offerId, reason: 'Offer not found' });
+    }
+  }
+  for (const offer of offers) {
+    const reason = offerIneligibility(offer, { hotelId: room.hotel_id, roomId: room.room_id, nights, ignoreCaps });
+    if (reason) problems.push({ offer_id: offer.offer_id, code: offer.code, reason });
+  }
+  if (offers.length > 1) {
+    offers.filter(o => !o.stackable).forEach(offer => problems.push({
+      offer_id: offer.offer_id,
+      code: offer.code,
+      reason: 'Offer cannot be combined with other offers'
+    }));
+  }
+  if (problems.length > 0) {
+    throw new AppError('Offer cannot be applied', { status: 422, code: 'OFFER_NOT_APPLICABLE', details: { offers: problems } });
+  }
+};
+
+// Price a stay. `offers` must already be checked (see checkOffers); the result is
+// self-contained, so storing it on a booking makes the total reproducible.
+const priceStay = ({ room, plan = null, slabs = [], checkIn, checkOut, guests = 1, offers = [] }) => {
+  const nights = priceNights(room, plan, stayDates(checkIn, checkOut), guests);
+  const subtotal = nights.reduce((sum, night) => sum + night.amount, 0);
+  const { discounts, total: taxable } = applyOffers(subtotal, offers);
+  const shares = allocate(subtotal - taxable, nights.map(night => night.amount));
+
+  const taxes = new Map();
+  const breakdown = nights.map((night, i) => {
+    const tariff = night.amount - shares[i];
+    const slab = taxSlabFor(slabs, tariff);
+    const tax = slab ? Math.round(tariff * slab.rate_percent / 100) : 0;
+    if (slab) {
+      const key = `${slab.name}@${slab.rate_percent}`;
+      const line = taxes.get(key) || { name: slab.name, rate_percent: slab.rate_percent, amount: 0 };
+      taxes.set(key, { ...line, amount: line.amount + tax });
+    }
+    return {
+      ...night,
+      base_rate: toRupees(night.base_rate),
+      rate: toRupees(night.rate),
+      extra_guest_charge: toRupees(night.extra_guest_charge),
+      amount: toRupees(night.amount),
+      discount: toRupees(shares[i]),
+      tax_rate_percent: slab ? slab.rate_percent : 0,
+      tax: toRupees(tax),
+      total: toRupees(tariff + tax)
+    };
+  });
+  const taxTotal = [...taxes.values()].reduce((sum, line) => sum + line.amount, 0);
+
+  return {
+    currency: CURRENCY,
+    nights: nights.length,
+    guests,
+    rate_plan: plan ? { rate_plan_id: plan.rate_plan_id, name: plan.name } : null,
+    breakdown,
+    subtotal: toRupees(subtotal),
+    discounts: discounts.map(d => ({ ...d, amount: toRupees(d.amount) })),
+    discount_total: toRupees(subtotal - taxable),
+    taxes: [...taxes.values()].map(line => ({ ...line, amount: toRupees(line.amount) })),
+    tax_total: toRupees(taxTotal),
+    total: toRupees(taxable + taxTotal)
+  };
+};
+
+// Load what pricing a stay needs: the room's rate plan (with the seasons the
+// stay overlaps) and the tax slabs
+const loadRates = async (db, room, checkIn, checkOut) => {
+  const dates = stayDates(checkIn, checkOut);
+  const plan = room.rate_plan_id
+    ? await ratePlans.findWithSeasons(db, room.rate_plan_id, { from: dates[0], to: dates[dates.length - 1] })
+    : null;
+  return { plan, slabs: await ratePlans.listTaxSlabs(db) };
+};
+
+// A room without a base_price can't be priced (or booked)
+const requirePrice = (room) => {
+  if (room.base_price === null || room.base_price === undefined) {
+    throw new ConflictError('Room has no price set');
+  }
+};
+
+// Price a stay in a room (a row with room_id, hotel_id, capacity, base_price and
+// rate_plan_id) with the requested public offers and promo code. Pass lock inside
+// a booking transaction so usage caps can't be overrun by concurrent bookings.
+const quoteStay = async (db, room, { checkIn, checkOut, guests = 1, userId, offerIds = [], promoCode, lock = false }) => {
+  requirePrice(room);
+  if (room.capacity && guests > room.capacity) {
+    throw new ValidationError(`Room sleeps at most ${room.capacity} guests`);
+  }
+  const codes = promoCode ? [promoCode] : [];
+  const offers = offerIds.length || codes.length
+    ? await offerRepository.findForRedemption(db, { offerIds, codes, userId, lock })
+    : [];
+  checkOffers({ room, nights: countNights(checkIn, checkOut), offers, requested: { offerIds, codes } });
+  const { plan, slabs } = await loadRates(db, room, checkIn, checkOut);
+  return priceStay({ room, plan, slabs, checkIn, checkOut, guests, offers });
+};
+
+// Re-price a booking for new dates, keeping its guests and the terms of the offers
+// it was booked with. Each offer must still be live and suit the new stay (e.g.
+// its minimum nights); usage caps aren't checked again.
+const repriceBooking = async (db, room, booking, { checkIn, checkOut }) => {
+  requirePrice(room);
+  const offers = (booking.price_breakdown?.discounts || []).map(d => ({ ...d, discount_value: Number(d.discount_value) }));
+  if (offers.length > 0) {
+    const offerIds = offers.map(offer => offer.offer_id);
+    checkOffers({
+      room,
+      nights: countNights(checkIn, checkOut),
+      offers: await offerRepository.findByIds(db, offerIds),
+      requested: { offerIds },
+      ignoreCaps: true
+    });
+  }
+  const { plan, slabs } = await loadRates(db, room, checkIn, checkOut);
+  return priceStay({ room, plan, slabs, checkIn, checkOut, guests: booking.guests || 1, offers });
+};
+
+module.exports = {
+  CURRENCY,
+  PRICING_ROOM_COLUMNS,
+  toPaise,
+  toRupees,
+  countNights,
+  stayDates,
+  priceNights,
+  applyOffers,
+  priceStay,
+  quoteStay,
+  repriceBooking
+};
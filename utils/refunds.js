@@ -0,0 +1,84 @@
+const payments = require('../repositories/paymentRepository');
+const { requestRefund } = require('../services/payments');
+const { toPaise, toRupees } = require('./pricing');
+
+// Seconds before a refund the provider didn't take is sent again. Long enough
+// that the first attempt, made right after the refund is reserved, has finished.
+const REFUND_RETRY_SECONDS = Number(process.env.REFUND_RETRY_SECONDS) || 300;
+
+// Most unsent refunds retried per run
+const REFUND_RETRY_BATCH_SIZE = 50;
+
+// Reserve refunds of `percent` of what is still held on each captured payment of
+// a booking, or only on `paymentId` when given. Call inside the transaction that
+// changes the booking, then pass the result to sendRefunds() after COMMIT.
+const reserveRefunds = async (client, bookingId, { percent, reason, policy, paymentId = null }) => {
+  const refunds = [];
+  for (const payment of await payments.findRefundable(client, bookingId, paymentId)) {
+    const held = toPaise(payment.amount) - toPaise(payment.amount_refunded);
+    const amount = Math.round(held * percent / 100);
+    if (amount <= 0) continue;
+    const refund = await payments.createRefund(client, payment, { amount: toRupees(amount), reason, policy });
+    refunds.push({ ...refund, provider_payment_id: payment.provider_payment_id });
+  }
+  return refunds;
+};
+
+// Ask the provider to pay out reserved refunds. Each is marked as requested first
+// and sent with its id as the receipt, which the provider treats as an idempotency
+// key. A refund the provider refuses is unmarked and stays pending without a
+// provider id; retryUnsentRefunds() sends it again. One the provider took but
+// whose id couldn't be saved stays marked and is not sent again: the provider's
+// refund webhook finds it by receipt and records the id.
+const sendRefunds = async (db, refunds) => {
+  const sent = [];
+  for (const refund of refunds) {
+    try {
+      if (!(await payments.markRefundRequested(db, refund.refund_id))) {
+        sent.push(refund);
+        continue;
+      }
+    } catch (error) {
+      console.error(`Refund ${refund.refund_id} not sent:`, error.message);
+      sent.push(refund);
+      continue;
+    }
+    let result;
+    try {
+      result = await requestRefund({
+        paymentId: refund.provider_payment_id,
+        amount: toPaise(refund.amount),
+        receipt: String(refund.refund_id)
+      });
+    } catch (error) {
+      console.error(`Refund ${refund.refund_id} refused by the provider:`, error.message);
+      await payments.clearRefundRequested(db, refund.refund_id)
+        .catch(e => console.error(`Refund ${refund.refund_id} unmark error:`, e.message));
+      sent.push(refund);
+      continue;
+    }
+    try {
+      await payments.setRefundProviderId(db, refund.refund_id, result.refundId, result.status);
+    } catch (error) {
+      console.error(`Refund ${refund.refund_id} taken by the provider as ${result.refundId} but not saved:`, error.message);
+    }
+    sent.push({ ...refund, provider_refund_id: result.refundId, status: result.status });
+  }
+  return sent.map(({ provider_payment_id, ...refund }) => refund);
+};
+
+// Scheduler job: send refunds again that the provider refused or never got.
+// Returns how many the provider took this time.
+const retryUnsentRefunds = async (client) => {
+  const refunds = await payments.claimUnsentRefunds(client, {
+    limit: REFUND_RETRY_BATCH_SIZE,
+    olderThanSeconds: REFUND_RETRY_SECONDS
+  });
+  const sent = await sendRefunds(client, refunds);
+  return sent.filter(refund => refund.provider_refund_id).length;
+};
+
+// Sum of reserved refunds in rupees
+const refundTotal = (refunds) => toRupees(refunds.reduce((sum, refund) => sum + toPaise(refund.amount), 0));
+
+module.exports = { reserveRefunds, sendRefunds, retryUnsentRefunds, refundTotal };
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+
+// Refresh tokens look like `<session uuid>.<random secret>`; only a hash of the secret is stored.
+// Every refresh rotates the secret, so an old refresh token stops working once used.
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isSessionId = (value) => typeof value === 'string' && UUID_RE.test(value);
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+// Start a session for a user and return its id and first refresh token
+const createSession = async (client, userId, { userAgent, ip } = {}) => {
+  const sessionId = crypto.randomUUID();
+  const secret = newSecret();
+  await client.query(
+    `INSERT INTO user_sessions (session_id, user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))`,
+    [sessionId, userId, hashSecret(secret), userAgent || null, ip || null, REFRESH_TOKEN_TTL_DAYS]
+  );
+  return { sessionId, refreshToken: `${sessionId}.${secret}` };
+};
+
+// Swap a refresh token for a new one. Returns { sessionId, userId, refreshToken } or { error }.
+// Presenting a token that was already rotated means it leaked, so the whole session is revoked.
+const rotateSession = async (client, refreshToken) => {
+  const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (!isSessionId(sessionId) || !secret) return { error: 'Invalid refresh token' };
+
+  const nextSecret = newSecret();
+  const result = await client.query(
+    `UPDATE user_sessions SET refresh_token_hash = $1, last_used_at = NOW()
+     WHERE session_id = $2 AND refresh_token_hash = $3 AND revoked_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashSecret(nextSecret), sessionId, hashSecret(secret)]
+  );
+  if (result.rows.length > 0) {
+    return { sessionId, userId: result.rows[0].user_id, refreshToken: `${sessionId}.${nextSecret}` };
+  }
+
+  const reused = await client.query(
+    `UPDATE user_sessions SET revoked_at = NOW()
+     WHERE session_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     RETURNING session_id`,
+    [sessionId]
+  );
+  if (reused.rows.length > 0) {
+    console.warn(`⚠️  Refresh token reuse detected, session ${sessionId} revoked`);
+  }
+  return { error: 'Invalid or expired refresh token' };
+};
+
+// Whether an access token's session is still live (used by verifyToken on every request)
+const isSessionActive = async (sessionId) => {
+  if (!isSessionId(sessionId)) return false;
+  const result = await pool.query(
+    'SELECT 1 FROM user_sessions WHERE session_id = $1 AND revoked_at IS NULL AND expires_at > NOW()',
+    [sessionId]
+  );
+  return result.rows.length > 0;
+};
+
+// Revoke one of a user's sessions; returns false if there was no such live session
+const revokeSession = async (client, userId, sessionId) => {
+  if (!isSessionId(sessionId)) return false;
+  const result = await client.query(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE session_id = $1 AND user_id = $2 AND revoked_at IS NULL',
+    [sessionId, userId]
+  );
+  return result.rowCount > 0;
+};
+
+// Revoke every live session of a user; returns how many were revoked
+const revokeAllSessions = async (client, userId) => {
+  const result = await client.query(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+  return result.rowCount;
+};
+
+// A user's live sessions, newest first
+const listSessions = async (client, userId) => {
+  const result = await client.query(
+    `SELECT session_id, user_agent, ip_address, created_at, last_used_at, expires_at
+     FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+};
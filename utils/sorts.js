@@ -0,0 +1,21 @@
+// Whitelisted ORDER BY clauses for the listings that accept a `sort` parameter.
+// The request schemas take their allowed values from here, so only these
+// fragments ever reach the SQL.
+
+// Room listing and search
+const ROOM_SORTS = {
+  price_asc: 'r.base_price ASC NULLS LAST, r.room_id ASC',
+  price_desc: 'r.base_price DESC NULLS LAST, r.room_id ASC',
+  capacity: 'r.capacity DESC NULLS LAST, r.room_id ASC',
+  hotel: 'h.name ASC, r.room_id ASC'
+};
+
+// Public hotel listing
+const HOTEL_SORTS = {
+  listed: 'hotel_id ASC',
+  rating: 'rating_average DESC NULLS LAST, review_count DESC, hotel_id ASC',
+  reviews: 'review_count DESC, rating_average DESC NULLS LAST, hotel_id ASC',
+  name: 'name ASC, hotel_id ASC'
+};
+
+module.exports = { ROOM_SORTS, HOTEL_SORTS };
@@ -0,0 +1,53 @@
+const pool = require('../config/database');
+const { getPendingMigrations } = require('./migrations');
+const userRepository = require('../repositories/userRepository');
+const { startScheduler } = require('../services/scheduler');
+const { getPaymentProvider } = require('../services/payments');
+const { getKycProvider } = require('../services/kyc');
+
+// The schema is managed by `npm run migrate`; refuse to serve traffic against an
+// outdated one, or against a database the check can't even read
+const checkMigrations = async () => {
+  let pending;
+  try {
+    pending = await getPendingMigrations(pool);
+  } catch (e) {
+    console.error('Migration check error:', e.message);
+    return false;
+  }
+  if (pending.length === 0) return true;
+
+  console.error('');
+  console.error('❌ ================================');
+  console.error(`❌ ${pending.length} pending database migration(s):`);
+  pending.forEach(m => console.error(`❌   ${m.label}`));
+  console.error('❌ Run `npm run migrate` before starting the server.');
+  console.error('❌ ================================');
+  console.error('');
+  return false;
+};
+
+let started = null;
+
+// Everything that must hold before the app takes traffic, shared by server.js and
+// the Vercel entry (api/index.js). Runs once; a failed run is tried again by the
+// next caller, e.g. once the migrations have been applied.
+const startup = () => {
+  if (!started) {
+    started = (async () => {
+      if (!(await checkMigrations())) throw new Error('Database migrations are pending or could not be checked');
+      // Resolve the users table layout once up front instead of on the first request
+      await userRepository.resolveSchema().catch(e => console.error('User schema error:', e.message));
+      // Refuse to start with a payment or KYC setup that isn't safe (see services/payments, services/kyc)
+      getPaymentProvider();
+      getKycProvider();
+      // Expired booking holds, waitlist offers and retries; set SCHEDULER_ENABLED=false
+      // on instances that shouldn't take part (only one runs jobs at a time anyway)
+      if (process.env.SCHEDULER_ENABLED !== 'false') startScheduler();
+    })();
+    started.catch(() => { started = null; });
+  }
+  return started;
+};
+
+module.exports = { startup, checkMigrations };
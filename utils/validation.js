@@ -0,0 +1,185 @@
+// Declarative request schemas. A schema lists field rules per request part:
+//
+//   {
+//     summary: 'Create a booking',
+//     params: { id: { type: 'integer', min: 1, required: true } },
+//     body: { email: { type: 'string', format: 'email', required: true } }
+//   }
+//
+// Rules are plain data (type, required, requiredWithout, nullable, default,
+// minLength/maxLength, min/max, enum, pattern, format, items/minItems/maxItems/unique,
+// properties (for objects), trim, description) so the same schemas also drive the
+// generated API docs.
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const FORMATS = {
+  email: {
+    check: (v) => v.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+    message: 'must be a valid email address'
+  },
+  phone: {
+    check: (v) => /^\+?\d{10,15}$/.test(v.replace(/[\s().-]/g, '')),
+    message: 'must be a valid phone number'
+  },
+  uuid: {
+    check: (v) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v),
+    message: 'must be a valid id'
+  },
+  'date-time': {
+    check: (v) => !Number.isNaN(new Date(v).getTime()),
+    message: 'must be a valid date and time',
+    coerce: (v) => new Date(v)
+  }
+};
+
+const isMissing = (value) => value === undefined || value === '';
+
+// Check one value against its rule. Returns { value } (coerced) or { error }.
+const checkValue = (rule, raw, path, errors) => {
+  let value = raw;
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value === 'number') value = String(value);
+      if (typeof value !== 'string') return { error: 'must be a string' };
+      if (rule.trim !== false) value = value.trim();
+      if (rule.required && value === '') return { error: 'must not be empty' };
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return { error: `must be at least ${rule.minLength} characters` };
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return { error: `must be at most ${rule.maxLength} characters` };
+      }
+      if (rule.pattern && !rule.pattern.test(value)) return { error: rule.patternMessage || 'has an invalid format' };
+      if (rule.format) {
+        const format = FORMATS[rule.format];
+        if (!format.check(value)) return { error: format.message };
+        if (format.coerce) value = format.coerce(value);
+      }
+      break;
+    }
+    case 'integer':
+    case 'number': {
+      if (typeof value === 'string' && value.trim() !== '') value = Number(value);
+      const ok = rule.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+      if (!ok) return { error: `must be ${rule.type === 'integer' ? 'a whole number' : 'a number'}` };
+      if (rule.min !== undefined && value < rule.min) return { error: `must be at least ${rule.min}` };
+      if (rule.max !== undefined && value > rule.max) return { error: `must be at most ${rule.max}` };
+      break;
+    }
+    case 'boolean': {
+      if (value === 'true' || value === 'false') value = value === 'true';
+      if (typeof value !== 'boolean') return { error: 'must be true or false' };
+      break;
+    }
+    case 'array': {
+      if (!Array.isArray(value)) return { error: 'must be a list' };
+      if (rule.minItems !== undefined && value.length < rule.minItems) {
+        return { error: `must have at least ${rule.minItems} items` };
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return { error: `must have at most ${rule.maxItems} items` };
+      }
+      const items = [];
+      let failed = false;
+      value.forEach((item, i) => {
+        const checked = checkValue({ required: true, ...rule.items }, item, `${path}[${i}]`, errors);
+        if (checked.error) {
+          errors.push({ field: `${path}[${i}]`, message: checked.error });
+          failed = true;
+        } else {
+          items.push(checked.value);
+        }
+      });
+      if (failed) return { failed: true };
+      value = rule.unique ? [...new Set(items)] : items;
+      break;
+    }
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'must be an object' };
+      const nested = validatePart(rule.properties, value);
+      if (nested.errors.length > 0) {
+        nested.errors.forEach(e => errors.push({ field: `${path}.${e.field}`, message: e.message }));
+        return { failed: true };
+      }
+      value = nested.values;
+      break;
+    }
+    default:
+      throw new Error(`Unknown schema type: ${rule.type}`);
+  }
+  if (rule.enum && !rule.enum.includes(value)) return { error: `must be one of: ${rule.enum.join(', ')}` };
+  return { value };
+};
+
+// Validate one request part (body, query or params) against its field rules.
+// Only declared fields are kept, so handlers never see unexpected input.
+const validatePart = (fields, input, location) => {
+  const source = input && typeof input === 'object' ? input : {};
+  const values = {};
+  const errors = [];
+  const fail = (field, message) => errors.push({ location, field, message });
+
+  for (const [name, rule] of Object.entries(fields)) {
+    const raw = source[name];
+    if (isMissing(raw)) {
+      if (rule.default !== undefined) values[name] = rule.default;
+      else if (rule.required) fail(name, 'is required');
+      else if (rule.requiredWithout && isMissing(source[rule.requiredWithout])) {
+        fail(name, `is required when ${rule.requiredWithout} is not given`);
+      }
+      continue;
+    }
+    if (raw === null) {
+      if (rule.nullable) values[name] = null;
+      else fail(name, rule.required ? 'is required' : 'must not be null');
+      continue;
+    }
+    const itemErrors = [];
+    const checked = checkValue(rule, raw, name, itemErrors);
+    itemErrors.forEach(e => fail(e.field, e.message));
+    if (checked.error) fail(name, checked.error);
+    else if (!checked.failed) values[name] = checked.value;
+  }
+  return { values, errors };
+};
+
+// Validate every part a schema declares. Returns { values, errors }.
+const validateRequest = (schema, req) => {
+  const values = {};
+  const errors = [];
+  for (const location of LOCATIONS) {
+    if (!schema[location]) continue;
+    const result = validatePart(schema[location], req[location], location);
+    values[location] = result.values;
+    errors.push(...result.errors);
+  }
+  return { values, errors };
+};
+
+// JSON Schema for one field rule (used for API docs)
+const toJsonSchema = (rule) => {
+  const out = { type: rule.type };
+  if (rule.format) out.format = rule.format;
+  if (rule.description) out.description = rule.description;
+  if (rule.enum) out.enum = rule.enum;
+  if (rule.pattern) out.pattern = rule.pattern.source;
+  if (rule.nullable) out.nullable = true;
+  if (rule.default !== undefined) out.default = rule.default;
+  const copy = { minLength: 'minLength', maxLength: 'maxLength', min: 'minimum', max: 'maximum', minItems: 'minItems', maxItems: 'maxItems', unique: 'uniqueItems' };
+  for (const [from, to] of Object.entries(copy)) {
+    if (rule[from] !== undefined) out[to] = rule[from];
+  }
+  if (rule.items) out.items = toJsonSchema(rule.items);
+  if (rule.properties) {
+    out.properties = Object.fromEntries(Object.entries(rule.properties).map(([name, r]) => [name, toJsonSchema(r)]));
+    const required = Object.entries(rule.properties).filter(([, r]) => r.required).map(([name]) => name);
+    if (required.length) out.required = required;
+  }
+  if (rule.requiredWithout) {
+    out.description = [out.description, `Required when ${rule.requiredWithout} is not given.`].filter(Boolean).join(' ');
+  }
+  return out;
+};
+
+module.exports = { validateRequest, toJsonSchema };